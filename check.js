@@ -0,0 +1,140 @@
+/*
+  Regression checks for the headless engine and helpers; run with `node check.js` (no dependencies)
+  - Determinism: the same seed and the same inputs give the same getState() after N steps,
+    a different seed gives a different box, and a loaded snapshot continues step for step
+  - Heat model: Q_of_T and T_of_Q invert each other off the plateaus, for every substance
+  - getPhase() without an argument is the phase at the current temperature, and is the
+    English label of getPhaseInfo()
+  - setTemperature() ignores input that is not a number
+  - The recorder files phase changes (freeze, melt) from the frames' phaseInfo
+  - Loading a snapshot into a running engine replaces its salt crystal instead of adding to it
+  - parseNumberList() (units.js) reads typed sweep lists with one rule for decimal commas
+  Exits with a non-zero code on the first failed check.
+*/
+
+const assert = require('assert')
+const { createEngine, createRecorder, SUBSTANCES, phaseLabel } = require('./engine.js')
+const { parseNumberList } = require('./units.js')
+
+const STEPS = 300 // 5 s of sim time at the fixed 1/60 s step
+
+function run(seed, steps = STEPS) {
+  const sim = createEngine({ seed, moleculeCount: 60, temperature: 25 })
+  for (let i = 0; i < steps; i++) {
+    if (i === 120) sim.setTemperature(-10) // an input part-way, so the run crosses a phase change
+    sim.step()
+  }
+  return sim
+}
+
+function check(name, fn) {
+  fn()
+  console.log(`ok ${name}`)
+}
+
+check('same seed gives the same state', () => {
+  assert.deepStrictEqual(run(7).getState(), run(7).getState())
+})
+
+check('different seeds give different states', () => {
+  assert.notDeepStrictEqual(run(7).getState().molecules, run(8).getState().molecules)
+})
+
+check('a loaded snapshot continues step for step', () => {
+  const a = run(7, 150)
+  const b = createEngine()
+  assert.strictEqual(b.loadState(JSON.parse(JSON.stringify(a.getState()))), true)
+  for (let i = 0; i < 150; i++) { a.step(); b.step() }
+  assert.deepStrictEqual(b.getState(), a.getState())
+})
+
+check('T_of_Q inverts Q_of_T', () => {
+  const sim = createEngine({ seed: 1 })
+  for (const id of Object.keys(SUBSTANCES)) {
+    sim.selectSubstance(id)
+    const melt = sim.getMeltingPoint(), boil = sim.getBoilingPoint()
+    for (let T = -270; T <= 495; T += 7.3) {
+      if (Math.abs(T - melt) < 0.5 || Math.abs(T - boil) < 0.5) continue // a plateau maps many Q to one T
+      const back = sim.T_of_Q(sim.Q_of_T(T))
+      assert.ok(Math.abs(back - T) < 0.01, `${id}: T_of_Q(Q_of_T(${T})) = ${back}`)
+    }
+  }
+})
+
+check('getPhase() reads the current temperature', () => {
+  const sim = createEngine({ seed: 1, moleculeCount: 40 })
+  for (const c of [-5, 25, 120]) {
+    sim.setTemperature(c)
+    sim.step()
+    assert.strictEqual(sim.getPhase(), sim.getPhase(sim.temperature))
+    assert.strictEqual(sim.getPhase(), phaseLabel(sim.getPhaseInfo()))
+  }
+  sim.setTemperature(-5)
+  assert.ok(/^Solid/.test(sim.getPhase()), sim.getPhase())
+})
+
+check('setTemperature ignores non-numbers', () => {
+  const sim = createEngine({ seed: 1, moleculeCount: 40, temperature: 30 })
+  const heat = sim.heat
+  for (const bad of ['abc', NaN, undefined, Infinity]) assert.strictEqual(sim.setTemperature(bad), 30)
+  assert.strictEqual(sim.heat, heat)
+  sim.step()
+  assert.ok(Number.isFinite(sim.metrics.avgBondDuration) && sim.molecules.every(m => Number.isFinite(m.x)))
+})
+
+check('parseNumberList reads decimal commas only where they are unambiguous', () => {
+  const read = (text, decimalComma) => {
+    const { values, bad } = parseNumberList(text, { decimalComma })
+    return bad ? `bad ${bad}` : values.join(' ')
+  }
+  assert.strictEqual(read('0, 25, 50', false), '0 25 50')
+  assert.strictEqual(read('0; 12.5; 25', false), '0 12.5 25')
+  assert.strictEqual(read('0,25', false), 'bad 0,25')
+  assert.strictEqual(read('0,25,50', false), 'bad 0,25,50')
+  assert.strictEqual(read('0,25', true), '0.25')
+  assert.strictEqual(read('-10,5; 20', true), '-10.5 20')
+  assert.strictEqual(read('0,25 50', true), 'bad 0,25')
+  assert.strictEqual(read('0,25,50', true), 'bad 0,25,50')
+  assert.strictEqual(read('-10,5:0:2,5', true), '-10.5 -8 -5.5 -3 -0.5')
+  assert.strictEqual(read('-20:20:20', false), '-20 0 20')
+  assert.strictEqual(read('abc', false), 'bad abc')
+})
+
+check('loading a snapshot into the same engine keeps its crystal', () => {
+  // b reloads its own snapshot part-way; a runs straight through, and both must agree
+  const make = () => {
+    const sim = createEngine({ seed: 3, moleculeCount: 60, temperature: 25 })
+    sim.setMolality(10)
+    sim.setSalt(true)
+    for (let i = 0; i < 600; i++) sim.step()
+    return sim
+  }
+  const a = make(), b = make()
+  const precipitated = b.metrics.precipitated
+  assert.ok(precipitated > 0, 'nothing precipitated')
+  assert.strictEqual(b.loadState(JSON.parse(JSON.stringify(b.getState()))), true)
+  const both = (n, fn) => { for (let i = 0; i < n; i++) { if (fn) fn(a, b); a.step(); b.step() } }
+  both(1)
+  assert.strictEqual(b.metrics.precipitated, precipitated)
+  // cool, then warm so part of the crystal dissolves (dissolving walks the crystal's sites)
+  a.setTemperature(-5); b.setTemperature(-5)
+  both(120)
+  a.setTemperature(95); b.setTemperature(95)
+  both(1800)
+  assert.ok(b.metrics.precipitated < precipitated, 'nothing dissolved')
+  assert.strictEqual(b.metrics.precipitated, a.metrics.precipitated)
+  assert.strictEqual(JSON.stringify(b.getState()), JSON.stringify(a.getState())) // JSON has no -0
+})
+
+check('the recorder files freeze and melt events', () => {
+  const sim = createEngine({ seed: 2, moleculeCount: 40, temperature: 20 })
+  const recorder = createRecorder(sim, { seconds: 10 })
+  const run = steps => { for (let i = 0; i < steps; i++) { sim.step(); recorder.capture() } }
+  run(30)
+  sim.setTemperature(-20)
+  run(30)
+  sim.setTemperature(20)
+  run(30)
+  assert.deepStrictEqual(recorder.events.map(e => e.kind), ['freeze', 'melt'])
+  assert.strictEqual(recorder.events[0].to, sim.getPhase(-20))
+})
@@ -0,0 +1,2834 @@
+/*
+  Headless simulation engine for the intermolecular forces simulation (no DOM access)
+  - Substance and solute registries, molecules, dissolved ions and the neighbour grid
+  - step(): fixed-timestep physics (thermal motion, gravity, repulsion, IMF attraction,
+    directional H-bonds, solid lattice) plus bond bookkeeping and metrics; an optional
+    molecular dynamics mode (Lennard-Jones, velocity Verlet, thermostats) replaces the motion
+  - Heat model: Q_of_T / T_of_Q for the latent-heat chart, and the heat the box holds
+    (setHeat), which melts or boils part of it while on a plateau; an optional constant-power
+    heater and Newton's-law cooling feed that heat every step
+  Loads as a browser global (window.IMFEngine) or as a CommonJS module under Node.
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFEngine = factory()
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Molecule and physics settings
+  const NUM_MOLECULES = 80 // default count; setMoleculeCount() changes it per engine
+  const MAX_MOLECULES = 5000
+  const FIXED_DT = 1 / 60 // s per step(); the page runs a fixed-timestep accumulator on top
+  const O_RADIUS = 10
+  const H_RADIUS = 6
+  const OH_BOND = 18 // distance from O to each H (visual only)
+  const HOH_ANGLE = (104.5 * Math.PI) / 180 // ~104.5 degrees
+  const WALL_RESTITUTION = 0.95
+  const BASE_SPEED = 40 // px/s at ~0°C above absolute zero baseline
+  const IMF_CUTOFF = 80 // px, draw dotted lines when centers within this distance
+  const IMF_ATTRACT_STRENGTH = 0.06 // base acceleration scale (tuned)
+  const REPULSION_DIST = O_RADIUS * 2
+  const REPULSION_STRENGTH = 0.4
+  const BUOYANCY = 100 // px/s² per g/mL density difference while unlike molecules touch
+  // Directional hydrogen bonds: a donor H (bonded to N/O/F) must sit within a distance
+  // of an acceptor N/O/F atom on another molecule, with the D–H···A angle near straight
+  const HBOND_MAX_DIST = 42 // px, H···A
+  const HBOND_MIN_ANGLE = (120 * Math.PI) / 180 // smallest D–H···A angle accepted
+  const HBOND_MIN_COS = -Math.cos(HBOND_MIN_ANGLE) // cos of the largest deviation from straight
+  const HBOND_STEER = 3.0 // rad/s pull turning a donor H toward the nearest acceptor
+  // Hydration shells: dissolved ions gather and orient the solvent's polar molecules
+  const HYDRATION_RANGE = 48 // px, ion centre to molecule centre
+  const HYDRATION_GAP = 4 // px between ion and molecule surfaces in the first shell
+  const HYDRATION_STRENGTH = 0.08 // pull per unit charge, on the scale of IMF_ATTRACT_STRENGTH
+  const HYDRATION_TURN = 20 // rad/s per unit charge turning a molecule to face the ion
+  const ION_DRAG = 1.5 // 1/s, solvent drag on ion velocities
+  const ION_KICK = 3 // random kicks on ion velocities per √s, at 0 °C
+  // Ion–ion forces and precipitation. Coulomb forces are divided by the solvent's dielectric
+  // constant (fully for a hydrated ion, not at all for a bare one) and fade with the Debye length.
+  const ION_CUTOFF = 60 // px, range of ion–ion forces
+  const ION_COULOMB = 0.25 // pull per unit charge product at contact, unscreened
+  const DEBYE_PX = 40 // px, screening length at ionic strength 1 mol/kg
+  const HYDRATION_FULL = 4 // shell molecules that give an ion the solvent's full screening
+  const CRYSTAL_PULL = 6 // 1/s, how fast a precipitated ion settles onto its lattice site
+  const CRYSTAL_RATE = 2 // 1/s, share of the excess over saturation crystallising per second
+  const CRYSTAL_MIN_RATE = 4 // formula units per second, however small the excess
+
+  // Gravity and floor behavior
+  const G_ACCEL_BASE = 250 // base px/s^2 downward
+  const G_TERM_BASE = 220 // base terminal speed
+  const FLOOR_FRICTION_BASE = 4.0 // base per-second friction when on floor
+  // Evaporation mode (sealed container): a liquid molecule escapes when a Boltzmann energy
+  // draw beats its binding to the liquid within IMF_CUTOFF; vapour recondenses on contact
+  const EVAP_BARRIER0 = 4.8 // escape barrier (kT) at the boiling point; sets the exchange rate
+  const EVAP_BIND_REF = 3.5 // neighbour binding of a typical surface molecule
+  const EVAP_GRACE = 0.3 // s after escaping before a vapour molecule can recondense
+  const CONDENSE_BIND = 0.5 // binding to the liquid that counts as touching the surface
+  const CONDENSE_PROB = 0.2 // chance per step that a touching vapour molecule sticks
+  const VAPOUR_SPEED = 1.8 // vapour moves faster than the liquid at the same temperature
+  const MAX_FLING_SPEED = 1500 // px/s; a faster throw would tunnel through its neighbours
+  const EVAP_LIQUID_HOT = 0.3 // cap on gravity loosening for the liquid so it stays pooled
+  // Maxwell–Boltzmann speeds: each vx/vy component is Gaussian with spread MB_SIGMA (in the
+  // units speedMultiplier scales), so the thermal speed has the 2D Maxwell–Boltzmann
+  // (Rayleigh) distribution once resampling is on. MB_COLLISION_RATE is how often, per
+  // molecule per second, a thermalising collision redraws the velocity; it is kept low so
+  // gas molecules still fly far between collisions instead of diffusing near the floor.
+  const MB_SIGMA = 2.2
+  const MB_COLLISION_RATE = 1
+  const MB_RELAX = 0.02 // s, rescale time constant for the mean kinetic energy (about one step)
+  // Molecular dynamics mode: real units (nm, ps, g/mol, kJ/mol; 1 kJ/mol/nm on 1 g/mol is
+  // 1 nm/ps²). Each molecule is one Lennard-Jones site with σ = LJ_SIGMA_SCALE × the sum of
+  // the two radii and ε set so the 2D LJ critical point (kT/ε ≈ LJ_TC_STAR) lands on the
+  // substance's critical temperature.
+  const MD_PX_PER_NM = 100
+  const MD_PS_PER_SECOND = 1 // simulated ps per second of sim time
+  const MD_MAX_DT = 0.002 // ps, largest velocity Verlet substep (2 fs)
+  const LJ_SIGMA_SCALE = 1.4
+  const LJ_RC = 2.5 // cutoff in σ; the potential is shifted to zero there
+  const LJ_TC_STAR = 0.47
+  const MD_FORCE_CAP = 1e5 // kJ/(mol·nm), guards against blow-ups after a bad overlap
+  const BERENDSEN_TAU = 0.5 // ps, coupling time of the Berendsen thermostat
+  const ANDERSEN_RATE = 2 // collisions per molecule per ps for the Andersen thermostat
+  const LJ_SHIFT = 4 * (Math.pow(LJ_RC, -12) - Math.pow(LJ_RC, -6)) // u(rc) / ε
+  const LJ_MIN_R = Math.pow(2, 1 / 6) // r/σ at the bottom of the well
+  const LJ_BOND_RANGE = 1.38 // r/σ where the well is half its depth; closer pairs count as bonded
+  // Solid-state vibration tweak
+  const VIB_AMP = 40 // px/s random vibration amplitude in solid/freezing
+  const VIB_ANG = 1.0 // rad/s small angular jitter in solid/freezing
+
+  // Lattice packing (activated in solid): hexagonal grid
+  const LATTICE_SPACING_LIQUID = 34
+  const LATTICE_SPACING_SOLID = 56 // slightly larger spacing for ice-like lower density
+  const LATTICE_SPRING = 0.8 // spring strength toward anchor when solid
+  const LATTICE_DAMP = 0.85
+  // Nucleation mode: the crystal starts from seeds and grows one molecule at a time
+  const NUCLEATION_RATE = 0.05 // seeds per liquid molecule per second, deep below melting
+  const NUCLEATION_DT = 15 // K; the seed rate falls as exp(−(NUCLEATION_DT / ΔT)²), so a
+  // few kelvin of supercooling can last minutes but ten or more freeze within seconds
+  const GROWTH_RATE = 6 // attempts per second for a molecule touching the crystal
+  const GROWTH_DT = 5 // K of super-cooling or -heating at which the front moves at full speed
+  const GROWTH_ANGLE = 0.7 // rad; a molecule only locks in this close to its site's orientation
+  const FROZEN_PULL = 8 // 1/s, how fast a frozen molecule settles onto its site
+  const LATENT_KICK = 0.6 // speed the latent heat of one freezing molecule gives its neighbours
+  const FRONT_LIFT = 600 // px/s², lift on a liquid molecule overlapping a frozen one
+  const PLATEAU_SHARE = 0.02 // most of the box that melts, freezes, boils or condenses per step
+  // Heater: the heat chart is per mole; the heater and the cooling act on a sample of
+  // sampleMoles (setSampleMoles), 1 mol unless set
+  const MIN_SAMPLE_MOLES = 1e-4
+  const MAX_SAMPLE_MOLES = 1e4
+  const MAX_HEATER_POWER = 5000 // W, either way
+  const MAX_COOLING = 100 // W/K, Newton's-law heat-loss coefficient
+  const DEFAULT_AMBIENT = 20 // °C
+
+  // --- Substance registry ---
+  // Each entry defines the 2D cartoon geometry (atoms in the molecule's local frame,
+  // centre atom at the origin, rotated by m.angle when drawn), IMF strength relative
+  // to water, specific heats (J/(g·K)), latent heats (kJ/mol), liquid density (g/mL),
+  // polarity, whether it hydrogen-bonds, and the normal melting and boiling points at
+  // 1 atm. triple/critical hold the phase-diagram points (°C, kPa) and fusionSlope the
+  // melting-curve dP/dT (kPa/K; negative for water, where ice melts under pressure).
+  // CH₂/CH₃ groups in ethanol and hexane are drawn as united atoms.
+  const ELEMENTS = {
+    H: { name: 'Hydrogen', color: '#f2f2f2' },
+    C: { name: 'Carbon', color: '#8a8f99' },
+    N: { name: 'Nitrogen', color: '#5a7be0' },
+    O: { name: 'Oxygen', color: '#d84d4d' },
+    F: { name: 'Fluorine', color: '#9ad94d' }
+  }
+  function atomAt(el, r, d, a) { return { el, r, x: Math.cos(a) * d, y: Math.sin(a) * d } }
+  const SUBSTANCES = {
+    water: {
+      name: 'Water', formula: 'H₂O', imf: 'Hydrogen bonding',
+      atoms: [atomAt('O', O_RADIUS, 0, 0), atomAt('H', H_RADIUS, OH_BOND, -HOH_ANGLE / 2), atomAt('H', H_RADIUS, OH_BOND, HOH_ANGLE / 2)],
+      bonds: [[0, 1], [0, 2]],
+      radius: O_RADIUS, imfStrength: 1, polar: true, hbond: true, density: 1.0, dielectric: 78.4,
+      latticeTheta: [HOH_ANGLE / 2, Math.PI - HOH_ANGLE / 2],
+      molarMass: 18.01528, cs: 2.09, cl: 4.18, cg: 1.9, latentFusion: 6.01, latentVap: 40.65,
+      meltC: 0, boilC: 100, saltSoluble: true,
+      triple: { c: 0.01, kPa: 0.6117 }, critical: { c: 373.95, kPa: 22064 }, fusionSlope: -13500,
+      phaseNames: { solid: 'Ice', liquid: 'Water', gas: 'Steam' }
+    },
+    ammonia: {
+      name: 'Ammonia', formula: 'NH₃', imf: 'Hydrogen bonding (weaker)',
+      atoms: [atomAt('N', 10, 0, 0), atomAt('H', H_RADIUS, 17, 0), atomAt('H', H_RADIUS, 17, Math.PI * 2 / 3), atomAt('H', H_RADIUS, 17, -Math.PI * 2 / 3)],
+      bonds: [[0, 1], [0, 2], [0, 3]],
+      radius: 10, imfStrength: 0.7, polar: true, hbond: true, density: 0.68, dielectric: 22,
+      latticeTheta: [0, Math.PI],
+      molarMass: 17.031, cs: 2.1, cl: 4.7, cg: 2.1, latentFusion: 5.66, latentVap: 23.35,
+      meltC: -77.7, boilC: -33.3, saltSoluble: true,
+      triple: { c: -77.7, kPa: 6.06 }, critical: { c: 132.4, kPa: 11330 }, fusionSlope: 9000,
+      phaseNames: { solid: 'Ammonia ice', liquid: 'Ammonia', gas: 'Ammonia vapour' }
+    },
+    methane: {
+      name: 'Methane', formula: 'CH₄', imf: 'London dispersion only',
+      atoms: [atomAt('C', 10, 0, 0), atomAt('H', H_RADIUS, 17, Math.PI / 4), atomAt('H', H_RADIUS, 17, Math.PI * 3 / 4), atomAt('H', H_RADIUS, 17, -Math.PI * 3 / 4), atomAt('H', H_RADIUS, 17, -Math.PI / 4)],
+      bonds: [[0, 1], [0, 2], [0, 3], [0, 4]],
+      radius: 11, imfStrength: 0.25, polar: false, density: 0.42, dielectric: 1.7,
+      latticeTheta: [0, Math.PI / 4],
+      molarMass: 16.043, cs: 2.2, cl: 3.48, cg: 2.22, latentFusion: 0.94, latentVap: 8.19,
+      meltC: -182.5, boilC: -161.5, saltSoluble: false,
+      triple: { c: -182.5, kPa: 11.7 }, critical: { c: -82.6, kPa: 4599 }, fusionSlope: 2600,
+      phaseNames: { solid: 'Methane ice', liquid: 'Methane', gas: 'Methane' }
+    },
+    hf: {
+      name: 'Hydrogen fluoride', formula: 'HF', imf: 'Hydrogen bonding (chains)',
+      atoms: [atomAt('F', 9, 0, 0), atomAt('H', H_RADIUS, 15, 0)],
+      bonds: [[0, 1]],
+      radius: 9, imfStrength: 0.9, polar: true, hbond: true, density: 0.99, dielectric: 84,
+      latticeTheta: [0, Math.PI],
+      molarMass: 20.006, cs: 2.0, cl: 2.55, cg: 1.45, latentFusion: 4.58, latentVap: 7.49,
+      meltC: -83.6, boilC: 19.5, saltSoluble: false,
+      triple: { c: -83.6, kPa: 0.34 }, critical: { c: 188, kPa: 6480 }, fusionSlope: 9000,
+      phaseNames: { solid: 'HF crystal', liquid: 'HF', gas: 'HF vapour' }
+    },
+    ethanol: {
+      name: 'Ethanol', formula: 'C₂H₅OH', imf: 'Hydrogen bonding + dispersion',
+      atoms: [{ el: 'C', r: 9, x: 0, y: 0 }, { el: 'C', r: 10, x: -20, y: 9 }, { el: 'O', r: 9, x: 19, y: 8 }, { el: 'H', r: 5, x: 31, y: 0 }],
+      bonds: [[0, 1], [0, 2], [2, 3]],
+      radius: 12, imfStrength: 0.8, polar: true, hbond: true, density: 0.79, dielectric: 24.5, latticeSpacing: 66,
+      latticeTheta: [0, Math.PI],
+      molarMass: 46.069, cs: 1.7, cl: 2.44, cg: 1.42, latentFusion: 4.93, latentVap: 38.56,
+      meltC: -114.1, boilC: 78.4, saltSoluble: false,
+      triple: { c: -114.1, kPa: 4.3e-7 }, critical: { c: 241, kPa: 6137 }, fusionSlope: 9000,
+      phaseNames: { solid: 'Frozen ethanol', liquid: 'Ethanol', gas: 'Ethanol vapour' }
+    },
+    co2: {
+      name: 'Carbon dioxide', formula: 'CO₂', imf: 'London dispersion (non-polar)',
+      atoms: [atomAt('C', 9, 0, 0), atomAt('O', O_RADIUS, 21, 0), atomAt('O', O_RADIUS, 21, Math.PI)],
+      bonds: [[0, 1], [0, 2]],
+      radius: 11, imfStrength: 0.35, polar: false, density: 1.1, dielectric: 1.6, latticeSpacing: 60,
+      latticeTheta: [0, Math.PI / 2],
+      // At 1 atm CO₂ sublimes (its triple point is above 1 atm), so melting and boiling
+      // collapse onto one point; liquid CO₂ only exists above 518 kPa
+      molarMass: 44.01, cs: 1.2, cl: 2.0, cg: 0.84, latentFusion: 9.02, latentVap: 16.7,
+      meltC: -78.5, boilC: -78.5, saltSoluble: false,
+      triple: { c: -56.6, kPa: 518 }, critical: { c: 31, kPa: 7377 }, fusionSlope: 8000,
+      phaseNames: { solid: 'Dry ice', liquid: 'CO₂', gas: 'CO₂ gas' }
+    },
+    hexane: {
+      name: 'Hexane', formula: 'C₆H₁₄', imf: 'London dispersion (large chain)',
+      atoms: [{ el: 'C', r: 8, x: -4, y: -4 }, { el: 'C', r: 8, x: -16, y: 4 }, { el: 'C', r: 9, x: -28, y: -4 },
+        { el: 'C', r: 8, x: 8, y: 4 }, { el: 'C', r: 8, x: 20, y: -4 }, { el: 'C', r: 9, x: 32, y: 4 }],
+      bonds: [[0, 1], [1, 2], [0, 3], [3, 4], [4, 5]],
+      radius: 12, imfStrength: 0.45, polar: false, density: 0.66, dielectric: 1.9, latticeSpacing: 72,
+      latticeTheta: [0, Math.PI],
+      molarMass: 86.18, cs: 1.7, cl: 2.26, cg: 1.66, latentFusion: 13.08, latentVap: 28.85,
+      meltC: -95.3, boilC: 68.7, saltSoluble: false,
+      triple: { c: -95.3, kPa: 0.0012 }, critical: { c: 234.5, kPa: 3025 }, fusionSlope: 7000,
+      phaseNames: { solid: 'Frozen hexane', liquid: 'Hexane', gas: 'Hexane vapour' }
+    }
+  }
+  for (const [id, sub] of Object.entries(SUBSTANCES)) {
+    sub.id = id
+    // H-bond donors are H atoms bonded to N/O/F ({ h, parent } atom indices, len = bond length);
+    // acceptors are the N/O/F atoms themselves
+    sub.donors = []
+    sub.acceptors = []
+    // farthest atom from the centre, so pair loops can skip H-bond tests that can't succeed
+    sub.reach = Math.max(...sub.atoms.map(at => Math.hypot(at.x, at.y)))
+    if (!sub.hbond) continue
+    const isNOF = i => /^[NOF]$/.test(sub.atoms[i].el)
+    sub.atoms.forEach((at, i) => { if (isNOF(i)) sub.acceptors.push(i) })
+    const donor = (h, parent) => ({ h, parent, len: Math.hypot(sub.atoms[h].x - sub.atoms[parent].x, sub.atoms[h].y - sub.atoms[parent].y) })
+    for (const [i, j] of sub.bonds) {
+      if (sub.atoms[i].el === 'H' && isNOF(j)) sub.donors.push(donor(i, j))
+      if (sub.atoms[j].el === 'H' && isNOF(i)) sub.donors.push(donor(j, i))
+    }
+  }
+  // Body-frame angles of the H atoms, and of their mean (the dipole's δ+ end) for molecules
+  // that have one in 2D; flat NH₃ doesn't, so hydration turns it by its nearest H instead
+  for (const sub of Object.values(SUBSTANCES)) {
+    const hs = sub.atoms.filter(at => at.el === 'H')
+    sub.hAngles = hs.map(at => Math.atan2(at.y, at.x))
+    const sx = hs.reduce((s, at) => s + at.x, 0), sy = hs.reduce((s, at) => s + at.y, 0)
+    sub.dipoleAngle = Math.hypot(sx, sy) > 1 ? Math.atan2(sy, sx) : null
+  }
+
+  // Dissolved particles: z is the charge (0 for molecular solutes), drawn at radius px
+  const ION_TYPES = {
+    Na: { name: 'Sodium ion', formula: 'Na⁺', z: 1, charge: '+', radius: 7, color: '#ffdd88' },
+    Ca: { name: 'Calcium ion', formula: 'Ca²⁺', z: 2, charge: '2+', radius: 8, color: '#b8f0a0' },
+    Cl: { name: 'Chloride ion', formula: 'Cl⁻', z: -1, charge: '-', radius: 8, color: '#88b8ff' },
+    Suc: { name: 'Sucrose', formula: 'C₁₂H₂₂O₁₁', z: 0, charge: '', radius: 12, color: '#e8d8c8' }
+  }
+  const ION_TYPE_IDS = Object.keys(ION_TYPES) // recorder frames store an index into this
+  // Solutes: the particles one formula unit dissolves into, and the van 't Hoff factor i
+  // (ideal: the particle count) used by ΔTf = i·Kf·m and ΔTb = i·Kb·m. solubility is the
+  // saturated molality per solvent at 0 and 100 °C (linear in between); cell is the 2×2
+  // repeat of the crystal that precipitates ([row][column], null for an empty site).
+  const SOLUTES = {
+    nacl: {
+      name: 'Salt', formula: 'NaCl', particles: ['Na', 'Cl'], vantHoff: 2, molarMass: 58.44,
+      solubility: { water: [6.11, 6.71], ammonia: [0.5, 0.5] }, cell: [['Na', 'Cl'], ['Cl', 'Na']]
+    },
+    cacl2: {
+      name: 'Calcium chloride', formula: 'CaCl₂', particles: ['Ca', 'Cl', 'Cl'], vantHoff: 3, molarMass: 110.98,
+      solubility: { water: [5.36, 14.3], ammonia: [1, 1] }, cell: [['Ca', 'Cl'], ['Cl', null]]
+    },
+    sugar: {
+      name: 'Sugar', formula: 'C₁₂H₂₂O₁₁', particles: ['Suc'], vantHoff: 1, molarMass: 342.3,
+      solubility: { water: [5.24, 14.2], ammonia: [0.3, 0.3] }, cell: [['Suc', 'Suc'], ['Suc', 'Suc']]
+    }
+  }
+  for (const [id, solute] of Object.entries(SOLUTES)) {
+    solute.id = id
+    // crystal site spacing: the largest particle touching its neighbours
+    solute.spacing = 2 * Math.max(...solute.cell.flat().filter(Boolean).map(t => ION_TYPES[t].radius)) + 1
+  }
+  const MAX_MOLALITY = 10 // mol/kg
+  const DEFAULT_MOLALITY = 3 // mol/kg; about the old cartoon shift for salty water
+
+  // --- Phase diagram (P–T) ---
+  // Vapour-pressure curves are Clausius–Clapeyron straight lines in (1/T, ln P). Vaporisation
+  // runs from the triple point through the normal boiling point (when the substance boils at
+  // 1 atm) to the critical point; sublimation runs below the triple point with slope
+  // −ΔH_sub/R, or through the 1 atm sublimation point for CO₂. Melting follows a straight
+  // fusion line from the triple point with dP/dT = fusionSlope.
+  const P_ATM = 101.325 // kPa
+  const R_GAS = 8.314 // J/(mol·K)
+  for (const sub of Object.values(SUBSTANCES)) {
+    const invTriple = 1 / cToK(sub.triple.c)
+    sub.vapourCurve = [{ x: invTriple, y: Math.log(sub.triple.kPa) }] // x = 1/T (1/K), y = ln(P / kPa)
+    if (sub.boilC > sub.meltC) sub.vapourCurve.push({ x: 1 / cToK(sub.boilC), y: Math.log(P_ATM) })
+    sub.vapourCurve.push({ x: 1 / cToK(sub.critical.c), y: Math.log(sub.critical.kPa) })
+    sub.sublimationSlope = sub.boilC > sub.meltC
+      ? -(sub.latentFusion + sub.latentVap) * 1000 / R_GAS
+      : (Math.log(sub.triple.kPa) - Math.log(P_ATM)) / (invTriple - 1 / cToK(sub.meltC))
+    // Cryoscopic and ebullioscopic constants (K·kg/mol) from the same data: K = R·T²·M / ΔH,
+    // e.g. 1.86 and 0.51 for water
+    sub.kf = R_GAS * cToK(sub.meltC) ** 2 * sub.molarMass / 1000 / (sub.latentFusion * 1000)
+    sub.kb = R_GAS * cToK(sub.boilC) ** 2 * sub.molarMass / 1000 / (sub.latentVap * 1000)
+  }
+
+  // Lennard-Jones well depth (kJ/mol) for the MD mode, from the critical temperature
+  for (const sub of Object.values(SUBSTANCES)) sub.ljEps = R_GAS * cToK(sub.critical.c) / 1000 / LJ_TC_STAR
+
+  // Temperature (°C) where vapour coexists with the liquid, or with the solid below the
+  // triple point; null at or above the critical pressure (no boiling there)
+  function saturationTemp(sub, kPa) {
+    if (kPa >= sub.critical.kPa) return null
+    const curve = sub.vapourCurve
+    const y = Math.log(kPa)
+    let x
+    if (kPa < sub.triple.kPa) {
+      x = curve[0].x + (y - curve[0].y) / sub.sublimationSlope
+    } else {
+      let i = 0
+      while (i < curve.length - 2 && y > curve[i + 1].y) i++
+      x = curve[i].x + (y - curve[i].y) * (curve[i + 1].x - curve[i].x) / (curve[i + 1].y - curve[i].y)
+    }
+    return 1 / x - 273.15
+  }
+
+  // Vapour (or sublimation) pressure in kPa at c °C, for drawing the curves
+  function saturationPressure(sub, c) {
+    const curve = sub.vapourCurve
+    const x = 1 / cToK(c)
+    if (x >= curve[0].x) return Math.exp(curve[0].y + (x - curve[0].x) * sub.sublimationSlope)
+    let i = 0
+    while (i < curve.length - 2 && x < curve[i + 1].x) i++
+    return Math.exp(curve[i].y + (x - curve[i].x) * (curve[i + 1].y - curve[i].y) / (curve[i + 1].x - curve[i].x))
+  }
+
+  // Melting temperature (°C) on the fusion line at kPa (meaningful above the triple point).
+  // The line is pinned to the normal melting point so 1 atm reproduces meltC exactly.
+  function fusionTemp(sub, kPa) {
+    if (sub.boilC > sub.meltC) return sub.meltC + (kPa - P_ATM) / sub.fusionSlope
+    return sub.triple.c + (kPa - sub.triple.kPa) / sub.fusionSlope
+  }
+
+  // Cross-species attraction for mixtures (relative to water–water). Unlisted pairs use
+  // the geometric mean of the two like–like strengths, cut hard when polar meets non-polar.
+  const PAIR_ATTRACTION = {
+    'ethanol|hexane': 0.5, // miscible: the ethyl group mixes with the alkane
+    'ethanol|water': 0.95,
+    'hexane|water': 0.1
+  }
+  function crossAttraction(sa, sb) {
+    const key = [sa.id, sb.id].sort().join('|')
+    if (key in PAIR_ATTRACTION) return PAIR_ATTRACTION[key]
+    const mean = Math.sqrt(sa.imfStrength * sb.imfStrength)
+    return sa.polar === sb.polar ? mean : mean * 0.25
+  }
+  function isMiscible(sa, sb) {
+    return crossAttraction(sa, sb) >= 0.6 * Math.sqrt(sa.imfStrength * sb.imfStrength)
+  }
+  function canHBond(sa, sb) {
+    return (sa.donors.length > 0 && sb.acceptors.length > 0) || (sb.donors.length > 0 && sa.acceptors.length > 0)
+  }
+
+  // Temperature model: use Kelvin for speed scaling: v ~ sqrt(Tk)
+  function cToK(c) { return c + 273.15 }
+
+  // Seedable PRNG (mulberry32). Every draw that affects the trajectory goes through the
+  // engine's random(), so the same seed plus the same inputs replays the same run;
+  // cosmetic effects in the page use their own stream and never shift this one.
+  // next.state() is the position in the stream: createRng(next.state()) carries on from it.
+  function createRng(seed) {
+    let a = seed >>> 0
+    function next() {
+      a = (a + 0x6D2B79F5) >>> 0
+      let t = a
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+    next.state = () => a
+    return next
+  }
+
+  // --- Neighbour grid (cell list) ---
+  // Shared spatial hash for every neighbour query: items (anything with x/y) are binned
+  // into square cells over the sim box (width × height), so pair searches only visit the
+  // same and adjacent cells instead of all N² pairs. Rebuild after positions move.
+  const FORWARD_CELLS = [[1, 0], [-1, 1], [0, 1], [1, 1]] // half stencil: each cell pair once
+  function createNeighbourGrid() {
+    let items = []
+    let size = 1, cols = 1, rows = 1
+    let head = new Int32Array(1).fill(-1)
+    let next = new Int32Array(0)
+
+    function colOf(x) { const c = Math.floor(x / size); return c < 0 ? 0 : (c >= cols ? cols - 1 : c) }
+    function rowOf(y) { const r = Math.floor(y / size); return r < 0 ? 0 : (r >= rows ? rows - 1 : r) }
+
+    function rebuild(list, cellSize, width, height) {
+      items = list
+      size = cellSize
+      cols = Math.max(1, Math.ceil(width / size))
+      rows = Math.max(1, Math.ceil(height / size))
+      if (head.length < cols * rows) head = new Int32Array(cols * rows)
+      head.fill(-1)
+      if (next.length < list.length) next = new Int32Array(Math.max(list.length, next.length * 2))
+      for (let i = list.length - 1; i >= 0; i--) {
+        const c = rowOf(list[i].y) * cols + colOf(list[i].x)
+        next[i] = head[c]
+        head[c] = i
+      }
+    }
+
+    // Call fn(i, j) once for every pair (i < j) closer than maxDist (maxDist <= cellSize)
+    function forEachPair(maxDist, fn) {
+      const max2 = maxDist * maxDist
+      function visit(i, j) {
+        const dx = items[j].x - items[i].x, dy = items[j].y - items[i].y
+        if (dx * dx + dy * dy < max2) { if (i < j) fn(i, j); else fn(j, i) }
+      }
+      for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+          for (let i = head[cy * cols + cx]; i !== -1; i = next[i]) {
+            for (let j = next[i]; j !== -1; j = next[j]) visit(i, j)
+            for (const [ox, oy] of FORWARD_CELLS) {
+              const nx = cx + ox, ny = cy + oy
+              if (nx < 0 || nx >= cols || ny >= rows) continue
+              for (let j = head[ny * cols + nx]; j !== -1; j = next[j]) visit(i, j)
+            }
+          }
+        }
+      }
+    }
+
+    // Call fn(index, d2) for items within radius of (x, y); stops early when fn returns true
+    function forEachNear(x, y, radius, fn) {
+      const r2 = radius * radius
+      const c0 = colOf(x - radius), c1 = colOf(x + radius)
+      const r0 = rowOf(y - radius), r1 = rowOf(y + radius)
+      for (let cy = r0; cy <= r1; cy++) {
+        for (let cx = c0; cx <= c1; cx++) {
+          for (let i = head[cy * cols + cx]; i !== -1; i = next[i]) {
+            const dx = items[i].x - x, dy = items[i].y - y
+            const d2 = dx * dx + dy * dy
+            if (d2 <= r2 && fn(i, d2)) return true
+          }
+        }
+      }
+      return false
+    }
+
+    // Index of the nearest item to (x, y) that passes accept(i), or -1. Searches rings of
+    // cells outward and stops once the next ring can't hold anything closer.
+    function nearest(x, y, accept) {
+      const cx = colOf(x), cy = rowOf(y)
+      let best = -1, bestD2 = Infinity
+      const maxRing = Math.max(cols, rows)
+      for (let ring = 0; ring <= maxRing; ring++) {
+        if (best !== -1 && (ring - 1) * size > Math.sqrt(bestD2)) break
+        for (let oy = -ring; oy <= ring; oy++) {
+          const ry = cy + oy
+          if (ry < 0 || ry >= rows) continue
+          const edge = Math.abs(oy) === ring
+          for (let ox = -ring; ox <= ring; ox += edge ? 1 : ring * 2) {
+            const rx = cx + ox
+            if (rx >= 0 && rx < cols) {
+              for (let i = head[ry * cols + rx]; i !== -1; i = next[i]) {
+                if (accept && !accept(i)) continue
+                const dx = items[i].x - x, dy = items[i].y - y
+                const d2 = dx * dx + dy * dy
+                if (d2 < bestD2) { bestD2 = d2; best = i }
+              }
+            }
+            if (ring === 0) break
+          }
+        }
+      }
+      return best
+    }
+
+    return { rebuild, forEachPair, forEachNear, nearest }
+  }
+
+  // World positions of every atom: centre atom at (x,y), the others follow the species
+  // geometry rotated by m.angle. Stored on the molecule (atomX/atomY) so the H-bond
+  // test and the drawing share the same coordinates.
+  function placeAtoms(m) {
+    const atoms = m.species.atoms
+    if (!m.atomX || m.atomX.length !== atoms.length) {
+      m.atomX = new Array(atoms.length)
+      m.atomY = new Array(atoms.length)
+    }
+    const cos = Math.cos(m.angle), sin = Math.sin(m.angle)
+    for (let i = 0; i < atoms.length; i++) {
+      m.atomX[i] = m.x + atoms[i].x * cos - atoms[i].y * sin
+      m.atomY[i] = m.y + atoms[i].x * sin + atoms[i].y * cos
+    }
+  }
+
+  // Best donor H → acceptor candidate between two molecules, checking both directions
+  // (a donating to b and b donating to a). Valid bonds win, then the shortest H···A.
+  // Written into one reused object (hbBest) to keep the pair loop allocation-free.
+  const hbBest = { donor: null, acceptor: null, h: 0, k: 0, hx: 0, hy: 0, ax: 0, ay: 0, dist2: Infinity, valid: false }
+  const HBOND_MAX_DIST2 = HBOND_MAX_DIST * HBOND_MAX_DIST
+  function scanHBond(d, acc) {
+    const donors = d.species.donors, acceptors = acc.species.acceptors
+    for (let n = 0; n < donors.length; n++) {
+      const h = donors[n].h, parent = donors[n].parent
+      const hx = d.atomX[h], hy = d.atomY[h]
+      const bx = hx - d.atomX[parent], by = hy - d.atomY[parent]
+      for (let q = 0; q < acceptors.length; q++) {
+        const k = acceptors[q]
+        const ax = acc.atomX[k], ay = acc.atomY[k]
+        const dist2 = (ax - hx) * (ax - hx) + (ay - hy) * (ay - hy)
+        // angle test only when close enough: cos(D–H, H→A) >= HBOND_MIN_COS
+        const valid = dist2 <= HBOND_MAX_DIST2 &&
+          bx * (ax - hx) + by * (ay - hy) >= HBOND_MIN_COS * donors[n].len * Math.sqrt(dist2)
+        if ((valid && !hbBest.valid) || (valid === hbBest.valid && dist2 < hbBest.dist2)) {
+          hbBest.donor = d; hbBest.acceptor = acc; hbBest.h = h; hbBest.k = k
+          hbBest.hx = hx; hbBest.hy = hy; hbBest.ax = ax; hbBest.ay = ay
+          hbBest.dist2 = dist2; hbBest.valid = valid
+        }
+      }
+    }
+  }
+  function findHBond(a, b) {
+    hbBest.donor = null
+    hbBest.dist2 = Infinity
+    hbBest.valid = false
+    scanHBond(a, b)
+    scanHBond(b, a)
+    return hbBest.donor ? hbBest : null
+  }
+
+  function ionRadius(ion) { return ION_TYPES[ion.type].radius }
+
+  // Smallest signed angle difference a->b in [-pi, pi]
+  function angleDelta(a, b) {
+    let d = (b - a + Math.PI) % (Math.PI * 2)
+    if (d < 0) d += Math.PI * 2
+    return d - Math.PI
+  }
+
+  // Heat model reference: Q = 0 at absolute zero
+  const T0 = -273.15
+
+  // 2D Maxwell–Boltzmann distributions at c °C: speed v (m/s) for molar mass M (g/mol),
+  // and kinetic energy E (kJ/mol), which is exponential with mean RT in two dimensions
+  function maxwellSpeedPdf(v, c, molarMass) {
+    const a = molarMass / 1000 / (R_GAS * cToK(c)) // 1/σ² in s²/m²
+    return a * v * Math.exp(-a * v * v / 2)
+  }
+  function maxwellEnergyPdf(E, c) {
+    const RT = R_GAS * cToK(c) / 1000 // kJ/mol
+    return Math.exp(-E / RT) / RT
+  }
+
+  // One simulation box. All state lives in this closure; the returned object exposes the
+  // controls, the live containers (molecules, ions, bonds) and the metrics.
+  // options: { seed, width, height, moleculeCount, temperature (°C), pressure (kPa), substance,
+  //   mixPartner, physicsMode ('cartoon' | 'md'), thermostat ('berendsen' | 'andersen' | 'none'),
+  //   solute (key of SOLUTES), molality (mol/kg), nucleation (bool) }
+  // English text for a phase from getPhaseInfo(): 'Solid (Ice)', 'Liquid (Salt solution,
+  // supercooled)', 'Gas (Steam, salt solution)' or 'Supercritical fluid (Water)'
+  function phaseLabel(info) {
+    const names = SUBSTANCES[info.substance].phaseNames
+    const sol = info.solute ? SOLUTES[info.solute].name : null
+    if (info.state === 'supercritical') return `Supercritical fluid (${names.liquid})`
+    if (info.state === 'solid') return sol ? `Solid (${names.solid} + ${sol.toLowerCase()})` : `Solid (${names.solid})`
+    if (info.state === 'gas') return sol ? `Gas (${names.gas}, ${sol.toLowerCase()} solution)` : `Gas (${names.gas})`
+    const liquid = sol ? `${sol} solution` : names.liquid
+    return info.supercooled ? `Liquid (${liquid}, supercooled)` : `Liquid (${liquid})`
+  }
+
+  function createEngine(options = {}) {
+    let W = options.width || 960
+    let H = options.height || 560
+    let moleculeCount = Math.max(2, Math.min(MAX_MOLECULES, Math.round(options.moleculeCount || NUM_MOLECULES)))
+    let temperature = 25 // °C, set through setTemperature()
+    // Heat (kJ/mol above T0, the heat chart's x axis), one state with the temperature:
+    // setTemperature() moves it along Q_of_T, setHeat() can stop it part-way across a
+    // melting or boiling plateau, where the temperature stays put (see plateau())
+    let heat = 0
+    // Heater power (W, negative cools) and Newton's-law cooling toward the ambient
+    // temperature, P_loss = cooling·(T − ambient) with cooling in W/K (0 = insulated)
+    let heaterPower = 0
+    let cooling = 0
+    let ambient = DEFAULT_AMBIENT
+    let sampleMoles = 1 // mol the heater warms; the page shows heat for the whole sample
+    let lattice = [] // array of anchor points {x,y}
+    let SOLID_THRESHOLD = 0 // deg C; follows the selected substance's melting point
+    let pressure = P_ATM // kPa
+    // Pure-substance melting/boiling points at the current pressure (see applyPressure)
+    let meltAtP = 0
+    let boilAtP = 100
+
+    let substance = SUBSTANCES.water
+    // Mixture mode: optional second species sharing the box (null = pure substance).
+    // Phase thresholds and the heat chart always follow the first (solvent) substance.
+    let mixPartner = null
+    let mixCross = 0 // cached crossAttraction(substance, mixPartner)
+    let mixLayering = false // immiscible mixture: apply buoyancy between unlike molecules
+    // Directional H-bond model (toggle); off falls back to the centre-distance cutoff
+    let hbondDirectional = true
+    // Sealed-container evaporation mode (toggle): molecules are liquid or escaped vapour
+    let evaporation = false
+    // Thermalising collisions that keep speeds Maxwell–Boltzmann distributed (toggle)
+    let mbResample = false
+    // 'cartoon' (the teaching model) or 'md' (Lennard-Jones molecular dynamics)
+    let physicsMode = 'cartoon'
+    // MD thermostat driven by the temperature slider: 'berendsen', 'andersen' or 'none' (NVE)
+    let thermostat = 'berendsen'
+    let mdEpsCross = 0 // cached LJ ε (kJ/mol) between the two species of a mixture
+    let mdReach = IMF_CUTOFF // px, grid cell size covering the largest LJ cutoff
+    let mdPotential = 0 // kJ/mol, total LJ energy after the last force evaluation
+    function pairAttraction(sa, sb) {
+      return sa === sb ? sa.imfStrength : mixCross
+    }
+
+    // Dissolved solute: which one, its molality (mol/kg of solvent) and whether it is in.
+    // It lowers the freezing point by ΔTf = i·Kf·m and raises the boiling point by
+    // ΔTb = i·Kb·m; every phase decision reads meltPoint/boilPoint, not meltAtP/boilAtP.
+    let saltOn = false
+    let solute = SOLUTES[options.solute] || SOLUTES.nacl
+    let molality = options.molality == null ? DEFAULT_MOLALITY : Math.min(MAX_MOLALITY, Math.max(0, Number(options.molality) || 0))
+    let meltPoint = 0 // deg C, solution freezing point at the current pressure
+    let boilPoint = 100
+    // Crystal the solute precipitates into: sites (ix, iy) one solute.spacing apart from an
+    // origin on the floor, iy ≤ 0 going up. Formula unit u is ions[u·k .. u·k + k − 1] for
+    // k particles per unit; its ions carry site { ix, iy } while it is in the crystal.
+    let crystal = null // { x, y, taken: Set of site keys }
+    const crystalOrder = [] // formula units in the crystal, oldest first
+    let crystalClock = 0 // formula units due to precipitate or dissolve
+
+    // Freeze sequence state
+    let freezeTimerMs = 0 // counts down when freezing from gas
+    let freezeBoost = 0 // 0..1, drives extra gravity + damping during freeze
+    let moveDamp = 1 // scales translational speed during special states
+    let cartoonSpeed = BASE_SPEED // px/s per unit of m.vx in the last cartoon step
+    // Molecules held by a pointer or pinned: index → { x, y, pinned }. They sit at (x, y)
+    // with no velocity, but everything around them still feels them.
+    const holds = new Map()
+    let assignedAnchors = null // array of anchor points mapped 1:1 to molecules
+    // Nucleation mode (cartoon only): instead of every molecule snapping to the lattice at
+    // the melting point, the crystal starts from seeds and grows where a molecule touches
+    // it. A frozen molecule holds lattice index m.anchor; frozenSites has the taken ones.
+    let nucleation = !!options.nucleation
+    const frozenSites = new Set()
+    let latticeKey = '' // substance and geometry the lattice (and so m.anchor) was built for
+    let latticeStep = LATTICE_SPACING_SOLID // px between neighbouring sites
+
+    function speedMultiplier(c) {
+      const Tk = Math.max(0, cToK(c)) // 0 at absolute zero
+      // baseline sqrt(T/M) scaling (heavier molecules are slower at the same temperature)
+      // with a mild high-T boost factor to ensure agility near boiling
+      const base = Math.sqrt(Tk / 273.15) * Math.sqrt(SUBSTANCES.water.molarMass / substance.molarMass)
+      const hotBoost = 1 + 0.35 * Math.min(1, Math.max(0, (c - (boilPoint - 60)) / 100)) // up to +35% boost ~40°C above boiling
+      return base * hotBoost
+    }
+
+    // Above both the critical temperature and pressure there is no liquid–gas boundary
+    function isSupercritical(c) {
+      return pressure >= substance.critical.kPa && c >= substance.critical.c
+    }
+
+    // Phase estimation at the current pressure for the selected substance, at the
+    // solution's freezing and boiling points when a solute is in; c defaults to the box's
+    // own temperature. Returns { state: 'solid' | 'liquid' | 'gas' | 'supercritical',
+    // substance (id), solute (id, or null without one), supercooled }
+    function getPhaseInfo(c = temperature) {
+      const phase = (state, supercooled = false) => ({ state, substance: substance.id, solute: saltOn ? solute.id : null, supercooled })
+      // part-way across a plateau, whichever phase holds most of the box
+      const p = c === temperature ? plateau() : null
+      if (p) return phase(p.kind === 'melt' ? (p.progress < 0.5 ? 'solid' : 'liquid') : (p.progress < 0.5 ? 'liquid' : 'gas'))
+      // In nucleation mode the box is solid once most of it has frozen, on either side of
+      // the melting point; below it and still mostly liquid, it is supercooled
+      if (nucleation && physicsMode === 'cartoon' && c < boilPoint && !isSupercritical(c)) {
+        if (frozenFraction() >= 0.5) return phase('solid')
+        if (c <= meltPoint) return phase('liquid', true)
+      }
+      if (c <= meltPoint) return phase('solid')
+      if (isSupercritical(c)) return phase('supercritical')
+      if (c >= boilPoint) return phase('gas')
+      return phase('liquid')
+    }
+
+    // The same phase as English text, e.g. 'Solid (Ice + salt)', for exports and the recorder
+    function getPhase(c = temperature) {
+      return phaseLabel(getPhaseInfo(c))
+    }
+
+    // Molecule container
+    const molecules = []
+    // Dissolved particles, spawned when the solute is added
+    const ions = [] // { x, y, vx, vy, charge: '+', '2+', '-' or '', type: key of ION_TYPES }
+    // Bond tracking: map of pairKey(i, j) to {start: seconds, like: same species?, i, j,
+    // hb: H-bond atoms {donor, h, k} or null, seen: frame stamp}
+    const bonds = new Map()
+    let bondStamp = 0
+    function pairKey(i, j) { return i * 65536 + j } // i < j < MAX_MOLECULES
+    // Bonds that are currently being disrupted by nearby solute particles
+    const disruptedBonds = new Set()
+    // Rolling average of bond durations (seconds)
+    let bondDurations = []
+    const MAX_BOND_SAMPLES = 1000
+    // Track sim time and a short history of active bonds for 3s average in liquid/gas
+    let simTime = 0
+    const activeBondHistory = [] // {t, count}
+    // Latest readings, refreshed every step (activeBonds is the 3 s average in liquid/gas)
+    // MD energies are per molecule in kJ/mol; kineticTemp is the temperature (K) implied by them
+    const metrics = {
+      avgBondDuration: 0, activeBonds: 0, vapour: 0, liquid: 0, vapourAvg: 0,
+      likeBonds: 0, unlikeBonds: 0, // mixtures: like–like and like–unlike contacts in attraction range
+      hBonds: 0, // open bonds that are valid directional H-bonds
+      bondsBroken: 0, // bonds ended since tracking last restarted; the newest lifetimes end bondDurations
+      kineticEnergy: 0, potentialEnergy: 0, totalEnergy: 0, kineticTemp: 0,
+      hydration: 0, // solvent molecules in the first shell, averaged over the charged ions
+      saturation: 0, // solute molality over its solubility at this temperature (> 1: supersaturated)
+      precipitated: 0, // formula units in the crystal
+      frozen: 0, // nucleation mode: molecules in the solvent crystal
+      latentReleased: 0 // kJ/mol of latent heat of fusion given off by that crystal so far
+    }
+    const vapourHistory = [] // {t, count} in evaporation mode
+
+    // Forget all bond bookkeeping when what counts as a bond (or which molecule is which) changes
+    function resetBondTracking() {
+      bonds.clear()
+      disruptedBonds.clear()
+      bondDurations = []
+      activeBondHistory.length = 0
+      metrics.bondsBroken = 0
+    }
+
+    let seed = (options.seed == null ? Math.floor(Math.random() * 1e9) : Math.floor(Number(options.seed) || 0)) >>> 0
+    let random = createRng(seed)
+    function rand(min, max) { return random() * (max - min) + min }
+
+    // Neighbour grids for molecule pairs, ion lookups and lattice anchors
+    const moleculeGrid = createNeighbourGrid()
+    const ionGrid = createNeighbourGrid()
+    const anchorGrid = createNeighbourGrid()
+
+    function createMolecule(species = substance) {
+      const x = rand(30, W - 30)
+      const y = rand(30, H - 30)
+      const angle = rand(0, Math.PI * 2)
+      const v = rand(0.4, 1.2)
+      const vx = Math.cos(angle) * v
+      const vy = Math.sin(angle) * v
+      return { x, y, vx, vy, angle: rand(0, Math.PI * 2), spin: rand(-1, 1) * 0.5, gvy: 0, species, vapour: false, bind: 0, escapedAt: 0, frozen: false, anchor: -1 }
+    }
+
+    // In mixture mode every other molecule belongs to the second species (50:50 by count)
+    function speciesFor(i) {
+      return mixPartner && i % 2 === 1 ? mixPartner : substance
+    }
+
+    function initMolecules() {
+      molecules.length = 0
+      for (let i = 0; i < moleculeCount; i++) molecules.push(createMolecule(speciesFor(i)))
+      thawAll()
+      clearCrystal()
+      ions.length = 0
+    }
+
+    function createIon(type) {
+      // Place ions near a random solvent molecule so they sit between molecules,
+      // not far away in empty space.
+      const base = molecules.length
+        ? molecules[Math.floor(random() * molecules.length)]
+        : { x: W * 0.5, y: H * 0.5 }
+      const offsetR = 20 + random() * 18
+      const offsetA = random() * Math.PI * 2
+      const x = base.x + Math.cos(offsetA) * offsetR
+      const y = base.y + Math.sin(offsetA) * offsetR
+      const angle = rand(0, Math.PI * 2)
+      const speed = rand(0.2, 0.6)
+      return {
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        charge: ION_TYPES[type].charge,
+        type,
+        site: null,
+        shell: 0 // solvent molecules in its first shell, last step
+      }
+    }
+
+    function update(dt, tempC) {
+      simTime += dt
+      if (physicsMode === 'md') mdUpdate(dt, tempC)
+      else cartoonUpdate(dt, tempC)
+      applyHolds()
+      updateMetrics(tempC)
+    }
+
+    // Brownian motion for the dissolved particles plus their hydration shells and the forces
+    // between them (only when the solute is in); needs moleculeGrid binned on the current
+    // positions. Ions are dragged by the solvent and kicked harder the hotter it is; ions in
+    // the crystal settle onto their sites instead.
+    function moveIons(dt, tempC, moveSolvent) {
+      let shells = 0, charged = 0
+      if (saltOn && ions.length) {
+        crystallise(dt, tempC)
+        ionForces(dt)
+        const drag = Math.exp(-ION_DRAG * dt)
+        const kick = ION_KICK * Math.sqrt(Math.max(0, cToK(tempC)) / 273.15 * dt)
+        const liquid = tempC > meltPoint
+        const settle = Math.min(1, CRYSTAL_PULL * dt)
+        for (const ion of ions) {
+          if (ion.site) {
+            ion.x += (crystal.x + ion.site.ix * solute.spacing - ion.x) * settle
+            ion.y += (crystal.y + ion.site.iy * solute.spacing - ion.y) * settle
+            ion.vx = ion.vy = 0
+          } else {
+            ion.x += ion.vx * BASE_SPEED * 0.6 * dt
+            ion.y += ion.vy * BASE_SPEED * 0.6 * dt
+            ion.vx = ion.vx * drag + (random() - 0.5) * kick
+            ion.vy = ion.vy * drag + (random() - 0.5) * kick
+          }
+
+          const shell = liquid ? hydrate(ion, dt, moveSolvent) : -1
+          ion.shell = Math.max(0, shell)
+          if (ion.site) continue
+          if (ION_TYPES[ion.type].z && shell >= 0) { shells += shell; charged++ }
+          // weak attraction toward the nearest molecule when none is close, so ions stay
+          // interspersed within the liquid rather than drifting away
+          if (shell <= 0 && molecules.length) {
+            const nearest = molecules[moleculeGrid.nearest(ion.x, ion.y)]
+            const bestD2 = nearest ? (nearest.x - ion.x) ** 2 + (nearest.y - ion.y) ** 2 : Infinity
+            if (nearest && bestD2 > 1) {
+              const d = Math.sqrt(bestD2)
+              const nx = (nearest.x - ion.x) / d
+              const ny = (nearest.y - ion.y) / d
+              const pull = 12 * dt // very gentle pull
+              ion.vx += nx * pull
+              ion.vy += ny * pull
+            }
+          }
+          // keep within bounds
+          const r = ionRadius(ion)
+          if (ion.x < r) { ion.x = r; ion.vx = Math.abs(ion.vx) }
+          if (ion.x > W - r) { ion.x = W - r; ion.vx = -Math.abs(ion.vx) }
+          if (ion.y < r) { ion.y = r; ion.vy = Math.abs(ion.vy) }
+          if (ion.y > H - r) { ion.y = H - r; ion.vy = -Math.abs(ion.vy) }
+        }
+      }
+      metrics.hydration = charged ? shells / charged : 0
+      metrics.saturation = saltOn ? molality / Math.max(1e-9, solubilityAt(tempC)) : 0
+      metrics.precipitated = crystalOrder.length
+    }
+
+    // Screened Coulomb forces between free ions: z₁z₂ / ε over the squared distance (relative
+    // to contact), fading with the Debye length of the solution. ε runs from 1 for a bare ion
+    // to the solvent's dielectric constant for a fully hydrated one, so ions that lose their
+    // water (frozen or boiled off) attract hard. Overlapping ions are pushed apart.
+    function ionForces(dt) {
+      const strength = solute.particles.reduce((sum, t) => sum + ION_TYPES[t].z ** 2, 0) / 2 * dissolvedMolality()
+      const debye = Math.max(8, Math.min(ION_CUTOFF / 2, DEBYE_PX / Math.sqrt(Math.max(strength, 0.01))))
+      const epsOf = ion => 1 + (substance.dielectric - 1) * Math.min(1, ion.shell / HYDRATION_FULL)
+      ionGrid.rebuild(ions, ION_CUTOFF, W, H)
+      ionGrid.forEachPair(ION_CUTOFF, (i, j) => {
+        const a = ions[i], b = ions[j]
+        if (a.site && b.site) return
+        const d = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2) || 1
+        const ux = (b.x - a.x) / d, uy = (b.y - a.y) / d // a → b
+        const contact = ionRadius(a) + ionRadius(b)
+        if (d < contact) {
+          const push = REPULSION_STRENGTH * (contact - d) * (a.site || b.site ? 1 : 0.5)
+          if (!a.site) { a.x -= ux * push; a.y -= uy * push }
+          if (!b.site) { b.x += ux * push; b.y += uy * push }
+          return
+        }
+        const zz = ION_TYPES[a.type].z * ION_TYPES[b.type].z
+        if (!zz) return
+        const eps = Math.sqrt(epsOf(a) * epsOf(b))
+        const dv = ION_COULOMB * zz / eps * (contact / d) ** 2 * Math.exp(-(d - contact) / debye) * dt * 60
+        // like charges (zz > 0) push apart, opposite ones pull together
+        if (!a.site) { a.vx -= ux * dv; a.vy -= uy * dv }
+        if (!b.site) { b.vx += ux * dv; b.vy += uy * dv }
+      })
+    }
+
+    // Saturated molality at c °C in the current solvent
+    function solubilityAt(c) {
+      const s = solute.solubility[substance.id]
+      if (!s) return 0
+      return Math.max(s[0] * 0.5, s[0] + (s[1] - s[0]) * c / 100)
+    }
+    // What the solution actually holds: never more than saturation
+    function dissolvedMolality() {
+      return saltOn ? Math.min(molality, solubilityAt(temperature)) : 0
+    }
+
+    // Formula units the liquid can hold at tempC: none once it has frozen or boiled away,
+    // fewer as the sealed box's vapour takes molecules out of the liquid
+    function unitsSoluble(tempC) {
+      if (tempC <= meltPoint || tempC >= boilPoint) return 0
+      let liquid = 0
+      for (const m of molecules) if (m.species === substance && !m.vapour) liquid++
+      return Math.floor(solubilityAt(tempC) * liquid * substance.molarMass / 1000)
+    }
+
+    // Move formula units into the crystal while the solution holds more than it can, and back
+    // out (newest first) once it can hold more; a few per second, faster the larger the gap
+    function crystallise(dt, tempC) {
+      const k = solute.particles.length
+      const excess = Math.floor(ions.length / k) - crystalOrder.length - unitsSoluble(tempC)
+      if (excess === 0 || (excess < 0 && !crystalOrder.length)) { crystalClock = 0; return }
+      crystalClock += dt * Math.max(CRYSTAL_MIN_RATE, Math.abs(excess) * CRYSTAL_RATE)
+      for (let n = 0; crystalClock >= 1 && n < Math.abs(excess); n++) {
+        crystalClock -= 1
+        if (excess > 0 ? !precipitateUnit() : !dissolveUnit()) break
+      }
+    }
+
+    function siteKey(ix, iy) { return ix * 4096 + iy }
+    // Particle type at a site, from the solute's 2×2 cell
+    function siteType(ix, iy) { return solute.cell[iy & 1][ix & 1] }
+
+    // Free site for a particle type nearest the crystal origin (rows count 1.5× so it grows
+    // wider than tall), or null when the box has no room left
+    function freeSite(type) {
+      const a = solute.spacing
+      let best = null, bestScore = Infinity
+      for (let ring = 0; ring < 200 && ring <= bestScore; ring++) {
+        for (let iy = -ring; iy <= 0; iy++) {
+          for (let ix = -ring; ix <= ring; ix++) {
+            if (Math.max(Math.abs(ix), -iy) !== ring || siteType(ix, iy) !== type || crystal.taken.has(siteKey(ix, iy))) continue
+            const x = crystal.x + ix * a, y = crystal.y + iy * a
+            if (x < a / 2 || x > W - a / 2 || y < a / 2) continue
+            const score = Math.hypot(ix, iy * 1.5)
+            if (score < bestScore) { best = { ix, iy }; bestScore = score }
+          }
+        }
+      }
+      return best
+    }
+
+    // Put the dissolved formula unit nearest the crystal (the lowest one when it starts a
+    // new crystal) onto free sites. Returns false when nothing could be placed.
+    function precipitateUnit() {
+      const k = solute.particles.length
+      const inCrystal = new Set(crystalOrder)
+      let unit = -1, best = Infinity
+      for (let u = 0; u < Math.floor(ions.length / k); u++) {
+        if (inCrystal.has(u)) continue
+        const ion = ions[u * k]
+        const score = crystal ? Math.hypot(ion.x - crystal.x, ion.y - crystal.y) : -ion.y
+        if (score < best) { unit = u; best = score }
+      }
+      if (unit < 0) return false
+      if (!crystal) {
+        const a = solute.spacing
+        crystal = { x: Math.min(W - a * 2, Math.max(a * 2, ions[unit * k].x)), y: H - a / 2 - 1, taken: new Set() }
+      }
+      const sites = []
+      for (let p = 0; p < k; p++) {
+        const site = freeSite(ions[unit * k + p].type)
+        if (!site) break
+        sites.push(site)
+        crystal.taken.add(siteKey(site.ix, site.iy))
+      }
+      if (sites.length < k) {
+        for (const site of sites) crystal.taken.delete(siteKey(site.ix, site.iy))
+        return false
+      }
+      sites.forEach((site, p) => { ions[unit * k + p].site = site })
+      crystalOrder.push(unit)
+      return true
+    }
+
+    // Release the newest formula unit from the crystal with a small upward kick
+    function dissolveUnit() {
+      const k = solute.particles.length
+      const unit = crystalOrder.pop()
+      if (unit === undefined) return false
+      for (let p = 0; p < k; p++) {
+        const ion = ions[unit * k + p]
+        crystal.taken.delete(siteKey(ion.site.ix, ion.site.iy))
+        ion.site = null
+        ion.vx = (random() - 0.5) * 0.4
+        ion.vy = -0.5
+      }
+      if (!crystalOrder.length) crystal = null
+      return true
+    }
+
+    function clearCrystal() {
+      for (const ion of ions) ion.site = null
+      crystal = null
+      crystalOrder.length = 0
+      crystalClock = 0
+    }
+
+    // Pull the solvent molecules around one ion toward its first shell (pushing them out
+    // inside it) and turn them so the δ− end faces a cation or an H faces an anion; the
+    // ion takes the opposite pull. Neutral solutes attract weakly and orient nothing.
+    // moveSolvent false (MD) only turns the molecules, leaving their forces to Verlet.
+    // Returns how many molecules sit in the first shell.
+    function hydrate(ion, dt, moveSolvent) {
+      const type = ION_TYPES[ion.type]
+      const charge = type.z ? Math.abs(type.z) : 0.3
+      let count = 0
+      moleculeGrid.forEachNear(ion.x, ion.y, HYDRATION_RANGE, (i, d2) => {
+        const m = molecules[i]
+        const sp = m.species
+        if (!sp.saltSoluble || m.vapour) return
+        const d = Math.sqrt(d2) || 1
+        const ux = (ion.x - m.x) / d, uy = (ion.y - m.y) / d // molecule → ion
+        const shell = type.radius + sp.radius + HYDRATION_GAP
+        if (d < shell + HYDRATION_GAP * 2) count++
+        const free = moveSolvent && !holds.has(i)
+        if (d < shell) {
+          const push = REPULSION_STRENGTH * (shell - d) * 0.5
+          if (free) { m.x -= ux * push; m.y -= uy * push }
+          ion.x += ux * push; ion.y += uy * push
+        } else {
+          const dv = HYDRATION_STRENGTH * charge * (1 - (d - shell) / (HYDRATION_RANGE - shell)) * dt * 60
+          if (free) { m.vx += ux * dv; m.vy += uy * dv }
+          ion.vx -= ux * dv * 0.5; ion.vy -= uy * dv * 0.5
+        }
+        if (!type.z || holds.has(i)) return
+        // body angle that points the dipole's δ− end (or, for an anion, an H) at the ion
+        const toIon = Math.atan2(uy, ux)
+        let target = null
+        if (type.z > 0 && sp.dipoleAngle !== null) target = toIon + Math.PI - sp.dipoleAngle
+        else {
+          for (const h of sp.hAngles) {
+            const t = type.z > 0 ? toIon + Math.PI - h : toIon - h
+            if (target === null || Math.abs(angleDelta(m.angle, t)) < Math.abs(angleDelta(m.angle, target))) target = t
+          }
+        }
+        if (target === null) return
+        const turn = Math.min(1, HYDRATION_TURN * charge * (1 - d / HYDRATION_RANGE) * dt)
+        m.angle += angleDelta(m.angle, target) * turn
+      })
+      return count
+    }
+
+    // Like/unlike contacts this step: every pair in attraction range, by distance alone, so
+    // both kinds of pair count the same way (the H-bond window gates bonds, not contacts)
+    let likeContacts = 0, unlikeContacts = 0
+    function countContact(a, b) {
+      if (a.species === b.species) likeContacts++
+      else unlikeContacts++
+    }
+
+    // Track bond start; remember which atoms carry an H-bond so the overlay can draw H···A
+    function markBond(i, j, hb, stamp) {
+      const a = molecules[i], b = molecules[j]
+      const key = pairKey(i, j)
+      let info = bonds.get(key)
+      if (!info) {
+        info = { start: simTime, like: a.species === b.species, i, j, hb: null, seen: 0 }
+        bonds.set(key, info)
+      }
+      info.seen = stamp
+      info.hb = hb ? { donor: hb.donor === a ? i : j, h: hb.h, k: hb.k } : null
+      // Mark bond as disrupted if a nearby ion is present (ionGrid is binned for this step)
+      if (saltOn && ions.length) {
+        const mx = (a.x + b.x) * 0.5
+        const my = (a.y + b.y) * 0.5
+        if (ionGrid.forEachNear(mx, my, IMF_CUTOFF * 0.8, k => !ions[k].site)) disruptedBonds.add(key)
+      }
+    }
+
+    // Bonds not seen this step (out of range or no longer a valid H-bond) just broke: record duration
+    function closeBonds(stamp) {
+      for (const [key, info] of bonds) {
+        if (info.seen === stamp) continue
+        const dur = Math.max(0, simTime - info.start)
+        bonds.delete(key)
+        disruptedBonds.delete(key)
+        bondDurations.push(dur)
+        if (bondDurations.length > MAX_BOND_SAMPLES) bondDurations.shift()
+        metrics.bondsBroken++
+      }
+    }
+
+    // The cartoon model: velocity nudges for attraction, position pushes for repulsion,
+    // temperature-scaled gravity and the solid lattice
+    function cartoonUpdate(dt, tempC) {
+      const mult = speedMultiplier(tempC)
+      // Part-way across a plateau the heat decides how much of the box is crystal (melting)
+      // or vapour (boiling)
+      const onPlateau = plateau()
+      const melting = onPlateau && onPlateau.kind === 'melt' ? onPlateau.progress : null
+      const boiling = onPlateau && onPlateau.kind === 'boil' ? onPlateau.progress : null
+      // In nucleation mode, and while melting, the lattice does not hold the whole box below
+      // the melting point, only the molecules in the crystal (see growCrystal)
+      const solidBox = tempC <= SOLID_THRESHOLD && !nucleation && melting === null
+      // Movement damping: reduced during freeze and in solid
+    const solidMotionDamp = solidBox ? 0.15 : 1
+      moveDamp = Math.min(solidMotionDamp, 1)
+      const speedScale = BASE_SPEED * mult * Math.min(1, moveDamp + (1 - freezeBoost) * 0.65)
+      cartoonSpeed = speedScale
+      let rotScale = 0.8 * mult * (1 - 0.6 * freezeBoost)
+      if (solidBox) rotScale *= 0.25
+
+    // Temperature-dependent gravity/ground factors: lighten as temperature rises
+      const liquidRange = Math.max(20, boilPoint - meltPoint)
+      const hotFactor = Math.min(1, Math.max(0, (tempC - meltPoint) / (0.9 * liquidRange))) // full loosening ~10% below boiling
+      function gravityFor(hot) {
+        let gAccel = G_ACCEL_BASE * (1 - 0.95 * hot) // reduce up to 95%
+        let gTerm = G_TERM_BASE * (1 - 0.9 * hot) + 20 * hot // very weak terminal pull
+        let floorFriction = Math.max(0.05, FLOOR_FRICTION_BASE * (1 - 0.95 * hot)) // reduce up to 95%
+        // During active freeze, temporarily strengthen gravity to ensure descent from gas
+        if (freezeBoost > 0) {
+          gAccel += G_ACCEL_BASE * 0.9 * freezeBoost
+          gTerm += 140 * freezeBoost
+          // increase floor friction when landing to help settle into lattice
+          floorFriction += 2.0 * freezeBoost
+        }
+        return { gAccel, gTerm, floorFriction }
+      }
+      // In evaporation mode, and while boiling, the liquid stays pooled and only escaped
+      // vapour roams freely
+      const pooled = evaporation || boiling !== null
+      const liquidGravity = gravityFor(pooled ? Math.min(hotFactor, EVAP_LIQUID_HOT) : hotFactor)
+      const vapourGravity = pooled ? gravityFor(1) : liquidGravity
+
+    for (const m of molecules) {
+        // Thermal motion (scaled by temperature; a heavier second species moves slower)
+        const massFactor = m.species === substance ? 1 : Math.sqrt(substance.molarMass / m.species.molarMass)
+        const vapourFactor = m.vapour ? VAPOUR_SPEED : 1
+        m.x += m.vx * speedScale * massFactor * vapourFactor * dt
+        m.y += m.vy * speedScale * massFactor * vapourFactor * dt
+
+        // Gravity component (independent of temperature scaling); scaled by density
+        // relative to the solvent so a less dense liquid floats on top
+        const { gAccel, gTerm, floorFriction } = m.vapour ? vapourGravity : liquidGravity
+        const densityFactor = m.species.density / substance.density
+    m.gvy = Math.min(gTerm * densityFactor, m.gvy + gAccel * densityFactor * dt)
+        m.y += m.gvy * dt
+
+        // Rotational drift
+        m.angle += m.spin * rotScale * dt
+
+        // Wall collisions
+        const margin = 18
+        if (m.x < margin) { m.x = margin; m.vx = Math.abs(m.vx) * WALL_RESTITUTION }
+        if (m.x > W - margin) { m.x = W - margin; m.vx = -Math.abs(m.vx) * WALL_RESTITUTION }
+        if (m.y < margin) { m.y = margin; m.vy = Math.abs(m.vy) * WALL_RESTITUTION; m.gvy = 0 }
+        if (m.y > H - margin) {
+          m.y = H - margin
+          m.vy = -Math.abs(m.vy) * WALL_RESTITUTION
+          m.gvy = 0 // absorb gravitational fall at the floor
+          // Floor friction: reduce horizontal motion while on the ground
+          const fr = Math.max(0, 1 - floorFriction * dt)
+          m.vx *= fr
+        }
+      }
+      // held molecules are in place before the pair search sees them
+      applyHolds()
+
+      // Bin molecules once; the ion search and the pair interactions below share the grid
+      moleculeGrid.rebuild(molecules, IMF_CUTOFF, W, H)
+
+      moveIons(dt, tempC, true)
+
+      // Interactions: repulsion (short-range) + attraction (mid-range), both temp-scaled
+      for (const m of molecules) {
+        placeAtoms(m)
+        m.bind = 0
+      }
+      const Tk = Math.max(0, cToK(tempC))
+      const coolFactor = 1 - Math.min(1, Tk / (1.6 * cToK(boilPoint))) // stronger attraction when cooler; fades as temp rises
+      if (saltOn) ionGrid.rebuild(ions, IMF_CUTOFF, W, H)
+      // A solute weakens the attraction between solvent molecules, more the more particles
+      // it puts in (0.6 for 3 mol/kg of NaCl)
+      const soluteFactor = saltOn ? 1 - 0.4 * Math.min(1, solute.vantHoff * molality / (2 * DEFAULT_MOLALITY)) : 1
+      const stamp = ++bondStamp
+      likeContacts = unlikeContacts = 0
+      moleculeGrid.forEachPair(IMF_CUTOFF, (i, j) => {
+          const a = molecules[i], b = molecules[j]
+          let dx = b.x - a.x, dy = b.y - a.y
+          let d2 = dx * dx + dy * dy
+          if (d2 === 0) return
+          const d = Math.sqrt(d2)
+          const nx = dx / d, ny = dy / d
+
+          // Short-range repulsion to prevent overlap
+          const radii = a.species.radius + b.species.radius
+          let repDist = solidBox ? radii * 1.6 : REPULSION_DIST * radii / (2 * O_RADIUS)
+          // the crystal keeps the liquid out of the holes between its sites
+          if (a.frozen !== b.frozen) repDist = Math.max(repDist, latticeStep * 0.7)
+          if (d < repDist) {
+            const overlap = repDist - d
+            const push = REPULSION_STRENGTH * overlap
+            // a frozen molecule holds its site and the liquid one takes the whole push
+            const pa = a.frozen === b.frozen ? push * 0.5 : (a.frozen ? 0 : push)
+            const pb = push - pa
+            a.x -= nx * pa; a.y -= ny * pa
+            b.x += nx * pb; b.y += ny * pb
+            // and liquid caught inside the crystal is squeezed out upward
+            if (a.frozen !== b.frozen) (a.frozen ? b : a).gvy -= FRONT_LIFT * dt
+          }
+
+          // Buoyancy in immiscible mixtures: a lighter molecule touching denser ones is lifted
+          // and the denser one sinks, so the liquids settle into layers
+          if (mixLayering && a.species !== b.species && d < repDist * 1.5) {
+            const lift = BUOYANCY * (a.species.density - b.species.density) * dt
+            a.gvy += lift; b.gvy -= lift
+          }
+
+          // Mid-range attraction within IMF cutoff, scaled by coolness. Escaped vapour has
+          // beaten that attraction, so it only feels repulsion until it recondenses; each
+          // molecule's binding to the liquid around it decides whether it can escape.
+          let inBond = d < IMF_CUTOFF
+          let hb = null
+          if (pooled && inBond) {
+            const w = (1 - d / IMF_CUTOFF) * pairAttraction(a.species, b.species) / substance.imfStrength
+            if (!b.vapour) a.bind += w
+            if (!a.vapour) b.bind += w
+            if (a.vapour || b.vapour) inBond = false
+          }
+          if (inBond) {
+            countContact(a, b)
+            const strength = IMF_ATTRACT_STRENGTH * pairAttraction(a.species, b.species) * soluteFactor * coolFactor * (1 - d / IMF_CUTOFF)
+            // convert to velocity-like change per frame using dt and base scale
+            const dv = strength * dt * 60 // approximate to frame-rate for feel
+            a.vx += nx * dv; a.vy += ny * dv
+            b.vx -= nx * dv; b.vy -= ny * dv
+
+            // Directional H-bonds: turn the nearest donor H toward the acceptor; the pair
+            // only counts as bonded once the H···A distance and angle are in the window
+            // (pairs whose atoms can't get within HBOND_MAX_DIST are skipped outright)
+            if (hbondDirectional && canHBond(a.species, b.species)) {
+              if (d < HBOND_MAX_DIST + a.species.reach + b.species.reach) hb = findHBond(a, b)
+              if (hb && !hb.valid) {
+                // sine of the angle from centre→H to centre→acceptor (cross product) as the turn
+                const dm = hb.donor
+                const hx = hb.hx - dm.x, hy = hb.hy - dm.y
+                const wx = hb.ax - dm.x, wy = hb.ay - dm.y
+                const turn = (hx * wy - hy * wx) / (Math.sqrt((hx * hx + hy * hy) * (wx * wx + wy * wy)) || 1)
+                dm.angle += turn * HBOND_STEER * coolFactor * dt
+              }
+              inBond = !!hb && hb.valid
+            }
+          }
+          if (inBond) markBond(i, j, hb, stamp)
+      })
+      closeBonds(stamp)
+
+      // Thermalising collisions redraw a few velocities each step (not in the solid, where
+      // the lattice springs and damping own the motion)
+      if (mbResample && !solidBox && freezeBoost === 0 && molecules.length) {
+        const p = MB_COLLISION_RATE * dt
+        let sumV2 = 0, moving = 0
+        for (const m of molecules) {
+          if (m.frozen) continue
+          if (random() < p) thermalise(m)
+          sumV2 += m.vx * m.vx + m.vy * m.vy
+          moving++
+        }
+        // The attraction keeps feeding speed in between, faster than collisions alone can
+        // drain it; a rescale (time constant MB_RELAX) holds the mean kinetic energy at the
+        // Maxwell–Boltzmann value while the collisions keep the shape
+        const target = 2 * MB_SIGMA * MB_SIGMA
+        const scale = Math.sqrt(Math.max(0, 1 + dt / MB_RELAX * (target * moving / (sumV2 || 1) - 1)))
+        for (const m of molecules) if (!m.frozen) { m.vx *= scale; m.vy *= scale }
+      }
+
+    // Solid lattice packing: pull molecules toward nearest anchor when solid
+      if ((solidBox || (freezeBoost > 0 && !nucleation)) && lattice.length) {
+        // ramp strength as it gets colder
+        const ramp = Math.min(1, (SOLID_THRESHOLD - tempC) / 50 + freezeBoost)
+        for (let idx = 0; idx < molecules.length; idx++) {
+          const m = molecules[idx]
+          // prefer assigned lattice anchor for more regular crystal
+          const target = (assignedAnchors && assignedAnchors[idx]) || nearestAnchor(m)
+          if (target) {
+            const dx = target.x - m.x, dy = target.y - m.y
+            m.vx += dx * (LATTICE_SPRING * ramp) * dt
+            m.vy += dy * (LATTICE_SPRING * ramp) * dt
+            m.vx *= (1 - (1 - LATTICE_DAMP) * ramp)
+            m.vy *= (1 - (1 - LATTICE_DAMP) * ramp)
+            // counter gravity a little to form lattice layers instead of a heap
+            m.gvy *= (1 - 0.5 * ramp)
+
+            // Orient molecule so one H aims toward neighbor along row to form O–H–O chains
+            if (typeof target.theta === 'number') {
+              const desired = target.theta
+              const da = angleDelta(m.angle, desired)
+              const ORIENT_SPRING = 4.0
+              m.angle += da * ORIENT_SPRING * ramp * dt
+              m.spin *= (1 - 0.8 * ramp * dt)
+            }
+
+            // Extra damping when close to anchor to reduce movement further
+            const dist = Math.hypot(dx, dy)
+            if (dist < 10) {
+              m.vx *= 0.9; m.vy *= 0.9
+            }
+          }
+        }
+        // Add gentle lattice vibration
+        for (const m of molecules) {
+          m.vx += (random() - 0.5) * VIB_AMP * dt
+          m.vy += (random() - 0.5) * VIB_AMP * dt
+          m.angle += (random() - 0.5) * VIB_ANG * dt
+        }
+      }
+      // In solid/freezing: run a few quick relaxation passes to remove any remaining overlaps
+      if ((solidBox || (freezeBoost > 0 && !nucleation)) && molecules.length) {
+        let maxRadius = substance.radius
+        if (mixPartner) maxRadius = Math.max(maxRadius, mixPartner.radius)
+        const reach = maxRadius * 3.2
+        for (let it = 0; it < 3; it++) {
+          moleculeGrid.rebuild(molecules, reach, W, H)
+          moleculeGrid.forEachPair(reach, (i, j) => {
+              const a = molecules[i], b = molecules[j]
+              const minDist = (a.species.radius + b.species.radius) * 1.6
+              let dx = b.x - a.x, dy = b.y - a.y
+              let d2 = dx * dx + dy * dy
+              if (d2 === 0) { dx = (random() - 0.5) * 1e-3; dy = (random() - 0.5) * 1e-3; d2 = dx*dx + dy*dy }
+              const d = Math.sqrt(d2)
+              if (d < minDist) {
+                const nx = dx / d, ny = dy / d
+                const corr = (minDist - d) * 0.5
+                a.x -= nx * corr; a.y -= ny * corr
+                b.x += nx * corr; b.y += ny * corr
+                // light velocity damping to help settle
+                a.vx *= 0.95; a.vy *= 0.95
+                b.vx *= 0.95; b.vy *= 0.95
+              }
+          })
+        }
+      }
+      if (nucleation || melting !== null) growCrystal(dt, tempC, melting)
+      else if (frozenSites.size) thawAll()
+      if (boiling !== null) boilOff(boiling)
+      else if (evaporation) exchangeVapour(tempC)
+      else for (const m of molecules) m.vapour = false
+      // Decay freeze boost over time
+      if (freezeTimerMs > 0) {
+        freezeTimerMs = Math.max(0, freezeTimerMs - dt * 1000)
+        freezeBoost = freezeTimerMs / 2500
+      } else {
+        freezeBoost = 0
+      }
+    }
+
+    // --- Nucleation and crystal growth ---
+    // Below the melting point a liquid molecule seeds a crystal at rate NUCLEATION_RATE ·
+    // exp(−(NUCLEATION_DT / ΔT)²), so a little supercooling can last. After that a molecule
+    // only freezes onto a free site next to the crystal, close by and turned within
+    // GROWTH_ANGLE of the site, and its latent heat kicks the liquid around it. Above the
+    // melting point the crystal melts back from its surface (sites with a free neighbour).
+    // On the melting plateau (fusion = its progress, 0..1) the heat sets the crystal's size
+    // instead: see matchCrystal.
+    function growCrystal(dt, tempC, fusion = null) {
+      const s = latticeStep
+      const under = meltPoint - tempC
+      if (fusion !== null) {
+        matchCrystal(Math.round((1 - fusion) * (molecules.length - countVapour())))
+      } else if (under > 0 && tempC < boilPoint) {
+        const condensed = molecules.length - frozenSites.size
+        const seeds = NUCLEATION_RATE * condensed * Math.exp(-((NUCLEATION_DT / under) ** 2))
+        if (random() < seeds * dt) {
+          const idx = Math.floor(random() * molecules.length)
+          const m = molecules[idx]
+          if (!m.frozen && !m.vapour && !holds.has(idx)) {
+            const k = anchorGrid.nearest(m.x, m.y, siteOpen)
+            if (k >= 0 && Math.hypot(lattice[k].x - m.x, lattice[k].y - m.y) < s) freezeMolecule(idx, k)
+          }
+        }
+        if (frozenSites.size) {
+          const p = GROWTH_RATE * dt * Math.min(1, under / GROWTH_DT)
+          for (let idx = 0; idx < molecules.length; idx++) {
+            const m = molecules[idx]
+            if (m.frozen || m.vapour || random() >= p || holds.has(idx)) continue
+            const k = anchorGrid.nearest(m.x, m.y, siteOpen)
+            if (k < 0) continue
+            const site = lattice[k]
+            if (Math.hypot(site.x - m.x, site.y - m.y) > s * 0.8) continue
+            if (Math.abs(angleDelta(m.angle, site.theta)) > GROWTH_ANGLE) continue
+            if (frozenNeighbours(k)) freezeMolecule(idx, k)
+          }
+        }
+      } else if (frozenSites.size && under < 0) {
+        const p = GROWTH_RATE * dt * Math.min(1, -under / GROWTH_DT)
+        for (let idx = 0; idx < molecules.length; idx++) {
+          const m = molecules[idx]
+          if (m.frozen && random() < p && frozenNeighbours(m.anchor) < 6) thawMolecule(idx)
+        }
+      }
+      // frozen molecules vibrate about their sites, turned to the site's orientation
+      const pull = Math.min(1, FROZEN_PULL * dt)
+      for (let idx = 0; idx < molecules.length; idx++) {
+        const m = molecules[idx]
+        if (!m.frozen) continue
+        if (holds.has(idx)) { thawMolecule(idx); continue } // picked up by the pointer
+        const site = lattice[m.anchor]
+        m.x += (site.x - m.x) * pull
+        m.y += (site.y - m.y) * pull
+        m.angle += angleDelta(m.angle, site.theta) * pull
+        m.vx = m.vx * 0.8 + (random() - 0.5) * VIB_AMP * dt
+        m.vy = m.vy * 0.8 + (random() - 0.5) * VIB_AMP * dt
+        m.spin *= 0.5
+        m.gvy = 0
+      }
+      metrics.frozen = frozenSites.size
+      metrics.latentReleased = frozenFraction() * LATENT_FUSION
+    }
+
+    // Freeze or melt a few molecules a step until `target` are in the crystal. Melting takes
+    // surface molecules; freezing puts liquid ones on free sites next to the crystal (any
+    // close site for the first), so the heat going in or out visibly breaks or makes bonds.
+    function matchCrystal(target) {
+      const n = molecules.length
+      let budget = Math.max(1, Math.ceil(n * PLATEAU_SHARE))
+      const start = Math.floor(random() * n)
+      for (let c = 0; c < n && budget > 0 && frozenSites.size !== target; c++) {
+        const idx = (start + c) % n
+        const m = molecules[idx]
+        if (frozenSites.size > target) {
+          if (m.frozen && frozenNeighbours(m.anchor) < 6) { thawMolecule(idx); budget-- }
+        } else if (!m.frozen && !m.vapour && !holds.has(idx)) {
+          const k = anchorGrid.nearest(m.x, m.y, siteOpen)
+          if (k < 0 || Math.hypot(lattice[k].x - m.x, lattice[k].y - m.y) > latticeStep * 0.8) continue
+          if (!frozenSites.size || frozenNeighbours(k)) { freezeMolecule(idx, k); budget-- }
+        }
+      }
+      // when nothing touching the crystal can join, a molecule next to any free site can
+      // (a solid just starting to melt: its molecules are all on sites, not all connected)
+      for (let c = 0; c < n && budget > 0 && frozenSites.size < target; c++) {
+        const idx = (start + c) % n
+        const m = molecules[idx]
+        if (m.frozen || m.vapour || holds.has(idx)) continue
+        const k = anchorGrid.nearest(m.x, m.y, siteOpen)
+        if (k >= 0 && Math.hypot(lattice[k].x - m.x, lattice[k].y - m.y) <= latticeStep * 0.4) { freezeMolecule(idx, k); budget-- }
+      }
+    }
+
+    // Boiling plateau counterpart: the least bound liquid molecules (the surface) escape
+    // until `progress` of the box is vapour; taking heat out condenses the best bound vapour
+    function boilOff(progress) {
+      const target = Math.round(progress * molecules.length)
+      let vapour = countVapour()
+      let budget = Math.max(1, Math.ceil(molecules.length * PLATEAU_SHARE))
+      while (vapour !== target && budget-- > 0) {
+        const escaping = vapour < target
+        let best = null
+        for (const m of molecules) {
+          if (m.frozen || m.vapour === escaping) continue
+          if (!best || (escaping ? m.bind < best.bind : m.bind > best.bind)) best = m
+        }
+        if (!best) break
+        if (escaping) { escape(best); vapour++ } else { best.vapour = false; vapour-- }
+      }
+    }
+
+    function countVapour() {
+      let n = 0
+      for (const m of molecules) if (m.vapour) n++
+      return n
+    }
+
+    // A lattice site a molecule can freeze onto: free and inside the walls
+    function siteOpen(k) {
+      const site = lattice[k]
+      return !frozenSites.has(k) && site.x >= 10 && site.x <= W - 10 && site.y >= 10 && site.y <= H - 10
+    }
+
+    // Frozen sites next to site k (6 for a site inside the crystal)
+    function frozenNeighbours(k) {
+      const site = lattice[k]
+      let n = 0
+      anchorGrid.forEachNear(site.x, site.y, latticeStep * 1.1, j => { if (j !== k && frozenSites.has(j)) n++ })
+      return n
+    }
+
+    function freezeMolecule(idx, k) {
+      const m = molecules[idx]
+      m.frozen = true
+      m.anchor = k
+      frozenSites.add(k)
+      // the latent heat goes into the liquid next to the new site
+      moleculeGrid.forEachNear(m.x, m.y, latticeStep * 1.5, j => {
+        const n = molecules[j]
+        if (n.frozen) return
+        const a = random() * Math.PI * 2
+        n.vx += Math.cos(a) * LATENT_KICK
+        n.vy += Math.sin(a) * LATENT_KICK
+      })
+    }
+
+    function thawMolecule(idx) {
+      const m = molecules[idx]
+      frozenSites.delete(m.anchor)
+      m.frozen = false
+      m.anchor = -1
+    }
+
+    function thawAll() {
+      for (const m of molecules) { m.frozen = false; m.anchor = -1 }
+      frozenSites.clear()
+      metrics.frozen = 0
+      metrics.latentReleased = 0
+    }
+
+    // Share of the condensed (non-vapour) molecules that are in the crystal
+    function frozenFraction() {
+      const condensed = molecules.length - countVapour()
+      return condensed ? frozenSites.size / condensed : 0
+    }
+
+    function updateMetrics(tempC) {
+      // Metrics: mean bond lifetime, active bonds (3 s average in liquid/gas), like/unlike split
+      metrics.avgBondDuration = bondDurations.length ? (bondDurations.reduce((a,b)=>a+b,0) / bondDurations.length) : 0
+      const isLiquidOrGas = getPhaseInfo(tempC).state !== 'solid'
+      let activeDisplay = bonds.size
+      if (isLiquidOrGas) {
+        // keep only last ~3 seconds of samples
+        activeBondHistory.push({ t: simTime, count: bonds.size })
+        const cutoff = simTime - 3
+        while (activeBondHistory.length && activeBondHistory[0].t < cutoff) activeBondHistory.shift()
+        if (activeBondHistory.length) {
+          const sum = activeBondHistory.reduce((acc, s) => acc + s.count, 0)
+          activeDisplay = Math.round(sum / activeBondHistory.length)
+        }
+      } else {
+        activeBondHistory.length = 0
+      }
+      metrics.activeBonds = activeDisplay
+      metrics.likeBonds = mixPartner ? likeContacts : 0
+      metrics.unlikeBonds = mixPartner ? unlikeContacts : 0
+      let hBonds = 0
+      for (const info of bonds.values()) if (info.hb) hBonds++
+      metrics.hBonds = hBonds
+      // Vapour/liquid split; the 5 s mean shows where the exchange settles
+      const vapour = countVapour()
+      metrics.vapour = vapour
+      metrics.liquid = molecules.length - vapour
+      if (evaporation) {
+        vapourHistory.push({ t: simTime, count: vapour })
+        while (vapourHistory.length && vapourHistory[0].t < simTime - 5) vapourHistory.shift()
+        metrics.vapourAvg = vapourHistory.reduce((acc, s) => acc + s.count, 0) / vapourHistory.length
+      } else {
+        metrics.vapourAvg = 0
+      }
+      updateEnergyMetrics()
+    }
+
+    function updateEnergyMetrics() {
+      if (physicsMode === 'md' && molecules.length) {
+        const n = molecules.length
+        metrics.kineticEnergy = mdKinetic() / n
+        metrics.potentialEnergy = mdPotential / n
+        metrics.totalEnergy = metrics.kineticEnergy + metrics.potentialEnergy
+        metrics.kineticTemp = metrics.kineticEnergy * 1000 / R_GAS
+      } else {
+        metrics.kineticEnergy = metrics.potentialEnergy = metrics.totalEnergy = metrics.kineticTemp = 0
+      }
+    }
+
+    // Evaporation/condensation at the liquid surface. Each step a liquid molecule escapes
+    // with probability exp(−barrier), where the barrier (in kT) is its binding relative to a
+    // surface molecule times L/R·(1/T − 1/Tb), plus EVAP_BARRIER0. Bulk molecules are bound
+    // about twice as strongly, so below boiling almost only the surface evaporates; the
+    // Clausius–Clapeyron factor makes the vapour count rise with temperature. Tb is the
+    // solution's, so a solute lowers the vapour pressure as Raoult's law says.
+    function exchangeVapour(tempC) {
+      const Tk = Math.max(1, cToK(tempC))
+      const clausius = LATENT_VAP * 1000 / R_GAS * (1 / Tk - 1 / cToK(boilPoint))
+      const liquidPossible = tempC < boilPoint && !isSupercritical(tempC)
+      for (const m of molecules) {
+        if (m.vapour) {
+          // Recondense when touching the liquid (not straight after escaping)
+          if (liquidPossible && m.bind >= CONDENSE_BIND && simTime - m.escapedAt > EVAP_GRACE && random() < CONDENSE_PROB) {
+            m.vapour = false
+          }
+        } else if (tempC > SOLID_THRESHOLD && !m.frozen) {
+          const barrier = clausius * m.bind / EVAP_BIND_REF + EVAP_BARRIER0
+          if (!liquidPossible || random() < Math.exp(-barrier)) escape(m)
+        }
+      }
+    }
+
+    function escape(m) {
+      m.vapour = true
+      m.escapedAt = simTime
+      // Leave upward into the headspace
+      const angle = -Math.PI / 2 + rand(-0.8, 0.8)
+      const v = rand(0.8, 1.2)
+      m.vx = Math.cos(angle) * v
+      m.vy = Math.sin(angle) * v
+      m.gvy = 0
+    }
+
+    // --- Molecular dynamics mode ---
+    // Velocity Verlet over ≤ 2 fs substeps with a truncated-and-shifted Lennard-Jones pair
+    // potential and elastic walls. Without a thermostat ('none') total energy is conserved;
+    // Berendsen rescales toward the slider temperature, Andersen redraws random velocities.
+    // No gravity, lattice, evaporation or freeze: phases emerge from the potential alone.
+    // Positions stay in px so the renderer is shared; velocities (mdvx/mdvy) are in nm/ps.
+    function ljEpsilon(sa, sb) {
+      return sa === sb ? sa.ljEps : mdEpsCross
+    }
+    function ljSigma(sa, sb) {
+      return LJ_SIGMA_SCALE * (sa.radius + sb.radius) / MD_PX_PER_NM // nm
+    }
+
+    // Forces into m.ax/m.ay (nm/ps²); returns the potential energy in kJ/mol
+    function computeForces() {
+      for (const m of molecules) { m.ax = 0; m.ay = 0 }
+      moleculeGrid.rebuild(molecules, mdReach, W, H)
+      let pe = 0
+      moleculeGrid.forEachPair(mdReach, (i, j) => {
+        const a = molecules[i], b = molecules[j]
+        const dx = (b.x - a.x) / MD_PX_PER_NM, dy = (b.y - a.y) / MD_PX_PER_NM
+        const r2 = dx * dx + dy * dy
+        const sigma = ljSigma(a.species, b.species)
+        if (r2 === 0 || r2 >= LJ_RC * LJ_RC * sigma * sigma) return
+        const eps = ljEpsilon(a.species, b.species)
+        const s6 = Math.pow(sigma * sigma / r2, 3)
+        pe += 4 * eps * (s6 * s6 - s6) - eps * LJ_SHIFT
+        // |F| / r, capped so one bad overlap can't launch a molecule across the box
+        let f = 24 * eps * (2 * s6 * s6 - s6) / r2
+        const fmag = Math.abs(f) * Math.sqrt(r2)
+        if (fmag > MD_FORCE_CAP) f *= MD_FORCE_CAP / fmag
+        a.ax -= f * dx / a.species.molarMass; a.ay -= f * dy / a.species.molarMass
+        b.ax += f * dx / b.species.molarMass; b.ay += f * dy / b.species.molarMass
+      })
+      return pe
+    }
+
+    // Total kinetic energy, ½Mv² summed (kJ/mol)
+    function mdKinetic() {
+      let ke = 0
+      for (const m of molecules) ke += 0.5 * m.species.molarMass * (m.mdvx * m.mdvx + m.mdvy * m.mdvy)
+      return ke
+    }
+
+    // Maxwell–Boltzmann velocity at Tk: each component has spread √(RT/M)
+    function drawMdVelocity(m, Tk) {
+      const sigma = Math.sqrt(R_GAS * Tk / (1000 * m.species.molarMass)) // nm/ps
+      m.mdvx = gaussian() * sigma
+      m.mdvy = gaussian() * sigma
+    }
+
+    function applyThermostat(h, Tk) {
+      if (thermostat === 'berendsen') {
+        // In 2D the mean kinetic energy per molecule is RT
+        const current = mdKinetic() / molecules.length * 1000 / R_GAS
+        if (current <= 0) return
+        const lambda = Math.sqrt(Math.max(0, 1 + h / BERENDSEN_TAU * (Tk / current - 1)))
+        for (const m of molecules) { m.mdvx *= lambda; m.mdvy *= lambda }
+      } else if (thermostat === 'andersen') {
+        const p = ANDERSEN_RATE * h
+        for (const m of molecules) if (random() < p) drawMdVelocity(m, Tk)
+      }
+    }
+
+    function mdUpdate(dt, tempC) {
+      if (!molecules.length) return
+      const Tk = Math.max(0, cToK(tempC))
+      const dtPs = dt * MD_PS_PER_SECOND
+      const n = Math.max(1, Math.ceil(dtPs / MD_MAX_DT - 1e-9))
+      const h = dtPs / n
+      const margin = 18
+      for (let k = 0; k < n; k++) {
+        for (const m of molecules) {
+          m.mdvx += 0.5 * h * m.ax
+          m.mdvy += 0.5 * h * m.ay
+          m.x += m.mdvx * h * MD_PX_PER_NM
+          m.y += m.mdvy * h * MD_PX_PER_NM
+          if (m.x < margin) { m.x = margin; m.mdvx = Math.abs(m.mdvx) }
+          if (m.x > W - margin) { m.x = W - margin; m.mdvx = -Math.abs(m.mdvx) }
+          if (m.y < margin) { m.y = margin; m.mdvy = Math.abs(m.mdvy) }
+          if (m.y > H - margin) { m.y = H - margin; m.mdvy = -Math.abs(m.mdvy) }
+        }
+        applyHolds()
+        mdPotential = computeForces()
+        for (const m of molecules) {
+          m.mdvx += 0.5 * h * m.ax
+          m.mdvy += 0.5 * h * m.ay
+        }
+        applyThermostat(h, Tk)
+      }
+      // Molecules are single LJ sites, so orientation only drifts for the drawing
+      const rotScale = 0.8 * Math.sqrt(Tk / 273.15)
+      for (const m of molecules) m.angle += m.spin * rotScale * dt
+
+      // moleculeGrid is still binned from the last force evaluation
+      moveIons(dt, tempC, false)
+      for (const m of molecules) placeAtoms(m)
+      if (saltOn) ionGrid.rebuild(ions, IMF_CUTOFF, W, H)
+      const stamp = ++bondStamp
+      likeContacts = unlikeContacts = 0
+      moleculeGrid.forEachPair(mdReach, (i, j) => {
+        const a = molecules[i], b = molecules[j]
+        const sigma = ljSigma(a.species, b.species) * MD_PX_PER_NM
+        const d2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2
+        if (d2 >= (LJ_BOND_RANGE * sigma) ** 2) return
+        countContact(a, b)
+        // H···A is drawn when the orientations happen to line up; it doesn't gate the bond
+        let hb = null
+        if (hbondDirectional && canHBond(a.species, b.species)) {
+          hb = findHBond(a, b)
+          if (hb && !hb.valid) hb = null
+        }
+        markBond(i, j, hb, stamp)
+      })
+      closeBonds(stamp)
+    }
+
+    // Entering MD (or a fresh box in MD): push pairs out to the bottom of the well, draw
+    // thermal velocities with no net momentum and evaluate the starting forces
+    function initMd() {
+      for (const m of molecules) { m.vapour = false; m.gvy = 0 }
+      for (let it = 0; it < 20; it++) {
+        let moved = false
+        moleculeGrid.rebuild(molecules, mdReach, W, H)
+        moleculeGrid.forEachPair(mdReach, (i, j) => {
+          const a = molecules[i], b = molecules[j]
+          const minDist = LJ_MIN_R * ljSigma(a.species, b.species) * MD_PX_PER_NM
+          let dx = b.x - a.x, dy = b.y - a.y
+          let d2 = dx * dx + dy * dy
+          if (d2 >= minDist * minDist) return
+          if (d2 === 0) { dx = (random() - 0.5) * 1e-3; dy = (random() - 0.5) * 1e-3; d2 = dx * dx + dy * dy }
+          const d = Math.sqrt(d2)
+          const corr = (minDist - d) * 0.5
+          a.x -= dx / d * corr; a.y -= dy / d * corr
+          b.x += dx / d * corr; b.y += dy / d * corr
+          moved = true
+        })
+        for (const m of molecules) {
+          m.x = Math.min(W - 18, Math.max(18, m.x))
+          m.y = Math.min(H - 18, Math.max(18, m.y))
+        }
+        if (!moved) break
+      }
+      const Tk = Math.max(0, cToK(temperature))
+      let px = 0, py = 0, mass = 0
+      for (const m of molecules) {
+        drawMdVelocity(m, Tk)
+        px += m.species.molarMass * m.mdvx
+        py += m.species.molarMass * m.mdvy
+        mass += m.species.molarMass
+      }
+      for (const m of molecules) { m.mdvx -= px / mass; m.mdvy -= py / mass }
+      mdPotential = computeForces()
+      resetBondTracking()
+      updateEnergyMetrics()
+    }
+
+    // 'cartoon' or 'md'; returns the active mode
+    function setPhysicsMode(mode) {
+      if (mode !== 'cartoon' && mode !== 'md') return physicsMode
+      if (mode === physicsMode) return physicsMode
+      physicsMode = mode
+      freezeTimerMs = 0
+      freezeBoost = 0
+      thawAll()
+      if (physicsMode === 'md') initMd()
+      else resetBondTracking()
+      setTemperature(temperature)
+      return physicsMode
+    }
+
+    // 'berendsen', 'andersen' or 'none' (constant energy); returns the active thermostat
+    function setThermostat(name) {
+      if (name === 'berendsen' || name === 'andersen' || name === 'none') thermostat = name
+      return thermostat
+    }
+
+    // Standard normal draw (Box–Muller) from the seeded stream
+    function gaussian() {
+      return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+    }
+
+    function thermalise(m) {
+      m.vx = gaussian() * MB_SIGMA
+      m.vy = gaussian() * MB_SIGMA
+    }
+
+    // Maxwell–Boltzmann resampling on/off; turning it on redraws every velocity at once
+    function setMaxwellResampling(on) {
+      mbResample = !!on
+      if (mbResample) for (const m of molecules) thermalise(m)
+    }
+
+    // Thermal speed (m/s) and kinetic energy (kJ/mol) of a molecule. The sim's speed scale
+    // already follows √(T/M), so |v| / MB_SIGMA is the speed in units of √(RT/M).
+    // In MD mode the velocities are real (nm/ps is km/s).
+    function thermalSpeed(m) {
+      if (physicsMode === 'md') return Math.hypot(m.mdvx, m.mdvy) * 1000
+      const Tk = Math.max(0, cToK(temperature))
+      return Math.hypot(m.vx, m.vy) / MB_SIGMA * Math.sqrt(R_GAS * Tk / (m.species.molarMass / 1000))
+    }
+    function kineticEnergy(m) {
+      if (physicsMode === 'md') return 0.5 * m.species.molarMass * (m.mdvx * m.mdvx + m.mdvy * m.mdvy)
+      const u2 = (m.vx * m.vx + m.vy * m.vy) / (MB_SIGMA * MB_SIGMA)
+      return 0.5 * u2 * R_GAS * Math.max(0, cToK(temperature)) / 1000
+    }
+
+    // --- Held and pinned molecules (the page's pointer tools) ---
+    function applyHolds() {
+      for (const [i, hold] of holds) {
+        const m = molecules[i]
+        if (!m) { holds.delete(i); continue }
+        m.x = hold.x
+        m.y = hold.y
+        m.vx = m.vy = m.gvy = 0
+        m.mdvx = m.mdvy = 0
+      }
+    }
+
+    // Index of the molecule whose centre is nearest (x, y) within maxDist px, or -1
+    function moleculeAt(x, y, maxDist = 2 * substance.radius) {
+      let best = -1, bestD2 = maxDist * maxDist
+      for (let i = 0; i < molecules.length; i++) {
+        const d2 = (molecules[i].x - x) ** 2 + (molecules[i].y - y) ** 2
+        if (d2 <= bestD2) { best = i; bestD2 = d2 }
+      }
+      return best
+    }
+
+    function clampToBox(x, y) {
+      return { x: Math.min(W - 18, Math.max(18, x)), y: Math.min(H - 18, Math.max(18, y)) }
+    }
+
+    // Hold molecule i at (x, y) until releaseMolecule(); moves a pinned molecule's pin
+    function holdMolecule(i, x, y) {
+      if (!molecules[i] || !Number.isFinite(x) || !Number.isFinite(y)) return false
+      const hold = holds.get(i)
+      const at = clampToBox(x, y)
+      if (hold) { hold.x = at.x; hold.y = at.y } else holds.set(i, { x: at.x, y: at.y, pinned: false })
+      return true
+    }
+
+    // Let go of a held molecule with velocity (vx, vy) in px/s of sim time; a pinned one
+    // stays pinned where it was dropped
+    function releaseMolecule(i, vx = 0, vy = 0) {
+      const hold = holds.get(i)
+      const m = molecules[i]
+      if (!hold || !m || hold.pinned) return false
+      holds.delete(i)
+      const speed = Math.hypot(vx, vy)
+      const cap = speed > MAX_FLING_SPEED ? MAX_FLING_SPEED / speed : 1
+      if (physicsMode === 'md') {
+        m.mdvx = vx * cap / (MD_PX_PER_NM * MD_PS_PER_SECOND)
+        m.mdvy = vy * cap / (MD_PX_PER_NM * MD_PS_PER_SECOND)
+      } else {
+        // invert the cartoon step's speed scaling so the molecule leaves at (vx, vy)
+        const massFactor = m.species === substance ? 1 : Math.sqrt(substance.molarMass / m.species.molarMass)
+        const scale = Math.max(1e-6, cartoonSpeed * massFactor * (m.vapour ? VAPOUR_SPEED : 1))
+        m.vx = vx * cap / scale
+        m.vy = vy * cap / scale
+      }
+      return true
+    }
+
+    function pinMolecule(i, on = true) {
+      const m = molecules[i]
+      if (!m) return false
+      if (!on) return holds.delete(i)
+      const hold = holds.get(i)
+      if (hold) hold.pinned = true
+      else holds.set(i, { x: m.x, y: m.y, pinned: true })
+      return true
+    }
+
+    function isPinned(i) {
+      const hold = holds.get(i)
+      return !!hold && hold.pinned
+    }
+
+    function unpinAll() {
+      holds.clear()
+    }
+
+    // Sealed-container evaporation mode on/off. Turning it on starts with everything as
+    // liquid; turning it off returns the vapour to the ordinary model.
+    function setEvaporation(on) {
+      evaporation = !!on
+      for (const m of molecules) m.vapour = false
+      vapourHistory.length = 0
+      resetBondTracking()
+    }
+
+    // Nucleation mode on/off (cartoon model). Either way the box starts over unfrozen: on,
+    // it waits for a seed; off, the whole lattice takes over again below the melting point.
+    function setNucleation(on) {
+      nucleation = !!on
+      thawAll()
+      setTemperature(temperature)
+      return nucleation
+    }
+
+    // Advance the simulation by dt seconds (FIXED_DT by default) at the current temperature
+    function step(dt = FIXED_DT) {
+      if (heaterPower !== 0 || cooling > 0) runHeater(dt)
+      update(dt, temperature)
+    }
+
+    // Energy in over dt: the heater's power less what leaks to the surroundings, through
+    // the heat chart (so it stalls on the plateaus like the buttons do)
+    function runHeater(dt) {
+      const watts = heaterPower - cooling * (temperature - ambient)
+      moveHeat(heat + watts * dt / 1000 / sampleMoles, true)
+    }
+
+    function setHeaterPower(w) {
+      heaterPower = Math.max(-MAX_HEATER_POWER, Math.min(MAX_HEATER_POWER, Number(w) || 0))
+      return heaterPower
+    }
+
+    // Amount of the (first) substance in the sample, in mol; returns it clamped
+    function setSampleMoles(n) {
+      const v = Number(n)
+      sampleMoles = Number.isFinite(v) && v > 0 ? Math.min(MAX_SAMPLE_MOLES, Math.max(MIN_SAMPLE_MOLES, v)) : 1
+      return sampleMoles
+    }
+
+    // Heat-loss coefficient (W/K, 0 turns the cooling off) and, optionally, the ambient °C
+    function setCooling(k, ambientC = ambient) {
+      cooling = Math.max(0, Math.min(MAX_COOLING, Number(k) || 0))
+      const a = Number(ambientC)
+      if (Number.isFinite(a)) ambient = Math.max(-273.15, Math.min(500, a))
+      return cooling
+    }
+
+    function setTemperature(c) {
+      applyTemperature(c)
+      heat = Q_of_T(temperature)
+      return temperature
+    }
+
+    // Set the heat (kJ/mol above T0). Off the plateaus the temperature follows T_of_Q; on
+    // one it stays at the melting or boiling point and the heat melts or boils part of the
+    // box instead. Returns the heat, clamped to the temperature range.
+    function setHeat(q) {
+      return moveHeat(q, false)
+    }
+
+    // gradual: a small step (the heater), which keeps the lattice and its anchors unless the
+    // box goes into or out of the whole-box solid
+    function moveHeat(q, gradual) {
+      const wasSolid = wholeSolid(temperature, plateauAt(heat))
+      heat = Math.min(Q_of_T(500), Math.max(Q_of_T(-273.15), Number(q) || 0))
+      const p = plateauAt(heat)
+      const c = p ? (p.kind === 'melt' ? meltPoint : boilPoint) : T_of_Q(heat)
+      if (gradual && lattice.length && wasSolid === wholeSolid(c, p)) {
+        temperature = c
+        applyColligative()
+      } else {
+        applyTemperature(c)
+      }
+      return heat
+    }
+
+    // At or below the melting point and not on its plateau (cartoonUpdate's solidBox)
+    function wholeSolid(c, p) {
+      return c <= SOLID_THRESHOLD && !(p && p.kind === 'melt' && p.progress > 0)
+    }
+
+    function addHeat(dq) {
+      return setHeat(heat + (Number(dq) || 0))
+    }
+
+    // Where heat q falls on the melting or boiling plateau at the current pressure, ends
+    // included: { kind: 'melt' | 'boil', progress (0..1 of its latent heat) } or null
+    function plateauAt(q) {
+      const qm = Q_of_T(meltPoint)
+      if (q >= qm && q <= qm + LATENT_FUSION) return { kind: 'melt', progress: (q - qm) / LATENT_FUSION }
+      const qb = Q_of_T(boilPoint)
+      if (q >= qb && q <= qb + latentVapAtP) return { kind: 'boil', progress: (q - qb) / latentVapAtP }
+      return null
+    }
+
+    // The plateau the box is on right now (cartoon model), or null. Its liquid end counts
+    // (all melted, none boiled yet); the other end is the whole-box solid or gas.
+    function plateau() {
+      if (physicsMode !== 'cartoon' || (temperature !== meltPoint && temperature !== boilPoint)) return null
+      const p = plateauAt(heat)
+      if (!p || (p.kind === 'melt' ? p.progress <= 0 : p.progress >= 1)) return null
+      return temperature === (p.kind === 'melt' ? meltPoint : boilPoint) ? p : null
+    }
+
+    // The melting and boiling plateaus on the heat chart at the current pressure and solute:
+    // [{ kind: 'melt' | 'boil', c (°C), q0, q1 (kJ/mol where it starts and ends) }]
+    function getPlateaus() {
+      const qm = Q_of_T(meltPoint)
+      const qb = Q_of_T(boilPoint)
+      return [
+        { kind: 'melt', c: meltPoint, q0: qm, q1: qm + LATENT_FUSION },
+        { kind: 'boil', c: boilPoint, q0: qb, q1: qb + latentVapAtP }
+      ]
+    }
+
+    // A non-numeric c keeps the current temperature
+    function applyTemperature(c) {
+      const v = Number(c)
+      const cNum = Number.isFinite(v) ? Math.max(-273.15, Math.min(500, v)) : temperature
+      temperature = cNum
+      applyColligative()
+      // Rebuild lattice and (re)assign anchors when entering solid; clear when leaving.
+      // In nucleation mode the crystal grows onto the lattice by itself.
+      if (nucleation) {
+        buildLattice()
+        assignedAnchors = null
+      } else if (cNum <= SOLID_THRESHOLD || freezeBoost > 0) {
+        buildLattice()
+        assignedAnchors = assignAnchorsGreedy(molecules, lattice)
+      } else {
+        assignedAnchors = null
+      }
+    }
+
+    // Freeze from the gas phase: a few seconds of stronger gravity and damping, with
+    // molecules assigned to lattice anchors for a regular crystal. No-op below boiling.
+    function beginFreeze() {
+      if (temperature < boilPoint || physicsMode === 'md') return false
+      freezeTimerMs = 2500
+      freezeBoost = 1
+      // Initial descent impulse and damping
+      for (const m of molecules) {
+        m.gvy += 200 + random() * 120
+        m.vx *= 0.5
+        m.vy *= 0.35
+        m.spin *= 0.3
+      }
+      // Build or refresh lattice and assign anchors for a regular crystal
+      buildLattice()
+      assignedAnchors = nucleation ? null : assignAnchorsGreedy(molecules, lattice)
+      return true
+    }
+
+    // Dissolved solute on/off: spawns or clears its particles (only in solvents that dissolve
+    // it). The box holds molality × solvent mass formula units, at least one.
+    function setSalt(on) {
+      saltOn = !!on && substance.saltSoluble
+      clearCrystal()
+      ions.length = 0
+      if (saltOn && molality > 0) {
+        const units = Math.max(1, Math.round(molality * moleculeCount * substance.molarMass / 1000))
+        for (let u = 0; u < units; u++) {
+          for (const type of solute.particles) ions.push(createIon(type))
+        }
+      }
+      applyColligative()
+      setTemperature(temperature)
+      return saltOn
+    }
+
+    // Which solute dissolves (a key of SOLUTES; unknown ids keep the current one)
+    function setSolute(id) {
+      if (SOLUTES[id]) solute = SOLUTES[id]
+      setSalt(saltOn)
+      return solute.id
+    }
+
+    // Solute concentration in mol/kg of solvent, clamped to 0..MAX_MOLALITY
+    function setMolality(m) {
+      const v = Number(m)
+      if (Number.isFinite(v)) molality = Math.min(MAX_MOLALITY, Math.max(0, v))
+      setSalt(saltOn)
+      return molality
+    }
+
+    // Reassign species in place so positions survive a substance or mixture change
+    function applySpecies() {
+      mixCross = mixPartner ? crossAttraction(substance, mixPartner) : 0
+      mixLayering = !!mixPartner && !isMiscible(substance, mixPartner)
+      for (let i = 0; i < molecules.length; i++) molecules[i].species = speciesFor(i)
+      mdEpsCross = mixPartner
+        ? Math.sqrt(substance.ljEps * mixPartner.ljEps) * mixCross / Math.sqrt(substance.imfStrength * mixPartner.imfStrength)
+        : 0
+      const maxRadius = mixPartner ? Math.max(substance.radius, mixPartner.radius) : substance.radius
+      mdReach = Math.max(IMF_CUTOFF, LJ_RC * LJ_SIGMA_SCALE * 2 * maxRadius)
+      // masses and well depths changed under the running integrator
+      if (physicsMode === 'md') mdPotential = computeForces()
+    }
+
+    function selectSubstance(id, partnerId = mixPartner && mixPartner.id) {
+      const next = SUBSTANCES[id]
+      if (!next) return false
+      substance = next
+      mixPartner = partnerId && partnerId !== id ? SUBSTANCES[partnerId] || null : null
+      applyHeatConstants(substance)
+      applyPressure()
+      applySpecies()
+      if (saltOn && !substance.saltSoluble) setSalt(false)
+      // Bond statistics belong to the previous substance
+      resetBondTracking()
+      setTemperature(temperature)
+      return true
+    }
+
+    function setHBondDirectional(on) {
+      hbondDirectional = !!on
+      // bond bookkeeping restarts since the definition of a bond changes
+      resetBondTracking()
+    }
+
+    // Box size in sim px; molecules outside the new box are pushed back in by the walls
+    function setSize(width, height) {
+      W = width
+      H = height
+      buildLattice()
+      // the crystal stays on the floor
+      if (crystal) {
+        const a = solute.spacing
+        crystal.x = Math.min(W - a * 2, Math.max(a * 2, crystal.x))
+        crystal.y = H - a / 2 - 1
+      }
+    }
+
+    // Takes effect on the next reset()
+    function setMoleculeCount(n) {
+      moleculeCount = Math.max(2, Math.min(MAX_MOLECULES, Math.round(n)))
+      return moleculeCount
+    }
+
+    // Fresh box from a seed (default: the current one), so a run can be replayed exactly
+    function reset(newSeed = seed) {
+      seed = Math.max(0, Math.floor(Number(newSeed) || 0)) >>> 0
+      random = createRng(seed)
+      holds.clear()
+      simTime = 0
+      freezeTimerMs = 0
+      freezeBoost = 0
+      resetBondTracking()
+      vapourHistory.length = 0
+      initMolecules()
+      if (mbResample) for (const m of molecules) thermalise(m)
+      setSalt(saltOn)
+      if (physicsMode === 'md') initMd()
+    }
+
+    // Snapshot of the whole box as JSON-safe data: settings, every molecule and ion, the
+    // lattice assignment, bond bookkeeping and the random stream's position, so loadState()
+    // carries on exactly where the saved run was
+    function getState() {
+      return {
+        version: 1,
+        seed,
+        rng: random.state(),
+        width: W,
+        height: H,
+        temperature,
+        heat,
+        heaterPower,
+        cooling,
+        ambient,
+        sampleMoles,
+        pressure,
+        substance: substance.id,
+        mixPartner: mixPartner ? mixPartner.id : null,
+        saltOn,
+        solute: solute.id,
+        molality,
+        hbondDirectional,
+        evaporation,
+        nucleation,
+        maxwellResampling: mbResample,
+        physicsMode,
+        thermostat,
+        simTime,
+        freezeTimerMs,
+        freezeBoost,
+        molecules: molecules.map(m => ({
+          species: m.species.id, x: m.x, y: m.y, vx: m.vx, vy: m.vy, angle: m.angle, spin: m.spin, gvy: m.gvy,
+          vapour: m.vapour, escapedAt: m.escapedAt, mdvx: m.mdvx || 0, mdvy: m.mdvy || 0, anchor: m.anchor
+        })),
+        ions: ions.map(ion => ({ type: ion.type, x: ion.x, y: ion.y, vx: ion.vx, vy: ion.vy, shell: ion.shell, site: ion.site ? [ion.site.ix, ion.site.iy] : null })),
+        crystal: crystal ? { x: crystal.x, y: crystal.y, order: crystalOrder.slice(), clock: crystalClock } : null,
+        anchors: assignedAnchors ? assignedAnchors.map(a => (a ? [a.x, a.y] : null)) : null,
+        pinned: [...holds].filter(([, hold]) => hold.pinned).map(([i, hold]) => [i, hold.x, hold.y]),
+        bonds: [...bonds.values()].map(b => ({ i: b.i, j: b.j, start: b.start, hb: b.hb })),
+        bondDurations: bondDurations.slice(),
+        metrics: { ...metrics },
+        // [t, count] samples behind the 3 s bond and 5 s vapour averages
+        activeBondHistory: activeBondHistory.map(h => [h.t, h.count]),
+        vapourHistory: vapourHistory.map(h => [h.t, h.count])
+      }
+    }
+
+    // Restore a getState() snapshot. Returns false (and changes nothing) when it isn't one
+    // or names a substance this build doesn't have.
+    function loadState(state) {
+      if (!state || typeof state !== 'object' || !Array.isArray(state.molecules) || !state.molecules.length) return false
+      const sub = SUBSTANCES[state.substance]
+      const partner = state.mixPartner ? SUBSTANCES[state.mixPartner] : null
+      if (!sub || (state.mixPartner && !partner)) return false
+      if (state.molecules.some(m => !m || !SUBSTANCES[m.species] || !Number.isFinite(m.x) || !Number.isFinite(m.y))) return false
+      const num = (v, fallback) => (Number.isFinite(Number(v)) ? Number(v) : fallback)
+
+      if (state.width > 0 && state.height > 0) { W = Number(state.width); H = Number(state.height) }
+      substance = sub
+      mixPartner = partner && partner !== sub ? partner : null
+      applyHeatConstants(substance)
+      pressure = Math.min(1e5, Math.max(1e-3, num(state.pressure, P_ATM)))
+      applyPressure()
+      temperature = Math.max(-273.15, Math.min(500, num(state.temperature, temperature)))
+      hbondDirectional = state.hbondDirectional !== false
+      evaporation = !!state.evaporation
+      nucleation = !!state.nucleation
+      mbResample = !!state.maxwellResampling
+      setThermostat(state.thermostat)
+      physicsMode = state.physicsMode === 'md' ? 'md' : 'cartoon'
+      seed = num(state.seed, seed) >>> 0
+      random = createRng(state.rng == null ? seed : num(state.rng, seed))
+      simTime = Math.max(0, num(state.simTime, 0))
+      freezeTimerMs = Math.max(0, num(state.freezeTimerMs, 0))
+      freezeBoost = Math.max(0, Math.min(1, num(state.freezeBoost, 0)))
+
+      molecules.length = 0
+      for (const s of state.molecules.slice(0, MAX_MOLECULES)) {
+        molecules.push({
+          x: s.x, y: s.y, vx: num(s.vx, 0), vy: num(s.vy, 0), angle: num(s.angle, 0), spin: num(s.spin, 0), gvy: num(s.gvy, 0),
+          species: SUBSTANCES[s.species], vapour: !!s.vapour, bind: 0, escapedAt: num(s.escapedAt, 0),
+          mdvx: num(s.mdvx, 0), mdvy: num(s.mdvy, 0), frozen: false, anchor: -1
+        })
+      }
+      frozenSites.clear()
+      moleculeCount = Math.max(2, molecules.length)
+      holds.clear()
+      for (const p of Array.isArray(state.pinned) ? state.pinned : []) {
+        if (Array.isArray(p) && molecules[p[0]] && Number.isFinite(p[1]) && Number.isFinite(p[2])) holds.set(p[0], { x: p[1], y: p[2], pinned: true })
+      }
+      solute = SOLUTES[state.solute] || SOLUTES.nacl
+      molality = Math.min(MAX_MOLALITY, Math.max(0, num(state.molality, DEFAULT_MOLALITY)))
+      applySpecies()
+      saltOn = !!state.saltOn && substance.saltSoluble
+      clearCrystal() // the running box's crystal goes whatever the snapshot holds
+      ions.length = 0
+      if (saltOn && Array.isArray(state.ions)) {
+        for (const s of state.ions) {
+          const type = s && ION_TYPES[s.type] ? s.type : 'Cl'
+          const site = Array.isArray(s.site) ? { ix: num(s.site[0], 0), iy: num(s.site[1], 0) } : null
+          ions.push({ x: num(s.x, W / 2), y: num(s.y, H / 2), vx: num(s.vx, 0), vy: num(s.vy, 0), charge: ION_TYPES[type].charge, type, site, shell: num(s.shell, 0) })
+        }
+      }
+      // the crystal: its origin, the units in it (oldest first) and the sites they hold. Only
+      // units whose ions all exist and have a site are kept; other ions are dissolved.
+      const saved = state.crystal
+      const k = solute.particles.length
+      if (saltOn && saved && Array.isArray(saved.order)) {
+        for (const unit of saved.order) {
+          if (!Number.isInteger(unit) || unit < 0 || (unit + 1) * k > ions.length || crystalOrder.includes(unit)) continue
+          if (ions.slice(unit * k, (unit + 1) * k).every(ion => ion.site)) crystalOrder.push(unit)
+        }
+      }
+      const inCrystal = new Set(crystalOrder)
+      ions.forEach((ion, i) => { if (!inCrystal.has(Math.floor(i / k))) ion.site = null })
+      if (crystalOrder.length) {
+        crystal = { x: num(saved.x, W / 2), y: num(saved.y, H), taken: new Set() }
+        crystalClock = num(saved.clock, 0)
+        for (const ion of ions) if (ion.site) crystal.taken.add(siteKey(ion.site.ix, ion.site.iy))
+      }
+      applyColligative()
+      ambient = DEFAULT_AMBIENT
+      setSampleMoles(state.sampleMoles)
+      setHeaterPower(state.heaterPower)
+      setCooling(state.cooling, state.ambient)
+      // older snapshots have no heat: it is where the temperature sits on the curve
+      heat = Number.isFinite(state.heat) ? state.heat : Q_of_T(temperature)
+
+      buildLattice()
+      // the crystal grown in nucleation mode, on the lattice just rebuilt
+      if (nucleation && physicsMode === 'cartoon') {
+        state.molecules.forEach((s, i) => {
+          const k = s.anchor
+          if (i < molecules.length && Number.isInteger(k) && k >= 0 && k < lattice.length && !frozenSites.has(k)) {
+            molecules[i].frozen = true
+            molecules[i].anchor = k
+            frozenSites.add(k)
+          }
+        })
+      }
+      if (nucleation) {
+        assignedAnchors = null
+      } else if (Array.isArray(state.anchors) && state.anchors.length === molecules.length) {
+        assignedAnchors = state.anchors.map(a => (Array.isArray(a) ? { x: a[0], y: a[1] } : null))
+      } else {
+        assignedAnchors = temperature <= SOLID_THRESHOLD || freezeBoost > 0 ? assignAnchorsGreedy(molecules, lattice) : null
+      }
+
+      resetBondTracking()
+      vapourHistory.length = 0
+      for (const b of state.bonds || []) {
+        if (!b || !(b.i >= 0 && b.i < b.j && b.j < molecules.length)) continue
+        const like = molecules[b.i].species === molecules[b.j].species
+        bonds.set(pairKey(b.i, b.j), { start: num(b.start, simTime), like, i: b.i, j: b.j, hb: b.hb || null, seen: 0 })
+      }
+      if (Array.isArray(state.bondDurations)) bondDurations = state.bondDurations.filter(Number.isFinite).slice(-MAX_BOND_SAMPLES)
+      // the readings as saved; the next step refreshes them
+      if (state.metrics) for (const key of Object.keys(metrics)) metrics[key] = num(state.metrics[key], metrics[key])
+      const history = (list, into) => {
+        if (Array.isArray(list)) for (const h of list) if (Array.isArray(h)) into.push({ t: num(h[0], 0), count: num(h[1], 0) })
+      }
+      history(state.activeBondHistory, activeBondHistory)
+      history(state.vapourHistory, vapourHistory)
+      if (physicsMode === 'md') mdPotential = computeForces()
+      return true
+    }
+
+    // Build hexagonal lattice anchors to match the box size. A frozen molecule's site index
+    // only means something on the lattice it froze onto, so a new geometry thaws the crystal.
+    function buildLattice() {
+      lattice = []
+      // Use larger spacing for solid to create more open hexagonal structure
+      const s = (temperature <= SOLID_THRESHOLD || freezeBoost > 0 || nucleation) ? (substance.latticeSpacing || LATTICE_SPACING_SOLID) : LATTICE_SPACING_LIQUID
+      const key = `${substance.id} ${W}×${H} ${s}`
+      if (key !== latticeKey && frozenSites.size) thawAll()
+      latticeKey = key
+      latticeStep = s
+      const rows = Math.floor(H / (s * Math.sqrt(3) / 2)) + 2
+      const cols = Math.floor(W / s) + 2
+      const dy = s * Math.sqrt(3) / 2
+      // a growing crystal needs sites along the floor and the left wall, where the liquid is
+      const x0 = nucleation ? 18 : 10
+      const y0 = nucleation ? 18 + (H - 36) % dy : 10
+      for (let r = 0; r < rows; r++) {
+        const y = y0 + r * dy
+        const offset = (r % 2) * (s / 2)
+        for (let c = 0; c < cols; c++) {
+          const x = x0 + offset + c * s
+          // Desired orientation: alternate rows so one H points horizontally toward neighbor
+          const theta = substance.latticeTheta[r % 2]
+          lattice.push({ x, y, row: r, col: c, theta })
+        }
+      }
+      anchorGrid.rebuild(lattice, s * 2, W, H)
+      return lattice
+    }
+
+    // Helper: nearest anchor for fallback
+    function nearestAnchor(m) {
+      return lattice[anchorGrid.nearest(m.x, m.y)] || null
+    }
+
+    // Assign unique anchors to molecules using a greedy nearest strategy
+    function assignAnchorsGreedy(ms, anchors) {
+      const assigned = new Array(ms.length)
+      const taken = new Array(anchors.length).fill(false)
+      const grid = anchors === lattice ? anchorGrid : createNeighbourGrid()
+      if (grid !== anchorGrid) grid.rebuild(anchors, LATTICE_SPACING_SOLID * 2, W, H)
+      const free = j => !taken[j]
+      for (let i = 0; i < ms.length; i++) {
+        const bestIdx = grid.nearest(ms[i].x, ms[i].y, free)
+        if (bestIdx >= 0) {
+          assigned[i] = { x: anchors[bestIdx].x, y: anchors[bestIdx].y }
+          taken[bestIdx] = true
+        } else {
+          assigned[i] = nearestAnchor(ms[i])
+        }
+      }
+      return assigned
+    }
+
+    // --- Heat vs Temperature model ---
+    // We'll model 1 mole of the selected substance for simplicity. Units: kJ per mole (kJ/mol) for heat.
+    // Specific heats come from the registry in J/(g·K) and are converted per mole, e.g. for water:
+    // Ice (solid): Cs = 2.09 J/gK -> for 1 mol (18 g): 2.09 * 18 / 1000 = 0.03762 kJ/K
+    // Liquid: Cl = 4.18 J/gK -> per mol: 4.18 * 18 / 1000 = 0.07524 kJ/K
+    // Gas: Cg ~ 1.9 J/gK -> per mol: 1.9 * 18 / 1000 = 0.0342 kJ/K
+    // Note: The values are approximate and intended for pedagogical simulation
+    let MOLAR_MASS, Cs, Cl, Cg, LATENT_FUSION, LATENT_VAP
+    let latentVapAtP // LATENT_VAP scaled to the boiling point at the current pressure
+    function applyHeatConstants(sub) {
+      MOLAR_MASS = sub.molarMass // g/mol
+      Cs = sub.cs * MOLAR_MASS / 1000 // kJ / (mol K)
+      Cl = sub.cl * MOLAR_MASS / 1000
+      Cg = sub.cg * MOLAR_MASS / 1000
+      LATENT_FUSION = sub.latentFusion // kJ/mol
+      LATENT_VAP = sub.latentVap // kJ/mol
+    }
+    applyHeatConstants(substance)
+
+    // Move the pure-substance melting/boiling points to the current pressure. Below the
+    // triple point both are the sublimation temperature; at or above the critical pressure
+    // there is no boiling, so the boiling point becomes the critical temperature and the
+    // vaporisation plateau vanishes. Otherwise the latent heat follows Watson's rule,
+    // L ∝ (Tc − Tb)^0.38, scaled from its value at 1 atm (at the triple point for CO₂).
+    function applyPressure() {
+      const { triple, critical } = substance
+      if (pressure < triple.kPa) {
+        meltAtP = boilAtP = saturationTemp(substance, pressure)
+        latentVapAtP = LATENT_VAP
+      } else {
+        meltAtP = fusionTemp(substance, pressure)
+        boilAtP = pressure >= critical.kPa ? critical.c : saturationTemp(substance, pressure)
+        const refC = substance.boilC > substance.meltC ? substance.boilC : triple.c
+        latentVapAtP = LATENT_VAP * Math.pow(Math.max(0, critical.c - boilAtP) / (critical.c - refC), 0.38)
+      }
+      // The registry values are exact at 1 atm; skip the curve round-off there
+      if (pressure === P_ATM) {
+        meltAtP = substance.meltC
+        boilAtP = substance.boilC
+      }
+      applyColligative()
+    }
+
+    // Solution freezing/boiling points: the pure ones shifted by ΔTf = i·Kf·m and ΔTb = i·Kb·m,
+    // with m capped at saturation (solubility depends on temperature, so setTemperature calls this)
+    function applyColligative() {
+      meltPoint = meltAtP - freezingPointDepression()
+      boilPoint = boilAtP + boilingPointElevation()
+      SOLID_THRESHOLD = meltPoint
+    }
+    function freezingPointDepression() { return solute.vantHoff * substance.kf * dissolvedMolality() }
+    function boilingPointElevation() { return solute.vantHoff * substance.kb * dissolvedMolality() }
+
+    // Pressure in kPa, clamped to 1 Pa .. 100 MPa (the range of the phase diagram)
+    function setPressure(kPa) {
+      const p = Number(kPa)
+      pressure = Number.isFinite(p) ? Math.min(1e5, Math.max(1e-3, p)) : P_ATM
+      applyPressure()
+      setTemperature(temperature)
+      return pressure
+    }
+
+    // Freezing and boiling points of what is in the box (solution or pure) at the current pressure
+    function getMeltingPoint() { return meltPoint }
+    function getBoilingPoint() { return boilPoint }
+
+    // Compute Q(T): heat added (kJ per mol) to take 1 mol from the reference T0 up to T
+    function Q_of_T(T) {
+      // integrate piecewise from T0 to T
+      let Q = 0
+      function heatAcross(a, b, C) { return C * (b - a) }
+      // helper to accumulate from low to high
+      const low = Math.min(T0, T)
+      const high = Math.max(T0, T)
+      const T_melt = getMeltingPoint()
+      const T_boil = getBoilingPoint()
+
+      // We'll step through intervals: [T0..T_melt] solid, [T_melt..T_boil] liquid (with plateau for fusion), [T_boil..T] gas
+      if (T >= T0 && T <= T_melt) {
+        // entirely in solid
+        return Cs * (T - T0)
+      }
+      if (T > T_melt && T <= T_boil) {
+        // heat solid from T0 to melt, add latent fusion, then liquid to T
+        Q = Cs * (T_melt - T0) + LATENT_FUSION + Cl * (T - T_melt)
+        return Q
+      }
+      if (T > T_boil) {
+        Q = Cs * (T_melt - T0) + LATENT_FUSION + Cl * (T_boil - T_melt) + latentVapAtP + Cg * (T - T_boil)
+        return Q
+      }
+      // If T < T0 (rare), allow negative Q
+      if (T < T0) {
+        return Cs * (T - T0)
+      }
+      return Q
+    }
+
+    // Approximate inverse T(Q) by numeric search (bisection) over the temperature range
+    function T_of_Q(Qtarget) {
+      let lo = -273.15, hi = 500
+      let flo = Q_of_T(lo), fhi = Q_of_T(hi)
+      if (Qtarget <= flo) return lo
+      if (Qtarget >= fhi) return hi
+      for (let it = 0; it < 60; it++) {
+        const mid = (lo + hi) / 2
+        const fm = Q_of_T(mid)
+        if (Math.abs(fm - Qtarget) < 1e-4) return mid
+        if (fm < Qtarget) lo = mid; else hi = mid
+      }
+      return (lo + hi) / 2
+    }
+
+    // Heat (kJ/mol) the sample holds while its crystal is out of step with the temperature:
+    // a supercooled liquid has not yet given off the latent heat the solid curve assumes,
+    // a crystal above the melting point has not yet taken it in. Q_of_T otherwise.
+    function heatContent() {
+      const Q = Q_of_T(temperature)
+      if (!nucleation || physicsMode !== 'cartoon') return Q
+      const f = frozenFraction()
+      return temperature <= meltPoint ? Q + (1 - f) * LATENT_FUSION : Q - f * LATENT_FUSION
+    }
+
+    applyPressure()
+    applySpecies()
+    if (options.substance) selectSubstance(options.substance, options.mixPartner)
+    initMolecules()
+    if (options.pressure != null) setPressure(options.pressure)
+    setTemperature(options.temperature == null ? temperature : options.temperature)
+    if (options.thermostat) setThermostat(options.thermostat)
+    if (options.physicsMode) setPhysicsMode(options.physicsMode)
+
+    return {
+      // live containers, mutated in place (safe to keep references)
+      molecules,
+      ions,
+      bonds,
+      disruptedBonds,
+      metrics,
+      get width() { return W },
+      get height() { return H },
+      get temperature() { return temperature },
+      get heat() { return heat },
+      get heaterPower() { return heaterPower },
+      get cooling() { return cooling },
+      get ambient() { return ambient },
+      get sampleMoles() { return sampleMoles },
+      // { kind: 'melt' | 'boil', progress } while part-way across a plateau, else null
+      get plateau() { return plateau() },
+      get pressure() { return pressure },
+      // pure-substance melting/boiling points at the current pressure (no solute shift;
+      // getMeltingPoint/getBoilingPoint include it)
+      get meltC() { return meltAtP },
+      get boilC() { return boilAtP },
+      get substance() { return substance },
+      get mixPartner() { return mixPartner },
+      get saltOn() { return saltOn },
+      get solute() { return solute },
+      get molality() { return molality },
+      // °C shifts the dissolved solute causes right now (0 without it)
+      get freezingPointDepression() { return freezingPointDepression() },
+      get boilingPointElevation() { return boilingPointElevation() },
+      // saturated molality (mol/kg) at the current temperature
+      get solubility() { return solubilityAt(temperature) },
+      get hbondDirectional() { return hbondDirectional },
+      get evaporation() { return evaporation },
+      get nucleation() { return nucleation },
+      // heat the sample holds, latent heat still to come or to go included (see heatContent)
+      get heatContent() { return heatContent() },
+      get maxwellResampling() { return mbResample },
+      get physicsMode() { return physicsMode },
+      get thermostat() { return thermostat },
+      get moleculeCount() { return moleculeCount },
+      get seed() { return seed },
+      get simTime() { return simTime },
+      get freezeBoost() { return freezeBoost },
+      get lattice() { return lattice },
+      // lifetimes (s) of the most recent broken bonds, oldest first (up to MAX_BOND_SAMPLES)
+      get bondDurations() { return bondDurations },
+      // indices of pinned molecules
+      get pinned() { return [...holds].filter(([, hold]) => hold.pinned).map(([i]) => i) },
+      step,
+      reset,
+      getState,
+      loadState,
+      setSize,
+      setTemperature,
+      setHeat,
+      addHeat,
+      setHeaterPower,
+      setCooling,
+      setSampleMoles,
+      setPressure,
+      setSalt,
+      setSolute,
+      setMolality,
+      selectSubstance,
+      setHBondDirectional,
+      setEvaporation,
+      setNucleation,
+      setMaxwellResampling,
+      setPhysicsMode,
+      setThermostat,
+      setMoleculeCount,
+      beginFreeze,
+      moleculeAt,
+      holdMolecule,
+      releaseMolecule,
+      pinMolecule,
+      isPinned,
+      unpinAll,
+      getPhase,
+      getPhaseInfo,
+      isSupercritical,
+      thermalSpeed,
+      kineticEnergy,
+      getMeltingPoint,
+      getBoilingPoint,
+      getPlateaus,
+      Q_of_T,
+      T_of_Q,
+      buildLattice,
+      assignAnchorsGreedy
+    }
+  }
+
+  // Temperature sweep experiment. At each temperature in turn: set it, let the box run for
+  // `equilibrate` s of sim time, then sample for `sample` s and record the phase, the mean
+  // number of bonds and the mean lifetime of the bonds that broke in that window.
+  // Call tick(dt) after every engine step (the page does this from its loop); runSweep()
+  // below does the stepping itself for Node.
+  // options: { temperatures (°C), equilibrate (s, default 5), sample (s, default 10),
+  //   setTemperature (callback, default engine.setTemperature) }
+  function createSweep(engine, options = {}) {
+    const temperatures = (options.temperatures || []).map(Number).filter(Number.isFinite)
+    const equilibrate = Math.max(0, options.equilibrate == null ? 5 : Number(options.equilibrate) || 0)
+    const sample = Math.max(FIXED_DT, options.sample == null ? 10 : Number(options.sample) || 0)
+    const setTemperature = options.setTemperature || (c => engine.setTemperature(c))
+    // one row per finished temperature: { temperature, phase, phaseInfo, activeBonds,
+    // meanLifetime (s, null when no bond broke), bondsBroken }
+    const results = []
+    let stage = 'idle' // 'idle' | 'equilibrate' | 'sample' | 'done'
+    let index = 0
+    let elapsed = 0
+    let bondSum = 0, samples = 0, lifeSum = 0, lifeCount = 0, lastBroken = 0
+
+    function enter(i) {
+      index = i
+      elapsed = 0
+      if (i >= temperatures.length) { stage = 'done'; return }
+      stage = 'equilibrate'
+      setTemperature(temperatures[i])
+    }
+
+    function start() {
+      results.length = 0
+      enter(0)
+    }
+
+    function stop() {
+      if (stage !== 'done') stage = 'idle'
+    }
+
+    // Returns true while the sweep is still running
+    function tick(dt = FIXED_DT) {
+      if (stage !== 'equilibrate' && stage !== 'sample') return false
+      elapsed += dt
+      if (stage === 'equilibrate') {
+        if (elapsed >= equilibrate - 1e-9) {
+          stage = 'sample'
+          elapsed = 0
+          bondSum = samples = lifeSum = lifeCount = 0
+          lastBroken = engine.metrics.bondsBroken
+        }
+        return true
+      }
+      bondSum += engine.bonds.size
+      samples++
+      // Bonds that broke since the last tick are the newest entries of bondDurations
+      const { bondsBroken } = engine.metrics
+      if (bondsBroken < lastBroken) lastBroken = 0 // bond tracking restarted
+      const durations = engine.bondDurations
+      const fresh = Math.min(bondsBroken - lastBroken, durations.length)
+      for (let i = durations.length - fresh; i < durations.length; i++) lifeSum += durations[i]
+      lifeCount += fresh
+      lastBroken = bondsBroken
+      if (elapsed >= sample - 1e-9) {
+        results.push({
+          temperature: engine.temperature,
+          phase: engine.getPhase(engine.temperature),
+          phaseInfo: engine.getPhaseInfo(engine.temperature),
+          activeBonds: bondSum / samples,
+          meanLifetime: lifeCount ? lifeSum / lifeCount : null,
+          bondsBroken: lifeCount
+        })
+        enter(index + 1)
+      }
+      return stage !== 'done'
+    }
+
+    return {
+      results,
+      temperatures,
+      get stage() { return stage },
+      get running() { return stage === 'equilibrate' || stage === 'sample' },
+      get index() { return index },
+      // fraction of the whole sweep done, 0..1
+      get progress() {
+        if (stage === 'done') return 1
+        if (!temperatures.length) return 0
+        const within = stage === 'sample' ? equilibrate + elapsed : stage === 'equilibrate' ? elapsed : 0
+        return (index + Math.min(1, within / (equilibrate + sample))) / temperatures.length
+      },
+      start,
+      stop,
+      tick
+    }
+  }
+
+  // Run a whole sweep synchronously (Node/batch use) and return the results table
+  function runSweep(engine, options = {}) {
+    const dt = options.dt || FIXED_DT
+    const sweep = createSweep(engine, options)
+    sweep.start()
+    while (sweep.running) {
+      engine.step(dt)
+      sweep.tick(dt)
+    }
+    return sweep.results
+  }
+
+  // --- Recorder ---
+  // Rolling buffer of what the box looked like after each step: positions, angles, vapour
+  // and frozen flags, ions, bonds, temperature and phase. It is for pausing, stepping back and
+  // replaying; frames are compact copies for drawing, not getState() snapshots, so a
+  // recorded frame can be shown but not resumed from.
+  const PHASE_EVENTS = {
+    'liquid>solid': 'freeze',
+    'solid>liquid': 'melt',
+    'liquid>gas': 'boil',
+    'gas>liquid': 'condense',
+    'solid>gas': 'sublime',
+    'gas>solid': 'deposit'
+  }
+
+  function createRecorder(engine, options = {}) {
+    const seconds = Math.max(1, options.seconds == null ? 20 : Number(options.seconds) || 0)
+    const maxBytes = options.maxBytes || 48e6 // big boxes keep fewer seconds
+    // frame: { time, temperature, phase, phaseInfo, saltOn, evaporation, species (per molecule,
+    // shared between frames while unchanged), x, y, angle, vapour, frozen, ionX, ionY, ionType
+    // (index into ION_TYPE_IDS), bonds (6 ints per bond: i, j, donor or -1, h, k, disrupted) }
+    const frames = []
+    // phase changes inside the buffer: { time, kind, from, to }
+    const events = []
+    let species = []
+
+    function clear() {
+      frames.length = 0
+      events.length = 0
+    }
+
+    function capacityFor(frame) {
+      const bytes = 64 + frame.x.byteLength * 3 + frame.vapour.byteLength * 2 + frame.ionX.byteLength * 2 + frame.ionType.byteLength + frame.bonds.byteLength
+      return Math.max(60, Math.min(Math.round(seconds / FIXED_DT), Math.floor(maxBytes / bytes)))
+    }
+
+    // Record the engine as it is now; call once after each step
+    function capture() {
+      const { molecules, ions, bonds, disruptedBonds, temperature } = engine
+      const prev = frames[frames.length - 1]
+      if (prev && engine.simTime <= prev.time) clear() // reset or an older scene was loaded
+      const n = molecules.length
+      const x = new Float32Array(n), y = new Float32Array(n), angle = new Float32Array(n)
+      const vapour = new Uint8Array(n), frozen = new Uint8Array(n)
+      let sameSpecies = species.length === n
+      for (let i = 0; i < n; i++) {
+        const m = molecules[i]
+        x[i] = m.x
+        y[i] = m.y
+        angle[i] = m.angle
+        vapour[i] = m.vapour ? 1 : 0
+        frozen[i] = m.frozen ? 1 : 0
+        if (sameSpecies && species[i] !== m.species) sameSpecies = false
+      }
+      if (!sameSpecies) species = molecules.map(m => m.species)
+      const ionX = new Float32Array(ions.length), ionY = new Float32Array(ions.length)
+      const ionType = new Uint8Array(ions.length)
+      ions.forEach((ion, k) => {
+        ionX[k] = ion.x
+        ionY[k] = ion.y
+        ionType[k] = ION_TYPE_IDS.indexOf(ion.type)
+      })
+      const packed = new Int32Array(bonds.size * 6)
+      let b = 0
+      for (const [key, info] of bonds) {
+        packed[b] = info.i
+        packed[b + 1] = info.j
+        packed[b + 2] = info.hb ? info.hb.donor : -1
+        packed[b + 3] = info.hb ? info.hb.h : 0
+        packed[b + 4] = info.hb ? info.hb.k : 0
+        packed[b + 5] = disruptedBonds.has(key) ? 1 : 0
+        b += 6
+      }
+      const frame = {
+        time: engine.simTime,
+        temperature,
+        phase: engine.getPhase(temperature),
+        phaseInfo: engine.getPhaseInfo(temperature),
+        saltOn: engine.saltOn,
+        evaporation: engine.evaporation,
+        species,
+        x, y, angle, vapour, frozen,
+        ionX, ionY, ionType,
+        bonds: packed
+      }
+      const last = frames[frames.length - 1]
+      if (last && last.phaseInfo.state !== frame.phaseInfo.state) {
+        const from = last.phaseInfo.state, to = frame.phaseInfo.state
+        events.push({ time: frame.time, kind: PHASE_EVENTS[`${from}>${to}`] || to, from: last.phase, to: frame.phase })
+      }
+      frames.push(frame)
+      const capacity = capacityFor(frame)
+      if (frames.length > capacity) frames.splice(0, frames.length - capacity)
+      while (events.length && events[0].time < frames[0].time) events.shift()
+      return frame
+    }
+
+    // Index of the last frame at or before `time` (0 when it is older than the buffer)
+    function indexAt(time) {
+      let lo = 0, hi = frames.length - 1
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1
+        if (frames[mid].time <= time + 1e-9) lo = mid
+        else hi = mid - 1
+      }
+      return lo
+    }
+
+    return {
+      frames,
+      events,
+      get duration() { return frames.length ? frames[frames.length - 1].time - frames[0].time : 0 },
+      capture,
+      clear,
+      indexAt
+    }
+  }
+
+  return {
+    ELEMENTS,
+    SUBSTANCES,
+    SOLUTES,
+    ION_TYPES,
+    ION_TYPE_IDS,
+    MAX_MOLALITY,
+    DEFAULT_MOLALITY,
+    PAIR_ATTRACTION,
+    NUM_MOLECULES,
+    MAX_MOLECULES,
+    FIXED_DT,
+    IMF_CUTOFF,
+    T0,
+    P_ATM,
+    R_GAS,
+    MB_SIGMA,
+    createEngine,
+    createSweep,
+    runSweep,
+    createRecorder,
+    phaseLabel,
+    createRng,
+    createNeighbourGrid,
+    crossAttraction,
+    isMiscible,
+    placeAtoms,
+    ionRadius,
+    cToK,
+    saturationTemp,
+    saturationPressure,
+    fusionTemp,
+    maxwellSpeedPdf,
+    maxwellEnergyPdf
+  }
+})
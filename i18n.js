@@ -0,0 +1,390 @@
+/*
+  Translation layer for the page (no DOM access)
+  - Language packs: { id, name (in its own language), locale, dir ('ltr' | 'rtl'), strings,
+    and optionally substances, solutes and elements to rename the engine's registries;
+    a solute has its name and the phrase form used mid-sentence ('salt' in 'Ice + salt') }
+  - English is built in and is the fallback for any key a pack leaves out; more packs
+    register themselves with addLanguage() (see locales/)
+  - createTranslator(id): t(key, params) fills {name} placeholders; number(), round() and
+    precision() format numbers for the pack's locale (decimal commas where it uses them)
+  - pickLanguage(preferred): the first registered pack matching a list of BCP 47 tags
+  The engine's English phase labels and the CSV/JSON exports stay in English with plain
+  numbers; only what the page shows goes through here. The page builds its phase text from
+  the engine's getPhaseInfo() with the phase.* keys.
+  Loads as a browser global (window.IMFI18n) or as a CommonJS module under Node.
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFI18n = factory()
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Keys are grouped by panel. In strings for elements with children (data-i18n in
+  // index.html), {0}, {1}, … stand for the element's child elements in document order.
+  const EN = {
+    id: 'en',
+    name: 'English',
+    locale: 'en',
+    dir: 'ltr',
+    strings: {
+      'app.documentTitle': 'Intermolecular Forces — Water Simulation',
+      'app.title': '{names} Molecules & Intermolecular Forces',
+      'app.subtitle': 'Canvas simulation with green dotted SVG lines for attractions',
+      'language.label': 'Language: {0}',
+
+      'temp.label': 'Temperature ({0}): {1} {2}',
+      'units.label': 'Units: {0}',
+      'units.temperature': 'Temperature unit',
+      'units.energy': 'Energy unit',
+      'pressure.label': 'Pressure: {0}',
+      'pressure.out': '{pressure} ({atm} atm)',
+      'substance.label': 'Substance: {0}',
+      'substance.mix': 'Mix with: {0}',
+      'substance.none': 'None',
+      'substance.option': '{name} ({formula})',
+      'imf.mix': '{imf} + {partner}: {miscibility}',
+      'imf.miscible': 'miscible',
+      'imf.immiscible': 'immiscible',
+      'solute.label': 'Solute: {0}',
+      'solute.option': '{name} ({formula}, i = {i})',
+      'molality.label': 'Molality: {0}',
+      'molality.out': '{m} mol/kg',
+      'colligative.insoluble': "{substance} doesn't dissolve it",
+      'colligative.shifts': 'i = {i}: freezes {freeze} lower, boils {boil} higher',
+      'colligative.none': 'Not dissolved (Kf {kf}, Kb {kb} {unit}·kg/mol)',
+
+      'phase.solid': 'Solid',
+      'phase.liquid': 'Liquid',
+      'phase.gas': 'Gas',
+      'phase.supercritical': 'Supercritical fluid',
+      'phase.supercriticalShort': 'Supercritical',
+      'phase.detail': '{phase} ({detail})',
+      'phase.solidSolute': '{solid} + {solute}',
+      'phase.liquidSolution': '{soluteName} solution',
+      'phase.gasSolution': '{gas}, {solute} solution',
+      'phase.supercooled': '{liquid}, supercooled',
+      'tip.at': 'at {pressure}: ',
+      'tip.atSolution': 'at {pressure} with {m} mol/kg {solute}: ',
+      'tip.sublimes': '{at}{solid} ≤ {melt}, sublimes to gas above',
+      'tip.supercritical': '{at}{solid} ≤ {melt}, Liquid {melt} to {boil}, Supercritical fluid ≥ {boil}',
+      'tip.normal': '{at}{solid} ≤ {melt}, Liquid {melt} to {boil}, Gas ≥ {boil}',
+      'footer.tip': 'Tip: Drag the temperature slider from absolute zero ({0}) up to {1}. Phase is estimated at the set pressure ({2}).',
+
+      'buttons.freeze': 'Freeze ❄️',
+      'buttons.melt': 'Melt 💧',
+      'buttons.boil': 'Boil ♨️',
+      'buttons.condense': 'Condense ☁️',
+      'salt.add': 'Add {solute} 🧂',
+      'salt.remove': 'Remove {solute} 🧂',
+      'heatPanel.show': 'Show latent graph',
+      'heatPanel.hide': 'Hide latent graph',
+
+      'legend.key': 'Key:',
+      'legend.atom': '{name} ({symbol})',
+      'legend.attraction': '{0} Intermolecular attraction',
+      'legend.bonds': '{0} Show bonds',
+      'legend.hbond': '{0} Directional H-bonds',
+      'legend.hbondTitle': 'Count a hydrogen bond only when a donor H lines up with an acceptor N/O/F',
+      'legend.evaporation': '{0} Sealed container (evaporation)',
+      'legend.evaporationTitle': 'Liquid pools at the bottom; only molecules that beat the surface attraction escape into the headspace',
+      'legend.nucleation': '{0} Nucleation (crystal grows from seeds)',
+      'legend.nucleationTitle': 'Below the melting point the liquid waits for a seed crystal, then freezes where molecules touch the crystal in the right orientation',
+      'physics.label': 'Physics: {0}',
+      'physics.title': 'Cartoon: the teaching model. Molecular dynamics: Lennard-Jones forces integrated with velocity Verlet',
+      'physics.cartoon': 'Cartoon',
+      'physics.md': 'Molecular dynamics (LJ)',
+      'thermostat.label': 'Thermostat: {0}',
+      'thermostat.title': 'How the MD box is held at the slider temperature',
+      'thermostat.berendsen': 'Berendsen',
+      'thermostat.andersen': 'Andersen',
+      'thermostat.none': 'None (constant energy)',
+      'molecules.label': 'Molecules: {0} {1}',
+      'lines.label': 'Lines: {0}',
+      'lines.title': 'How attraction lines are drawn; both look the same',
+      'lines.canvas': 'Canvas',
+      'lines.svg': 'SVG (pooled)',
+      'seed.label': 'Seed: {0} {1}',
+      'seed.title': 'Same seed + same inputs = same run',
+      'seed.restart': 'Restart',
+      'scene.label': 'Scene: {0} {1} {2} {3} {4}',
+      'scene.save': 'Save',
+      'scene.saveTitle': 'Download the whole scene as a JSON file',
+      'scene.load': 'Load',
+      'scene.loadTitle': 'Load a saved scene file',
+      'scene.link': 'Copy link',
+      'scene.linkTitle': 'Copy a link with the current settings (not the molecule positions)',
+      'scene.saved': 'Scene saved',
+      'scene.copied': 'Link copied',
+      'scene.inAddressBar': 'Link is in the address bar',
+      'scene.loaded': 'Loaded {file}',
+      'scene.invalid': '{file} is not a saved scene',
+      'scene.unreadable': 'Could not read {file}',
+      'tool.label': 'Tool: {0} {1} {2} {3} {4}',
+      'tool.group': 'Pointer tool',
+      'tool.drag': 'Drag',
+      'tool.dragTitle': 'Hold a molecule and drop it in place',
+      'tool.fling': 'Fling',
+      'tool.flingTitle': "Throw a molecule with the pointer's speed",
+      'tool.pin': 'Pin',
+      'tool.pinTitle': 'Fix a molecule in place (click again to free it)',
+      'tool.inspect': 'Inspect',
+      'tool.inspectTitle': "Show a molecule's speed and bonds",
+      'tool.unpinAll': 'Unpin all',
+      'export.label': 'Export: {0} {1} {2} s {3} fps {4} {5}',
+      'export.pngTitle': 'Save the current frame as a PNG',
+      'export.format': 'Recording format',
+      'export.formatPng': 'PNG frames (.zip)',
+      'export.formatWebm': 'WebM video',
+      'export.duration': 'Recording length (s)',
+      'export.fps': 'Frames per second',
+      'export.record': 'Record',
+      'export.recordTitle': 'Record the box for the chosen number of seconds',
+      'export.stop': 'Stop',
+      'export.pngFailed': 'Could not create the PNG',
+      'export.pngSaved': 'PNG saved',
+      'export.noWebm': 'This browser cannot record WebM video',
+      'export.webmSaved': 'WebM saved ({seconds} s)',
+      'export.recording': 'Recording {elapsed} / {total} s',
+      'export.gifSaved': 'GIF saved ({frames} frames)',
+      'export.packing': 'Packing frames…',
+      'export.framesSaved': '{frames} PNG frames saved',
+      'export.packFailed': 'Could not pack the frames',
+
+      'inspector.title': '#{n} {name} ({formula})',
+      'inspector.close': 'Close inspector',
+      'inspector.speed': 'Speed: {0} m/s',
+      'inspector.energy': 'Kinetic energy: {0} {1}/mol',
+      'inspector.pin': 'Pin',
+      'inspector.unpin': 'Unpin',
+      'inspector.partner': 'Partner',
+      'inspector.bond': 'Bond',
+      'inspector.lasted': 'Lasted',
+      'inspector.empty': 'No bonds right now',
+      'inspector.hbond': 'H-bond',
+      'inspector.attraction': 'Attraction',
+
+      'timeline.label': 'Timeline',
+      'timeline.back': 'Step back one frame',
+      'timeline.forward': 'Step forward one frame',
+      'timeline.pause': 'Pause',
+      'timeline.play': 'Play',
+      'timeline.frames': 'Recorded frames',
+      'timeline.speed': 'Speed: {0}',
+      'timeline.speedTitle': 'Playback speed of the recording',
+      'timeline.events': 'Replay a phase change',
+      'timeline.pick': 'Replay a phase change…',
+      'timeline.none': 'No phase changes yet',
+      'timeline.event': '{kind} at {time} s',
+      'timeline.live': 'Live',
+      'timeline.liveStatus': 'Live · {seconds} s recorded',
+      'timeline.replay': 'Replay {time} s · {temperature} · {phase}',
+      'event.freeze': 'Freeze',
+      'event.melt': 'Melt',
+      'event.boil': 'Boil',
+      'event.condense': 'Condense',
+      'event.sublime': 'Sublime',
+      'event.deposit': 'Deposit',
+
+      'metrics.bonds': 'Avg bond duration: {0} s  Active bonds: {1}',
+      'metrics.mix': 'Like–like: {0} Like–unlike: {1} H-bonds: {2}',
+      'metrics.vapour': 'Vapour: {0} (5 s avg {1}) Liquid: {2}',
+      'metrics.solute': 'Hydration shell: {0} molecules per ion Saturation: {1} Crystal: {2}',
+      'metrics.saturation': '{pct}% of {limit} mol/kg',
+      'metrics.crystal': '{n} × {formula} precipitated',
+      'metrics.noCrystal': 'none',
+      'metrics.freeze': 'Frozen: {0} molecules, latent heat released {1} {2}/mol',
+      'metrics.frozen': '{n} of {total}',
+      'metrics.md': 'Energy per molecule ({0}/mol) KE: {1} PE: {2} Total: {3} T{4}: {5} {6}',
+
+      'heat.heading': 'Heat added vs Temperature',
+      'heat.sample': 'Sample: {0} {1} {2}',
+      'heat.sampleTitle': "Amount of the substance the heat is for; the chart's curve is the same per mole",
+      'heat.sampleUnit': 'Sample unit',
+      'heat.sampleOther': '= {amount}',
+      'heat.added': 'Heat added: {0} {1}',
+      'heat.temperature': 'Temperature ({0}): {1}',
+      'heat.add': 'Add {amount} {unit}',
+      'heat.remove': 'Remove {amount} {unit}',
+      'heat.reset': 'Reset',
+      'heat.shift': 'Shift Y: {0}',
+      'heat.shiftTitle': 'Shift chart Y-axis',
+      'heat.apply': 'Apply',
+      'heat.resetY': 'Reset Y',
+      'heat.resetZoom': 'Reset zoom',
+      'heat.resetZoomTitle': 'Show the whole curve again (or double-click the chart)',
+      'heat.chart': 'Heat vs Temperature chart',
+      'heat.hint': 'Drag the marker along the curve, the temperature slider or use the buttons to add/remove heat. On a plateau the temperature holds while the heat melts or boils the box. Click a plateau band to jump to its start (left half) or end (right half). Scroll or pinch to zoom, drag the chart to pan.',
+      'heat.melting': 'Melting: {pct}% of the crystal broken up',
+      'heat.boiling': 'Boiling: {pct}% of the liquid vaporised',
+      'heatChart.melting': 'Melting',
+      'heatChart.vaporisation': 'Vaporisation',
+      'heatChart.sample': 'Sample: {heat} {unit}/mol released',
+      'heatChart.hover': 'Q {heat} {unit} · T {temperature}',
+      'heatChart.heatAxis': 'Heat added ({unit}, {amount})',
+
+      'heating.heading': 'Heating curve (temperature vs time)',
+      'heating.heater': 'Heater: {0} {1}',
+      'heating.heaterTitle': 'Positive heats, negative cools; it warms the whole sample set in the heat panel',
+      'heating.cooling': '{0} Newton cooling',
+      'heating.coolingTitle': 'Heat leaks to the surroundings at k·(T − ambient)',
+      'heating.ambient': 'Ambient: {0} {1}',
+      'heating.k': 'k: {0} W/K',
+      'heating.off': 'Heater off',
+      'heating.csvTitle': 'Download the curve as CSV',
+      'heating.clear': 'Clear',
+      'heating.chart': 'Temperature vs time chart',
+      'heating.hint': "The heater adds energy at a steady rate. The temperature climbs, then stays flat while the box melts or boils. With cooling on, it levels off where the heater's power matches the loss.",
+      'heating.status': 'Heater {power} − loss {loss} = net {net}',
+      'heating.net': 'Net {net}',
+      'heating.meltingLine': 'Melting',
+      'heating.boilingLine': 'Boiling',
+      'heating.ambientLine': 'Ambient',
+
+      'diagram.heading': 'Phase diagram (P–T)',
+      'diagram.chart': 'Pressure vs temperature phase diagram',
+      'diagram.hint': 'Curves mark sublimation, melting and boiling; the dot is the current temperature and pressure. Pressure is on a log scale.',
+      'diagram.triple': 'Triple point',
+      'diagram.critical': 'Critical point',
+      'diagram.point': '{name} ({temperature}, {pressure})',
+
+      'mb.heading': 'Molecular speeds (Maxwell–Boltzmann)',
+      'mb.resample': '{0} Resample speeds (thermal collisions)',
+      'mb.resampleTitle': 'Random thermalising collisions redraw velocities so speeds follow the Maxwell–Boltzmann distribution',
+      'mb.speedChart': 'Molecular speed histogram',
+      'mb.energyChart': 'Kinetic energy histogram',
+      'mb.hint': 'Bars: the molecules in the box, averaged over about a second. Curve: the 2D Maxwell–Boltzmann distribution at the current temperature.',
+      'mb.speed': 'Speed (m/s) — {formula}',
+      'mb.speedNote': 'mean {mean} m/s (MB {mb})',
+      'mb.energy': 'Kinetic energy ({unit}/mol)',
+      'mb.energyNote': 'mean {mean} {unit}/mol (MB {mb})',
+      'mb.still': 'No thermal motion at {temperature}',
+
+      'analytics.heading': 'Bond analytics',
+      'analytics.lifetimes': 'Lifetimes',
+      'analytics.series': 'Active bonds',
+      'analytics.vsTemp': 'Lifetime vs T',
+      'analytics.csvTitle': 'Download the current view as CSV',
+      'analytics.jsonTitle': 'Download the current view as JSON',
+      'analytics.clear': 'Clear',
+      'analytics.chart': 'Bond analytics chart',
+      'analytics.hintLifetimes': 'How long bonds lasted before breaking (the last 1000). Lower the temperature and the tail grows.',
+      'analytics.hintSeries': 'Active bonds over the last minute: faint line every step, bright line the 3 s average shown in the metrics bar.',
+      'analytics.hintVsTemp': 'Mean lifetime of the bonds that broke at each temperature ({bin} bins; dot size = number of bonds). Move the slider slowly to fill it in.',
+      'analytics.empty': 'No bonds recorded yet',
+      'analytics.lifetime': 'Bond lifetime (s)',
+      'analytics.lifetimeCount': 'Bonds ({n} lifetimes, mean {mean} s)',
+      'analytics.simTime': 'Sim time (s)',
+      'analytics.activeBonds': 'Active bonds',
+      'analytics.meanLifetime': 'Mean bond lifetime (s)',
+      'axis.temperature': 'Temperature ({unit})',
+      'axis.time': 'Time (s)',
+
+      'sweep.heading': 'Temperature sweep',
+      'sweep.temperatures': 'Temperatures ({0}): {1}',
+      'sweep.temperaturesTitle': 'A list (0; 25; 50) or a range start:stop:step',
+      'sweep.equilibrate': 'Equilibrate: {0} s',
+      'sweep.sample': 'Sample: {0} s',
+      'sweep.fast': '{0} Fast',
+      'sweep.fastTitle': 'Run several steps per frame; the results are the same as in real time',
+      'sweep.run': 'Run sweep',
+      'sweep.stop': 'Stop',
+      'sweep.csvTitle': 'Download the results as CSV',
+      'sweep.jsonTitle': 'Download the results as JSON',
+      'sweep.chart': 'Temperature sweep results chart',
+      'sweep.t': 'T ({0})',
+      'sweep.phase': 'Phase',
+      'sweep.activeBonds': 'Active bonds',
+      'sweep.meanLifetime': 'Mean lifetime (s)',
+      'sweep.bondsBroken': 'Bonds broken',
+      'sweep.hint': 'Sim time, not wall-clock time. Bonds that never break (a solid) have no lifetime in the window.',
+      'sweep.idle': 'Idle',
+      'sweep.enter': 'Enter temperatures, e.g. 0; 25; 50 or -20:100:20',
+      'sweep.unreadable': 'Cannot read “{item}”: separate temperatures with spaces or semicolons, e.g. 0; 25; 50',
+      'sweep.equilibrating': 'equilibrating',
+      'sweep.sampling': 'sampling',
+      'sweep.progress': '{i}/{n}: {stage} at {temperature} ({pct}%)',
+      'sweep.done': 'Done: {n} temperatures',
+      'sweep.stopped': 'Stopped after {done} of {n}',
+      'sweep.empty': 'Results appear here as the sweep runs'
+    }
+  }
+
+  const LANGUAGES = { en: EN }
+
+  // Register (or replace) a pack; returns it
+  function addLanguage(pack) {
+    if (!pack || !pack.id || !pack.strings) return null
+    LANGUAGES[pack.id] = pack
+    return pack
+  }
+
+  // The first pack matching the preferred tags ('es-MX' matches 'es'), else English
+  function pickLanguage(preferred) {
+    for (const tag of [].concat(preferred || [])) {
+      const id = String(tag).toLowerCase()
+      if (LANGUAGES[id]) return id
+      const base = id.split('-')[0]
+      if (LANGUAGES[base]) return base
+    }
+    return 'en'
+  }
+
+  function createTranslator(id) {
+    const pack = LANGUAGES[id] || EN
+    const formats = new Map() // Intl.NumberFormat per option set, built on first use
+
+    function format(v, options) {
+      const key = JSON.stringify(options)
+      let nf = formats.get(key)
+      if (!nf) formats.set(key, nf = new Intl.NumberFormat(pack.locale, options))
+      return nf.format(v)
+    }
+
+    // {name} → params.name; a missing key falls back to English, then to the key itself
+    function t(key, params) {
+      const text = key in pack.strings ? pack.strings[key] : key in EN.strings ? EN.strings[key] : key
+      if (!params) return text
+      return text.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m))
+    }
+
+    // Exactly `digits` decimals, like toFixed
+    function number(v, digits = 0) {
+      return format(v, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+    }
+
+    // Up to `digits` decimals, trailing zeros dropped, like Number(v.toFixed(digits))
+    function round(v, digits = 0) {
+      return format(Number(v.toFixed(digits)) || 0, { maximumFractionDigits: digits })
+    }
+
+    // `digits` significant figures, like Number(v.toPrecision(digits))
+    function precision(v, digits) {
+      return format(Number(v.toPrecision(digits)) || 0, { maximumSignificantDigits: digits })
+    }
+
+    // Registry names: the pack's translation, else the engine's English
+    function substance(sub, field = 'name') {
+      const entry = pack.substances && pack.substances[sub.id]
+      if (entry && entry[field]) return entry[field]
+      return field === 'name' || field === 'imf' ? sub[field] : sub.phaseNames[field]
+    }
+    // field: 'name', or 'phrase' for the form inside a sentence (English lowercases the name)
+    function solute(sol, field = 'name') {
+      const entry = pack.solutes && pack.solutes[sol.id]
+      if (entry && entry[field]) return entry[field]
+      if (entry && entry.name) return entry.name
+      return field === 'phrase' ? sol.name.toLowerCase() : sol.name
+    }
+    function element(symbol, fallback) {
+      return (pack.elements && pack.elements[symbol]) || fallback
+    }
+
+    return { id: pack.id, name: pack.name, locale: pack.locale, dir: pack.dir || 'ltr', t, number, round, precision, substance, solute, element }
+  }
+
+  return {
+    LANGUAGES,
+    addLanguage,
+    pickLanguage,
+    createTranslator
+  }
+})
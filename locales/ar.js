@@ -0,0 +1,297 @@
+/*
+  Arabic language pack (right-to-left; Arabic-Indic digits via the ar locale)
+  Registers itself with IMFI18n.addLanguage() in the browser; under Node it is exported
+  for addLanguage(require('./locales/ar.js')).
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFI18n.addLanguage(factory())
+})(typeof self !== 'undefined' ? self : this, function () {
+  return {
+    id: 'ar',
+    name: 'العربية',
+    locale: 'ar',
+    dir: 'rtl',
+    substances: {
+      water: { name: 'الماء', imf: 'روابط هيدروجينية', solid: 'جليد', liquid: 'ماء', gas: 'بخار الماء' },
+      ammonia: { name: 'الأمونيا', imf: 'روابط هيدروجينية (أضعف)', solid: 'أمونيا صلبة', liquid: 'أمونيا', gas: 'بخار الأمونيا' },
+      methane: { name: 'الميثان', imf: 'قوى تشتت لندن فقط', solid: 'ميثان صلب', liquid: 'ميثان', gas: 'ميثان' },
+      hf: { name: 'فلوريد الهيدروجين', imf: 'روابط هيدروجينية (سلاسل)', solid: 'بلورة HF', liquid: 'HF', gas: 'بخار HF' },
+      ethanol: { name: 'الإيثانول', imf: 'روابط هيدروجينية + تشتت', solid: 'إيثانول متجمد', liquid: 'إيثانول', gas: 'بخار الإيثانول' },
+      co2: { name: 'ثاني أكسيد الكربون', imf: 'قوى تشتت لندن (غير قطبي)', solid: 'ثلج جاف', liquid: 'CO₂', gas: 'غاز CO₂' },
+      hexane: { name: 'الهكسان', imf: 'قوى تشتت لندن (سلسلة طويلة)', solid: 'هكسان متجمد', liquid: 'هكسان', gas: 'بخار الهكسان' }
+    },
+    solutes: {
+      nacl: { name: 'الملح', phrase: 'الملح' },
+      cacl2: { name: 'كلوريد الكالسيوم', phrase: 'كلوريد الكالسيوم' },
+      sugar: { name: 'السكر', phrase: 'السكر' }
+    },
+    elements: { H: 'هيدروجين', C: 'كربون', N: 'نيتروجين', O: 'أكسجين', F: 'فلور' },
+    strings: {
+      'app.documentTitle': 'القوى بين الجزيئية — محاكاة الماء',
+      'app.title': 'جزيئات {names} والقوى بين الجزيئية',
+      'app.subtitle': 'محاكاة على لوحة رسم مع خطوط SVG خضراء منقطة للتجاذب',
+      'language.label': 'اللغة: {0}',
+
+      'temp.label': 'درجة الحرارة ({0}): {1} {2}',
+      'units.label': 'الوحدات: {0}',
+      'units.temperature': 'وحدة درجة الحرارة',
+      'units.energy': 'وحدة الطاقة',
+      'pressure.label': 'الضغط: {0}',
+      'substance.label': 'المادة: {0}',
+      'substance.mix': 'خلط مع: {0}',
+      'substance.none': 'لا شيء',
+      'imf.miscible': 'قابلة للامتزاج',
+      'imf.immiscible': 'غير قابلة للامتزاج',
+      'solute.label': 'المذاب: {0}',
+      'molality.label': 'المولالية: {0}',
+      'colligative.insoluble': '{substance} لا يذيبه',
+      'colligative.shifts': 'i = {i}: يتجمد أقل بمقدار {freeze}، ويغلي أعلى بمقدار {boil}',
+      'colligative.none': 'غير مذاب (Kf {kf}، Kb {kb} {unit}·kg/mol)',
+
+      'phase.solid': 'صلب',
+      'phase.liquid': 'سائل',
+      'phase.gas': 'غاز',
+      'phase.supercritical': 'مائع فوق حرج',
+      'phase.supercriticalShort': 'فوق حرج',
+      'phase.liquidSolution': 'محلول {solute}',
+      'phase.gasSolution': '{gas}، محلول {solute}',
+      'phase.supercooled': '{liquid}، فائق التبريد',
+      'tip.at': 'عند {pressure}: ',
+      'tip.atSolution': 'عند {pressure} مع {m} mol/kg من {solute}: ',
+      'tip.sublimes': '{at}{solid} ≤ {melt}، ويتسامى إلى غاز فوقها',
+      'tip.supercritical': '{at}{solid} ≤ {melt}، سائل من {melt} إلى {boil}، مائع فوق حرج ≥ {boil}',
+      'tip.normal': '{at}{solid} ≤ {melt}، سائل من {melt} إلى {boil}، غاز ≥ {boil}',
+      'footer.tip': 'نصيحة: اسحب منزلق درجة الحرارة من الصفر المطلق ({0}) حتى {1}. تُقدَّر الحالة عند الضغط المحدد ({2}).',
+
+      'buttons.freeze': 'تجميد ❄️',
+      'buttons.melt': 'انصهار 💧',
+      'buttons.boil': 'غليان ♨️',
+      'buttons.condense': 'تكثيف ☁️',
+      'salt.add': 'أضف {solute} 🧂',
+      'salt.remove': 'أزل {solute} 🧂',
+      'heatPanel.show': 'أظهر مخطط الحرارة الكامنة',
+      'heatPanel.hide': 'أخفِ مخطط الحرارة الكامنة',
+
+      'legend.key': 'المفتاح:',
+      'legend.attraction': '{0} تجاذب بين الجزيئات',
+      'legend.bonds': '{0} أظهر الروابط',
+      'legend.hbond': '{0} روابط هيدروجينية اتجاهية',
+      'legend.hbondTitle': 'تُحسب الرابطة الهيدروجينية فقط عندما يصطف H المانح مع N/O/F المستقبِل',
+      'legend.evaporation': '{0} وعاء مغلق (تبخر)',
+      'legend.evaporationTitle': 'يتجمع السائل في الأسفل؛ ولا يفلت إلى الفراغ العلوي إلا الجزيئات التي تتغلب على تجاذب السطح',
+      'legend.nucleation': '{0} التنوّي (تنمو البلورة من البذور)',
+      'legend.nucleationTitle': 'تحت نقطة الانصهار ينتظر السائل بذرة بلورية، ثم يتجمد حيث تلامس الجزيئات البلورة بالاتجاه الصحيح',
+      'physics.label': 'الفيزياء: {0}',
+      'physics.title': 'مبسّط: النموذج التعليمي. ديناميكا جزيئية: قوى لينارد-جونز مكاملة بطريقة فيرليه للسرعات',
+      'physics.cartoon': 'مبسّط',
+      'physics.md': 'ديناميكا جزيئية (LJ)',
+      'thermostat.label': 'منظم الحرارة: {0}',
+      'thermostat.title': 'كيف يُحافظ على صندوق الديناميكا الجزيئية عند درجة حرارة المنزلق',
+      'thermostat.none': 'بلا (طاقة ثابتة)',
+      'molecules.label': 'الجزيئات: {0} {1}',
+      'lines.label': 'الخطوط: {0}',
+      'lines.title': 'طريقة رسم خطوط التجاذب؛ كلتاهما تبدوان متماثلتين',
+      'lines.canvas': 'لوحة رسم',
+      'lines.svg': 'SVG (مُعاد استخدامها)',
+      'seed.label': 'البذرة: {0} {1}',
+      'seed.title': 'البذرة نفسها + المدخلات نفسها = التشغيل نفسه',
+      'seed.restart': 'إعادة التشغيل',
+      'scene.label': 'المشهد: {0} {1} {2} {3} {4}',
+      'scene.save': 'حفظ',
+      'scene.saveTitle': 'نزّل المشهد كاملًا ملف JSON',
+      'scene.load': 'تحميل',
+      'scene.loadTitle': 'حمّل ملف مشهد محفوظ',
+      'scene.link': 'انسخ الرابط',
+      'scene.linkTitle': 'انسخ رابطًا بالإعدادات الحالية (دون مواضع الجزيئات)',
+      'scene.saved': 'حُفظ المشهد',
+      'scene.copied': 'نُسخ الرابط',
+      'scene.inAddressBar': 'الرابط في شريط العنوان',
+      'scene.loaded': 'حُمّل {file}',
+      'scene.invalid': '{file} ليس مشهدًا محفوظًا',
+      'scene.unreadable': 'تعذرت قراءة {file}',
+      'tool.label': 'الأداة: {0} {1} {2} {3} {4}',
+      'tool.group': 'أداة المؤشر',
+      'tool.drag': 'سحب',
+      'tool.dragTitle': 'أمسك جزيئًا وأفلته في مكانه',
+      'tool.fling': 'قذف',
+      'tool.flingTitle': 'اقذف جزيئًا بسرعة المؤشر',
+      'tool.pin': 'تثبيت',
+      'tool.pinTitle': 'ثبّت جزيئًا في مكانه (انقر مرة أخرى لتحريره)',
+      'tool.inspect': 'فحص',
+      'tool.inspectTitle': 'اعرض سرعة الجزيء وروابطه',
+      'tool.unpinAll': 'حرّر الكل',
+      'export.label': 'تصدير: {0} {1} {2} ث {3} إطار/ث {4} {5}',
+      'export.pngTitle': 'احفظ الإطار الحالي صورة PNG',
+      'export.format': 'صيغة التسجيل',
+      'export.formatPng': 'إطارات PNG (.zip)',
+      'export.formatWebm': 'فيديو WebM',
+      'export.duration': 'مدة التسجيل (ث)',
+      'export.fps': 'إطارات في الثانية',
+      'export.record': 'تسجيل',
+      'export.recordTitle': 'سجّل الصندوق لعدد الثواني المختار',
+      'export.stop': 'إيقاف',
+      'export.pngFailed': 'تعذر إنشاء صورة PNG',
+      'export.pngSaved': 'حُفظت صورة PNG',
+      'export.noWebm': 'هذا المتصفح لا يستطيع تسجيل فيديو WebM',
+      'export.webmSaved': 'حُفظ فيديو WebM ({seconds} ث)',
+      'export.recording': 'جارٍ التسجيل {elapsed} / {total} ث',
+      'export.gifSaved': 'حُفظ GIF ({frames} إطارًا)',
+      'export.packing': 'جارٍ حزم الإطارات…',
+      'export.framesSaved': 'حُفظت {frames} إطارات PNG',
+      'export.packFailed': 'تعذر حزم الإطارات',
+
+      'inspector.close': 'أغلق الفاحص',
+      'inspector.speed': 'السرعة: {0} m/s',
+      'inspector.energy': 'الطاقة الحركية: {0} {1}/mol',
+      'inspector.pin': 'تثبيت',
+      'inspector.unpin': 'تحرير',
+      'inspector.partner': 'الشريك',
+      'inspector.bond': 'الرابطة',
+      'inspector.lasted': 'استمرت',
+      'inspector.empty': 'لا روابط الآن',
+      'inspector.hbond': 'رابطة هيدروجينية',
+      'inspector.attraction': 'تجاذب',
+
+      'timeline.label': 'الخط الزمني',
+      'timeline.back': 'ارجع إطارًا واحدًا',
+      'timeline.forward': 'تقدّم إطارًا واحدًا',
+      'timeline.pause': 'إيقاف مؤقت',
+      'timeline.play': 'تشغيل',
+      'timeline.frames': 'الإطارات المسجلة',
+      'timeline.speed': 'السرعة: {0}',
+      'timeline.speedTitle': 'سرعة تشغيل التسجيل',
+      'timeline.events': 'أعد عرض تغير في الحالة',
+      'timeline.pick': 'أعد عرض تغير في الحالة…',
+      'timeline.none': 'لا تغيرات في الحالة بعد',
+      'timeline.event': '{kind} عند {time} ث',
+      'timeline.live': 'مباشر',
+      'timeline.liveStatus': 'مباشر · سُجّلت {seconds} ث',
+      'timeline.replay': 'إعادة {time} ث · {temperature} · {phase}',
+      'event.freeze': 'تجمد',
+      'event.melt': 'انصهار',
+      'event.boil': 'غليان',
+      'event.condense': 'تكثف',
+      'event.sublime': 'تسامٍ',
+      'event.deposit': 'ترسّب',
+
+      'metrics.bonds': 'متوسط مدة الرابطة: {0} ث  الروابط النشطة: {1}',
+      'metrics.mix': 'متماثل–متماثل: {0} متماثل–مختلف: {1} روابط هيدروجينية: {2}',
+      'metrics.vapour': 'البخار: {0} (متوسط 5 ث {1}) السائل: {2}',
+      'metrics.solute': 'غلاف الإماهة: {0} جزيء لكل أيون التشبع: {1} البلورة: {2}',
+      'metrics.saturation': '{pct}٪ من {limit} mol/kg',
+      'metrics.crystal': 'ترسّب {n} × {formula}',
+      'metrics.noCrystal': 'لا شيء',
+      'metrics.freeze': 'المتجمد: {0} جزيئًا، الحرارة الكامنة المنطلقة {1} {2}/mol',
+      'metrics.frozen': '{n} من {total}',
+      'metrics.md': 'الطاقة لكل جزيء ({0}/mol) الحركية: {1} الكامنة: {2} الكلية: {3} T{4}: {5} {6}',
+
+      'heat.heading': 'الحرارة المضافة مقابل درجة الحرارة',
+      'heat.sample': 'العينة: {0} {1} {2}',
+      'heat.sampleTitle': 'كمية المادة التي تخصها الحرارة؛ منحنى المخطط هو نفسه لكل مول',
+      'heat.sampleUnit': 'وحدة العينة',
+      'heat.added': 'الحرارة المضافة: {0} {1}',
+      'heat.temperature': 'درجة الحرارة ({0}): {1}',
+      'heat.add': 'أضف {amount} {unit}',
+      'heat.remove': 'أزل {amount} {unit}',
+      'heat.reset': 'إعادة ضبط',
+      'heat.shift': 'إزاحة Y: {0}',
+      'heat.shiftTitle': 'أزح المحور Y للمخطط',
+      'heat.apply': 'تطبيق',
+      'heat.resetY': 'أعد ضبط Y',
+      'heat.resetZoom': 'أعد ضبط التكبير',
+      'heat.resetZoomTitle': 'اعرض المنحنى كاملًا من جديد (أو انقر المخطط نقرًا مزدوجًا)',
+      'heat.chart': 'مخطط الحرارة مقابل درجة الحرارة',
+      'heat.hint': 'اسحب العلامة على المنحنى أو منزلق درجة الحرارة، أو استخدم الأزرار لإضافة الحرارة أو إزالتها. على الهضبة تثبت درجة الحرارة بينما تصهر الحرارة الصندوق أو تغليه. انقر شريط هضبة للانتقال إلى بدايتها (النصف الأيسر) أو نهايتها (النصف الأيمن). مرّر أو قرّب بإصبعين للتكبير، واسحب المخطط لتحريكه.',
+      'heat.melting': 'انصهار: تفكك {pct}٪ من البلورة',
+      'heat.boiling': 'غليان: تبخر {pct}٪ من السائل',
+      'heatChart.melting': 'انصهار',
+      'heatChart.vaporisation': 'تبخير',
+      'heatChart.sample': 'العينة: انطلق {heat} {unit}/mol',
+      'heatChart.heatAxis': 'الحرارة المضافة ({unit}، {amount})',
+
+      'heating.heading': 'منحنى التسخين (درجة الحرارة مقابل الزمن)',
+      'heating.heater': 'السخان: {0} {1}',
+      'heating.heaterTitle': 'الموجب يسخّن والسالب يبرّد؛ يسخّن العينة كاملة المحددة في لوحة الحرارة',
+      'heating.cooling': '{0} تبريد نيوتن',
+      'heating.coolingTitle': 'تتسرب الحرارة إلى المحيط بمعدل k·(T − المحيط)',
+      'heating.ambient': 'المحيط: {0} {1}',
+      'heating.off': 'أطفئ السخان',
+      'heating.csvTitle': 'نزّل المنحنى ملف CSV',
+      'heating.clear': 'مسح',
+      'heating.chart': 'مخطط درجة الحرارة مقابل الزمن',
+      'heating.hint': 'يضيف السخان الطاقة بمعدل ثابت. ترتفع درجة الحرارة ثم تثبت بينما ينصهر الصندوق أو يغلي. مع تشغيل التبريد تستقر حيث تتساوى قدرة السخان مع الفقد.',
+      'heating.status': 'السخان {power} − الفقد {loss} = الصافي {net}',
+      'heating.net': 'الصافي {net}',
+      'heating.meltingLine': 'انصهار',
+      'heating.boilingLine': 'غليان',
+      'heating.ambientLine': 'المحيط',
+
+      'diagram.heading': 'مخطط الأطوار (P–T)',
+      'diagram.chart': 'مخطط الأطوار: الضغط مقابل درجة الحرارة',
+      'diagram.hint': 'تحدد المنحنيات التسامي والانصهار والغليان؛ والنقطة هي درجة الحرارة والضغط الحاليان. الضغط على مقياس لوغاريتمي.',
+      'diagram.triple': 'النقطة الثلاثية',
+      'diagram.critical': 'النقطة الحرجة',
+
+      'mb.heading': 'سرعات الجزيئات (ماكسويل–بولتزمان)',
+      'mb.resample': '{0} أعد أخذ عينات السرعات (تصادمات حرارية)',
+      'mb.resampleTitle': 'تصادمات حرارية عشوائية تعيد سحب السرعات لتتبع توزيع ماكسويل–بولتزمان',
+      'mb.speedChart': 'مدرج تكراري لسرعات الجزيئات',
+      'mb.energyChart': 'مدرج تكراري للطاقة الحركية',
+      'mb.hint': 'الأعمدة: جزيئات الصندوق، بمتوسط على نحو ثانية. المنحنى: توزيع ماكسويل–بولتزمان ثنائي الأبعاد عند درجة الحرارة الحالية.',
+      'mb.speed': 'السرعة (m/s) — {formula}',
+      'mb.speedNote': 'المتوسط {mean} m/s (MB {mb})',
+      'mb.energy': 'الطاقة الحركية ({unit}/mol)',
+      'mb.energyNote': 'المتوسط {mean} {unit}/mol (MB {mb})',
+      'mb.still': 'لا حركة حرارية عند {temperature}',
+
+      'analytics.heading': 'تحليلات الروابط',
+      'analytics.lifetimes': 'الأعمار',
+      'analytics.series': 'الروابط النشطة',
+      'analytics.vsTemp': 'العمر مقابل T',
+      'analytics.csvTitle': 'نزّل العرض الحالي ملف CSV',
+      'analytics.jsonTitle': 'نزّل العرض الحالي ملف JSON',
+      'analytics.clear': 'مسح',
+      'analytics.chart': 'مخطط تحليلات الروابط',
+      'analytics.hintLifetimes': 'كم دامت الروابط قبل أن تنكسر (آخر 1000). اخفض درجة الحرارة فيطول الذيل.',
+      'analytics.hintSeries': 'الروابط النشطة خلال الدقيقة الأخيرة: خط باهت لكل خطوة، وخط ساطع لمتوسط 3 ث المعروض في شريط القياسات.',
+      'analytics.hintVsTemp': 'متوسط عمر الروابط التي انكسرت عند كل درجة حرارة (فئات {bin}؛ حجم النقطة = عدد الروابط). حرّك المنزلق ببطء لملئه.',
+      'analytics.empty': 'لم تُسجل روابط بعد',
+      'analytics.lifetime': 'عمر الرابطة (ث)',
+      'analytics.lifetimeCount': 'الروابط ({n} عمرًا، المتوسط {mean} ث)',
+      'analytics.simTime': 'زمن المحاكاة (ث)',
+      'analytics.activeBonds': 'الروابط النشطة',
+      'analytics.meanLifetime': 'متوسط عمر الرابطة (ث)',
+      'axis.temperature': 'درجة الحرارة ({unit})',
+      'axis.time': 'الزمن (ث)',
+
+      'sweep.heading': 'مسح درجات الحرارة',
+      'sweep.temperatures': 'درجات الحرارة ({0}): {1}',
+      'sweep.temperaturesTitle': 'قائمة (0; 25; 50) أو مدى بداية:نهاية:خطوة',
+      'sweep.equilibrate': 'الاتزان: {0} ث',
+      'sweep.sample': 'أخذ العينات: {0} ث',
+      'sweep.fast': '{0} سريع',
+      'sweep.fastTitle': 'تنفيذ عدة خطوات لكل إطار؛ النتائج هي نفسها كما في الزمن الحقيقي',
+      'sweep.run': 'ابدأ المسح',
+      'sweep.stop': 'إيقاف',
+      'sweep.csvTitle': 'نزّل النتائج ملف CSV',
+      'sweep.jsonTitle': 'نزّل النتائج ملف JSON',
+      'sweep.chart': 'مخطط نتائج مسح درجات الحرارة',
+      'sweep.phase': 'الحالة',
+      'sweep.activeBonds': 'الروابط النشطة',
+      'sweep.meanLifetime': 'متوسط العمر (ث)',
+      'sweep.bondsBroken': 'الروابط المكسورة',
+      'sweep.hint': 'زمن المحاكاة لا زمن الساعة. الروابط التي لا تنكسر أبدًا (في الصلب) ليس لها عمر في النافذة.',
+      'sweep.idle': 'خامل',
+      'sweep.enter': 'أدخل درجات الحرارة، مثل 0; 25; 50 أو -20:100:20',
+      'sweep.unreadable': 'تعذّرت قراءة «{item}»: افصل درجات الحرارة بمسافات أو بفواصل منقوطة، مثل 0; 25; 50',
+      'sweep.equilibrating': 'جارٍ الاتزان',
+      'sweep.sampling': 'جارٍ أخذ العينات',
+      'sweep.progress': '{i}/{n}: {stage} عند {temperature} ({pct}٪)',
+      'sweep.done': 'تم: {n} درجات حرارة',
+      'sweep.stopped': 'توقف بعد {done} من {n}',
+      'sweep.empty': 'تظهر النتائج هنا أثناء المسح'
+    }
+  }
+})
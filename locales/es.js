@@ -0,0 +1,296 @@
+/*
+  Spanish language pack (decimal comma via the es locale)
+  Registers itself with IMFI18n.addLanguage() in the browser; under Node it is exported
+  for addLanguage(require('./locales/es.js')).
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFI18n.addLanguage(factory())
+})(typeof self !== 'undefined' ? self : this, function () {
+  return {
+    id: 'es',
+    name: 'Español',
+    locale: 'es',
+    dir: 'ltr',
+    substances: {
+      water: { name: 'Agua', imf: 'Puentes de hidrógeno', solid: 'Hielo', liquid: 'Agua', gas: 'Vapor' },
+      ammonia: { name: 'Amoníaco', imf: 'Puentes de hidrógeno (más débiles)', solid: 'Amoníaco sólido', liquid: 'Amoníaco', gas: 'Vapor de amoníaco' },
+      methane: { name: 'Metano', imf: 'Solo dispersión de London', solid: 'Metano sólido', liquid: 'Metano', gas: 'Metano' },
+      hf: { name: 'Fluoruro de hidrógeno', imf: 'Puentes de hidrógeno (cadenas)', solid: 'Cristal de HF', liquid: 'HF', gas: 'Vapor de HF' },
+      ethanol: { name: 'Etanol', imf: 'Puentes de hidrógeno + dispersión', solid: 'Etanol congelado', liquid: 'Etanol', gas: 'Vapor de etanol' },
+      co2: { name: 'Dióxido de carbono', imf: 'Dispersión de London (apolar)', solid: 'Hielo seco', liquid: 'CO₂', gas: 'CO₂ gaseoso' },
+      hexane: { name: 'Hexano', imf: 'Dispersión de London (cadena larga)', solid: 'Hexano congelado', liquid: 'Hexano', gas: 'Vapor de hexano' }
+    },
+    solutes: {
+      nacl: { name: 'Sal', phrase: 'sal' },
+      cacl2: { name: 'Cloruro de calcio', phrase: 'cloruro de calcio' },
+      sugar: { name: 'Azúcar', phrase: 'azúcar' }
+    },
+    elements: { H: 'Hidrógeno', C: 'Carbono', N: 'Nitrógeno', O: 'Oxígeno', F: 'Flúor' },
+    strings: {
+      'app.documentTitle': 'Fuerzas intermoleculares — Simulación del agua',
+      'app.title': 'Moléculas de {names} y fuerzas intermoleculares',
+      'app.subtitle': 'Simulación en canvas con líneas SVG verdes punteadas para las atracciones',
+      'language.label': 'Idioma: {0}',
+
+      'temp.label': 'Temperatura ({0}): {1} {2}',
+      'units.label': 'Unidades: {0}',
+      'units.temperature': 'Unidad de temperatura',
+      'units.energy': 'Unidad de energía',
+      'pressure.label': 'Presión: {0}',
+      'substance.label': 'Sustancia: {0}',
+      'substance.mix': 'Mezclar con: {0}',
+      'substance.none': 'Ninguna',
+      'imf.miscible': 'miscibles',
+      'imf.immiscible': 'inmiscibles',
+      'solute.label': 'Soluto: {0}',
+      'molality.label': 'Molalidad: {0}',
+      'colligative.insoluble': '{substance} no lo disuelve',
+      'colligative.shifts': 'i = {i}: congela {freeze} más bajo, hierve {boil} más alto',
+      'colligative.none': 'Sin disolver (Kf {kf}, Kb {kb} {unit}·kg/mol)',
+
+      'phase.solid': 'Sólido',
+      'phase.liquid': 'Líquido',
+      'phase.gas': 'Gas',
+      'phase.supercritical': 'Fluido supercrítico',
+      'phase.supercriticalShort': 'Supercrítico',
+      'phase.liquidSolution': 'disolución de {solute}',
+      'phase.gasSolution': '{gas}, disolución de {solute}',
+      'phase.supercooled': '{liquid}, sobreenfriado',
+      'tip.at': 'a {pressure}: ',
+      'tip.atSolution': 'a {pressure} con {m} mol/kg de {solute}: ',
+      'tip.sublimes': '{at}{solid} ≤ {melt}, por encima sublima a gas',
+      'tip.supercritical': '{at}{solid} ≤ {melt}, Líquido de {melt} a {boil}, Fluido supercrítico ≥ {boil}',
+      'tip.normal': '{at}{solid} ≤ {melt}, Líquido de {melt} a {boil}, Gas ≥ {boil}',
+      'footer.tip': 'Consejo: arrastra el control de temperatura desde el cero absoluto ({0}) hasta {1}. La fase se estima a la presión fijada ({2}).',
+
+      'buttons.freeze': 'Congelar ❄️',
+      'buttons.melt': 'Fundir 💧',
+      'buttons.boil': 'Hervir ♨️',
+      'buttons.condense': 'Condensar ☁️',
+      'salt.add': 'Añadir {solute} 🧂',
+      'salt.remove': 'Quitar {solute} 🧂',
+      'heatPanel.show': 'Mostrar gráfica de calor latente',
+      'heatPanel.hide': 'Ocultar gráfica de calor latente',
+
+      'legend.key': 'Leyenda:',
+      'legend.attraction': '{0} Atracción intermolecular',
+      'legend.bonds': '{0} Mostrar enlaces',
+      'legend.hbond': '{0} Puentes de H direccionales',
+      'legend.hbondTitle': 'Cuenta un puente de hidrógeno solo cuando un H donador se alinea con un N/O/F aceptor',
+      'legend.evaporation': '{0} Recipiente cerrado (evaporación)',
+      'legend.evaporationTitle': 'El líquido se acumula abajo; solo las moléculas que vencen la atracción de la superficie escapan al espacio de cabeza',
+      'legend.nucleation': '{0} Nucleación (el cristal crece desde semillas)',
+      'legend.nucleationTitle': 'Por debajo del punto de fusión el líquido espera una semilla de cristal y luego se congela donde las moléculas tocan el cristal con la orientación correcta',
+      'physics.label': 'Física: {0}',
+      'physics.title': 'Caricatura: el modelo didáctico. Dinámica molecular: fuerzas de Lennard-Jones integradas con Verlet de velocidades',
+      'physics.cartoon': 'Caricatura',
+      'physics.md': 'Dinámica molecular (LJ)',
+      'thermostat.label': 'Termostato: {0}',
+      'thermostat.title': 'Cómo se mantiene la caja de DM a la temperatura del control',
+      'thermostat.none': 'Ninguno (energía constante)',
+      'molecules.label': 'Moléculas: {0} {1}',
+      'lines.label': 'Líneas: {0}',
+      'lines.title': 'Cómo se dibujan las líneas de atracción; ambas se ven igual',
+      'lines.svg': 'SVG (reutilizadas)',
+      'seed.label': 'Semilla: {0} {1}',
+      'seed.title': 'Misma semilla + mismos datos = misma simulación',
+      'seed.restart': 'Reiniciar',
+      'scene.label': 'Escena: {0} {1} {2} {3} {4}',
+      'scene.save': 'Guardar',
+      'scene.saveTitle': 'Descargar toda la escena como archivo JSON',
+      'scene.load': 'Cargar',
+      'scene.loadTitle': 'Cargar un archivo de escena guardado',
+      'scene.link': 'Copiar enlace',
+      'scene.linkTitle': 'Copiar un enlace con la configuración actual (no las posiciones de las moléculas)',
+      'scene.saved': 'Escena guardada',
+      'scene.copied': 'Enlace copiado',
+      'scene.inAddressBar': 'El enlace está en la barra de direcciones',
+      'scene.loaded': 'Cargado {file}',
+      'scene.invalid': '{file} no es una escena guardada',
+      'scene.unreadable': 'No se pudo leer {file}',
+      'tool.label': 'Herramienta: {0} {1} {2} {3} {4}',
+      'tool.group': 'Herramienta del puntero',
+      'tool.drag': 'Arrastrar',
+      'tool.dragTitle': 'Sujetar una molécula y soltarla en su sitio',
+      'tool.fling': 'Lanzar',
+      'tool.flingTitle': 'Lanzar una molécula con la velocidad del puntero',
+      'tool.pin': 'Fijar',
+      'tool.pinTitle': 'Fijar una molécula en su sitio (otro clic la libera)',
+      'tool.inspect': 'Inspeccionar',
+      'tool.inspectTitle': 'Mostrar la velocidad y los enlaces de una molécula',
+      'tool.unpinAll': 'Soltar todas',
+      'export.label': 'Exportar: {0} {1} {2} s {3} fps {4} {5}',
+      'export.pngTitle': 'Guardar el fotograma actual como PNG',
+      'export.format': 'Formato de grabación',
+      'export.formatPng': 'Fotogramas PNG (.zip)',
+      'export.formatWebm': 'Vídeo WebM',
+      'export.duration': 'Duración de la grabación (s)',
+      'export.fps': 'Fotogramas por segundo',
+      'export.record': 'Grabar',
+      'export.recordTitle': 'Grabar la caja durante los segundos elegidos',
+      'export.stop': 'Detener',
+      'export.pngFailed': 'No se pudo crear el PNG',
+      'export.pngSaved': 'PNG guardado',
+      'export.noWebm': 'Este navegador no puede grabar vídeo WebM',
+      'export.webmSaved': 'WebM guardado ({seconds} s)',
+      'export.recording': 'Grabando {elapsed} / {total} s',
+      'export.gifSaved': 'GIF guardado ({frames} fotogramas)',
+      'export.packing': 'Empaquetando fotogramas…',
+      'export.framesSaved': '{frames} fotogramas PNG guardados',
+      'export.packFailed': 'No se pudieron empaquetar los fotogramas',
+
+      'inspector.close': 'Cerrar inspector',
+      'inspector.speed': 'Velocidad: {0} m/s',
+      'inspector.energy': 'Energía cinética: {0} {1}/mol',
+      'inspector.pin': 'Fijar',
+      'inspector.unpin': 'Soltar',
+      'inspector.partner': 'Pareja',
+      'inspector.bond': 'Enlace',
+      'inspector.lasted': 'Duró',
+      'inspector.empty': 'Sin enlaces ahora mismo',
+      'inspector.hbond': 'Puente de H',
+      'inspector.attraction': 'Atracción',
+
+      'timeline.label': 'Línea de tiempo',
+      'timeline.back': 'Retroceder un fotograma',
+      'timeline.forward': 'Avanzar un fotograma',
+      'timeline.pause': 'Pausa',
+      'timeline.play': 'Reproducir',
+      'timeline.frames': 'Fotogramas grabados',
+      'timeline.speed': 'Velocidad: {0}',
+      'timeline.speedTitle': 'Velocidad de reproducción de la grabación',
+      'timeline.events': 'Repetir un cambio de fase',
+      'timeline.pick': 'Repetir un cambio de fase…',
+      'timeline.none': 'Aún no hay cambios de fase',
+      'timeline.event': '{kind} a los {time} s',
+      'timeline.live': 'En vivo',
+      'timeline.liveStatus': 'En vivo · {seconds} s grabados',
+      'timeline.replay': 'Repetición {time} s · {temperature} · {phase}',
+      'event.freeze': 'Congelación',
+      'event.melt': 'Fusión',
+      'event.boil': 'Ebullición',
+      'event.condense': 'Condensación',
+      'event.sublime': 'Sublimación',
+      'event.deposit': 'Deposición',
+
+      'metrics.bonds': 'Duración media de enlace: {0} s  Enlaces activos: {1}',
+      'metrics.mix': 'Igual–igual: {0} Igual–distinto: {1} Puentes de H: {2}',
+      'metrics.vapour': 'Vapor: {0} (media 5 s {1}) Líquido: {2}',
+      'metrics.solute': 'Capa de hidratación: {0} moléculas por ion Saturación: {1} Cristal: {2}',
+      'metrics.saturation': '{pct} % de {limit} mol/kg',
+      'metrics.crystal': '{n} × {formula} precipitado',
+      'metrics.noCrystal': 'ninguno',
+      'metrics.freeze': 'Congeladas: {0} moléculas, calor latente liberado {1} {2}/mol',
+      'metrics.frozen': '{n} de {total}',
+      'metrics.md': 'Energía por molécula ({0}/mol) EC: {1} EP: {2} Total: {3} T{4}: {5} {6}',
+
+      'heat.heading': 'Calor añadido frente a temperatura',
+      'heat.sample': 'Muestra: {0} {1} {2}',
+      'heat.sampleTitle': 'Cantidad de sustancia a la que corresponde el calor; la curva de la gráfica es la misma por mol',
+      'heat.sampleUnit': 'Unidad de la muestra',
+      'heat.added': 'Calor añadido: {0} {1}',
+      'heat.temperature': 'Temperatura ({0}): {1}',
+      'heat.add': 'Añadir {amount} {unit}',
+      'heat.remove': 'Quitar {amount} {unit}',
+      'heat.reset': 'Reiniciar',
+      'heat.shift': 'Desplazar Y: {0}',
+      'heat.shiftTitle': 'Desplazar el eje Y de la gráfica',
+      'heat.apply': 'Aplicar',
+      'heat.resetY': 'Reiniciar Y',
+      'heat.resetZoom': 'Reiniciar zoom',
+      'heat.resetZoomTitle': 'Volver a mostrar toda la curva (o doble clic en la gráfica)',
+      'heat.chart': 'Gráfica de calor frente a temperatura',
+      'heat.hint': 'Arrastra el marcador por la curva, el control de temperatura o usa los botones para añadir o quitar calor. En una meseta la temperatura se mantiene mientras el calor funde o hierve la caja. Haz clic en una banda de meseta para saltar a su inicio (mitad izquierda) o a su final (mitad derecha). Desplaza o pellizca para hacer zoom y arrastra la gráfica para moverla.',
+      'heat.melting': 'Fusión: {pct} % del cristal deshecho',
+      'heat.boiling': 'Ebullición: {pct} % del líquido vaporizado',
+      'heatChart.melting': 'Fusión',
+      'heatChart.vaporisation': 'Vaporización',
+      'heatChart.sample': 'Muestra: {heat} {unit}/mol liberados',
+      'heatChart.heatAxis': 'Calor añadido ({unit}, {amount})',
+
+      'heating.heading': 'Curva de calentamiento (temperatura frente a tiempo)',
+      'heating.heater': 'Calefactor: {0} {1}',
+      'heating.heaterTitle': 'Positivo calienta, negativo enfría; actúa sobre toda la muestra fijada en el panel de calor',
+      'heating.cooling': '{0} Enfriamiento de Newton',
+      'heating.coolingTitle': 'El calor se escapa al entorno a k·(T − ambiente)',
+      'heating.ambient': 'Ambiente: {0} {1}',
+      'heating.off': 'Apagar calefactor',
+      'heating.csvTitle': 'Descargar la curva como CSV',
+      'heating.clear': 'Borrar',
+      'heating.chart': 'Gráfica de temperatura frente a tiempo',
+      'heating.hint': 'El calefactor aporta energía a ritmo constante. La temperatura sube y luego se queda plana mientras la caja funde o hierve. Con el enfriamiento activado, se estabiliza donde la potencia del calefactor iguala la pérdida.',
+      'heating.status': 'Calefactor {power} − pérdida {loss} = neto {net}',
+      'heating.net': 'Neto {net}',
+      'heating.meltingLine': 'Fusión',
+      'heating.boilingLine': 'Ebullición',
+      'heating.ambientLine': 'Ambiente',
+
+      'diagram.heading': 'Diagrama de fases (P–T)',
+      'diagram.chart': 'Diagrama de fases presión frente a temperatura',
+      'diagram.hint': 'Las curvas marcan la sublimación, la fusión y la ebullición; el punto es la temperatura y presión actuales. La presión está en escala logarítmica.',
+      'diagram.triple': 'Punto triple',
+      'diagram.critical': 'Punto crítico',
+
+      'mb.heading': 'Velocidades moleculares (Maxwell–Boltzmann)',
+      'mb.resample': '{0} Remuestrear velocidades (choques térmicos)',
+      'mb.resampleTitle': 'Choques térmicos aleatorios vuelven a sortear las velocidades para que sigan la distribución de Maxwell–Boltzmann',
+      'mb.speedChart': 'Histograma de velocidades moleculares',
+      'mb.energyChart': 'Histograma de energía cinética',
+      'mb.hint': 'Barras: las moléculas de la caja, promediadas durante un segundo aproximadamente. Curva: la distribución de Maxwell–Boltzmann en 2D a la temperatura actual.',
+      'mb.speed': 'Velocidad (m/s) — {formula}',
+      'mb.speedNote': 'media {mean} m/s (MB {mb})',
+      'mb.energy': 'Energía cinética ({unit}/mol)',
+      'mb.energyNote': 'media {mean} {unit}/mol (MB {mb})',
+      'mb.still': 'Sin movimiento térmico a {temperature}',
+
+      'analytics.heading': 'Análisis de enlaces',
+      'analytics.lifetimes': 'Duraciones',
+      'analytics.series': 'Enlaces activos',
+      'analytics.vsTemp': 'Duración frente a T',
+      'analytics.csvTitle': 'Descargar la vista actual como CSV',
+      'analytics.jsonTitle': 'Descargar la vista actual como JSON',
+      'analytics.clear': 'Borrar',
+      'analytics.chart': 'Gráfica de análisis de enlaces',
+      'analytics.hintLifetimes': 'Cuánto duraron los enlaces antes de romperse (los últimos 1000). Baja la temperatura y la cola crece.',
+      'analytics.hintSeries': 'Enlaces activos durante el último minuto: línea tenue en cada paso, línea brillante la media de 3 s de la barra de métricas.',
+      'analytics.hintVsTemp': 'Duración media de los enlaces que se rompieron a cada temperatura (intervalos de {bin}; tamaño del punto = número de enlaces). Mueve el control despacio para rellenarla.',
+      'analytics.empty': 'Aún no se han registrado enlaces',
+      'analytics.lifetime': 'Duración del enlace (s)',
+      'analytics.lifetimeCount': 'Enlaces ({n} duraciones, media {mean} s)',
+      'analytics.simTime': 'Tiempo simulado (s)',
+      'analytics.activeBonds': 'Enlaces activos',
+      'analytics.meanLifetime': 'Duración media del enlace (s)',
+      'axis.temperature': 'Temperatura ({unit})',
+      'axis.time': 'Tiempo (s)',
+
+      'sweep.heading': 'Barrido de temperatura',
+      'sweep.temperatures': 'Temperaturas ({0}): {1}',
+      'sweep.temperaturesTitle': 'Una lista (0; 25; 50) o un rango inicio:fin:paso',
+      'sweep.equilibrate': 'Equilibrar: {0} s',
+      'sweep.sample': 'Muestrear: {0} s',
+      'sweep.fast': '{0} Rápido',
+      'sweep.fastTitle': 'Ejecuta varios pasos por fotograma; los resultados son los mismos que en tiempo real',
+      'sweep.run': 'Iniciar barrido',
+      'sweep.stop': 'Detener',
+      'sweep.csvTitle': 'Descargar los resultados como CSV',
+      'sweep.jsonTitle': 'Descargar los resultados como JSON',
+      'sweep.chart': 'Gráfica de resultados del barrido de temperatura',
+      'sweep.phase': 'Fase',
+      'sweep.activeBonds': 'Enlaces activos',
+      'sweep.meanLifetime': 'Duración media (s)',
+      'sweep.bondsBroken': 'Enlaces rotos',
+      'sweep.hint': 'Tiempo simulado, no tiempo real. Los enlaces que nunca se rompen (un sólido) no tienen duración en la ventana.',
+      'sweep.idle': 'En espera',
+      'sweep.enter': 'Introduce temperaturas, p. ej. 0; 25; 50 o -20:100:20',
+      'sweep.unreadable': 'No se puede leer «{item}»: separa las temperaturas con espacios o punto y coma, p. ej. 0; 12,5; 25',
+      'sweep.equilibrating': 'equilibrando',
+      'sweep.sampling': 'muestreando',
+      'sweep.progress': '{i}/{n}: {stage} a {temperature} ({pct} %)',
+      'sweep.done': 'Hecho: {n} temperaturas',
+      'sweep.stopped': 'Detenido tras {done} de {n}',
+      'sweep.empty': 'Los resultados aparecen aquí mientras avanza el barrido'
+    }
+  }
+})
@@ -1,20 +1,42 @@
 /*
   Water molecules simulation with intermolecular attraction overlay
+  - Page renderer on top of the headless engine in engine.js (window.IMFEngine), which
+    owns the molecules, physics, bond tracking and heat model
   - Canvas: draws molecules (O red + 2 H white) moving with temperature-dependent speed
-  - SVG overlay: dotted green lines between molecules within a cutoff (IMF)
+  - IMF overlay: dotted green lines between molecules within a cutoff, drawn on a
+    layered canvas or a pooled set of SVG lines (Lines picker)
   - Temperature slider: -273°C to 500°C
   - Phase indicator: Ice (≤0°C), Liquid (0–100°C), Gas (≥100°C), 1 atm assumption
   - Phase-change buttons: Freeze, Melt, Boil, Condense (animate temperature)
+  - Solute: NaCl, CaCl₂ or sugar at a chosen molality; shifts the freezing and boiling points
+    and precipitates past saturation
+  - Physics picker: cartoon model or Lennard-Jones MD with a thermostat and energy readout
+  - Temperature sweep: runs the engine's sweep runner and shows the results table and chart
+  - Scene: save/load the whole box as JSON; Copy link puts the settings in the URL hash
+  - Timeline: records the last ~20 s; pause, step, scrub back and replay phase changes slowly
+  - Export: PNG snapshot, PNG sequence (ZIP), WebM or GIF of the composited layers (media.js)
+  - Pointer tools: drag, fling, pin or inspect a molecule (speed, bond partners, bond ages)
+  - Units: °C/K/°F and kJ/J/cal for every readout, chart axis and export (units.js), and the
+    sample amount (mol or g) the heat readouts and the heater are for
+  - Language: picker for the packs registered with i18n.js (window.IMFI18n); translates the
+    page, generated labels and phase names, formats numbers for the locale and flips to RTL
 */
 
 ;(function () {
   const canvas = document.getElementById('simCanvas')
   const ctx = canvas.getContext('2d')
   const svg = document.getElementById('imfOverlay')
+  const imfCanvas = document.getElementById('imfCanvas')
+  const imfCtx = imfCanvas ? imfCanvas.getContext('2d') : null
+  const imfRendererEl = document.getElementById('imfRenderer')
   const container = document.getElementById('simContainer')
   const tempRange = document.getElementById('tempRange')
   const tempCLabel = document.getElementById('tempCLabel')
   const tempKLabel = document.getElementById('tempKLabel')
+  const pressureRange = document.getElementById('pressureRange')
+  const pressureOut = document.getElementById('pressureOut')
+  const pressureResetBtn = document.getElementById('pressureReset')
+  const phaseDiagram = document.getElementById('phaseDiagram')
   const phaseIndicator = document.getElementById('phaseIndicator')
   const phaseOverlay = document.getElementById('phaseLabel')
   const freezeBtn = document.getElementById('freezeBtn')
@@ -23,63 +45,253 @@
   const condenseBtn = document.getElementById('condenseBtn')
   const saltBtn = document.getElementById('saltBtn')
   const toggleBondsEl = document.getElementById('toggleBonds')
+  const toggleHBondEl = document.getElementById('toggleHBond')
+  const toggleEvaporationEl = document.getElementById('toggleEvaporation')
+  const toggleNucleationEl = document.getElementById('toggleNucleation')
+  const physicsModeEl = document.getElementById('physicsMode')
+  const thermostatEl = document.getElementById('thermostat')
+  const thermostatControlEl = document.getElementById('thermostatControl')
+  const moleculeCountEl = document.getElementById('moleculeCount')
+  const moleculeCountOut = document.getElementById('moleculeCountOut')
+  const seedInput = document.getElementById('seedInput')
+  const restartBtn = document.getElementById('restartBtn')
+  const saveSceneBtn = document.getElementById('saveScene')
+  const loadSceneBtn = document.getElementById('loadScene')
+  const sceneFileEl = document.getElementById('sceneFile')
+  const shareLinkBtn = document.getElementById('shareLink')
+  const sceneStatusEl = document.getElementById('sceneStatus')
   const avgBondDurationEl = document.getElementById('avgBondDuration')
   const activeBondsEl = document.getElementById('activeBonds')
+  const mixMetricsEl = document.getElementById('mixMetrics')
+  const likeBondsEl = document.getElementById('likeBonds')
+  const unlikeBondsEl = document.getElementById('unlikeBonds')
+  const hBondsEl = document.getElementById('hBonds')
+  const vapourMetricsEl = document.getElementById('vapourMetrics')
+  const vapourCountEl = document.getElementById('vapourCount')
+  const vapourAvgEl = document.getElementById('vapourAvg')
+  const liquidCountEl = document.getElementById('liquidCount')
+  const soluteMetricsEl = document.getElementById('soluteMetrics')
+  const hydrationCountEl = document.getElementById('hydrationCount')
+  const saturationOut = document.getElementById('saturationOut')
+  const crystalOut = document.getElementById('crystalOut')
+  const freezeMetricsEl = document.getElementById('freezeMetrics')
+  const frozenCountEl = document.getElementById('frozenCount')
+  const latentOut = document.getElementById('latentOut')
+  const mdMetricsEl = document.getElementById('mdMetrics')
+  const mdKineticEl = document.getElementById('mdKinetic')
+  const mdPotentialEl = document.getElementById('mdPotential')
+  const mdTotalEl = document.getElementById('mdTotal')
+  const mdTempEl = document.getElementById('mdTemp')
   const metricsEl = document.querySelector('.metrics')
-
-  // Logical sim space matches canvas intrinsic size; CSS scales it responsively
+  const substanceSelect = document.getElementById('substanceSelect')
+  const mixSelect = document.getElementById('mixSelect')
+  const imfTypeEl = document.getElementById('imfType')
+  const soluteSelect = document.getElementById('soluteSelect')
+  const molalityRange = document.getElementById('molalityRange')
+  const molalityOut = document.getElementById('molalityOut')
+  const colligativeOut = document.getElementById('colligativeOut')
+  const atomKeyEl = document.getElementById('atomKey')
+  const appTitleEl = document.getElementById('appTitle')
+  const phaseTipEl = document.getElementById('phaseTip')
+
+  // Logical sim space is the canvas intrinsic size divided by viewScale; CSS scales it
+  // responsively. viewScale < 1 when large molecule counts need a bigger virtual box.
   let W = canvas.width
   let H = canvas.height
+  let viewScale = 1
+  const REF_MOLECULES = 150 // up to this many, molecules are drawn at full size
+
+  const { ELEMENTS, SUBSTANCES, NUM_MOLECULES, MAX_MOLECULES, FIXED_DT, T0, P_ATM, R_GAS, isMiscible, placeAtoms, ionRadius, cToK } = IMFEngine
+  const { createRecorder } = IMFEngine
+  const { SOLUTES, ION_TYPES, ION_TYPE_IDS, MAX_MOLALITY, DEFAULT_MOLALITY } = IMFEngine
+  const { createZip, createGifEncoder } = IMFMedia
+  const { saturationTemp, saturationPressure, fusionTemp, phaseLabel } = IMFEngine
+  // Fresh seed per page load (shown in the Seed box); the engine replays any seed exactly
+  const engine = IMFEngine.createEngine({ seed: Math.floor(Math.random() * 1e9), temperature: Number(tempRange.value) })
+  // Live engine containers, mutated in place
+  const { molecules, ions, bonds, disruptedBonds } = engine
+  const { Q_of_T, getMeltingPoint, getBoilingPoint, getPhaseInfo } = engine
+
+  // --- Language ---
+  // Everything the page shows goes through t() and the locale number formats (i18n.js, packs
+  // in locales/). Static markup carries data-i18n keys; the engine's phase strings stay
+  // English and are translated here for display; CSV/JSON exports stay English.
+  const { LANGUAGES, pickLanguage, createTranslator } = IMFI18n
+  const languageSelect = document.getElementById('languageSelect')
+  let tr = createTranslator(pickLanguage(navigator.languages || [navigator.language]))
+
+  function t(key, params) { return tr.t(key, params) }
+  // Locale number formats: fixed decimals (toFixed), rounded (Number(toFixed)), significant figures
+  function fmt(v, digits = 0) { return tr.number(v, digits) }
+  function fmtRound(v, digits = 0) { return tr.round(v, digits) }
+  function fmtPrecision(v, digits) { return tr.precision(v, digits) }
+
+  // data-i18n: the key for an element's text, where {0}, {1}, … place its child elements
+  // (inputs, outputs, unit spans) in document order; children a translation leaves out are
+  // kept at the end. data-i18n-title and data-i18n-aria translate those attributes.
+  const i18nChildren = new Map() // element → its child elements as first found
+  function localizeElement(el) {
+    let children = i18nChildren.get(el)
+    if (!children) i18nChildren.set(el, children = Array.from(el.children))
+    const used = new Set()
+    el.textContent = ''
+    t(el.dataset.i18n).split(/\{(\d+)\}/).forEach((part, i) => {
+      const child = i % 2 ? children[Number(part)] : null
+      if (child) { el.appendChild(child); used.add(child) } else if (i % 2 === 0 && part) el.appendChild(document.createTextNode(part))
+    })
+    for (const child of children) if (!used.has(child)) el.appendChild(child)
+  }
+
+  // A phase from the engine's getPhaseInfo(): the state word, and with full the substance's
+  // phase name, the solution and whether it is supercooled, e.g. 'Solid (Ice + salt)'
+  const PHASE_KEYS = { solid: 'phase.solid', liquid: 'phase.liquid', gas: 'phase.gas', supercritical: 'phase.supercritical' }
+  function phaseText(info, full = true) {
+    const word = t(PHASE_KEYS[info.state])
+    if (!full) return word
+    const sub = SUBSTANCES[info.substance]
+    const sol = info.solute ? SOLUTES[info.solute] : null
+    const params = sol ? { solute: tr.solute(sol, 'phrase'), soluteName: tr.solute(sol) } : {}
+    let detail
+    if (info.state === 'supercritical') detail = tr.substance(sub, 'liquid')
+    else if (info.state === 'solid') detail = sol ? t('phase.solidSolute', { ...params, solid: tr.substance(sub, 'solid') }) : tr.substance(sub, 'solid')
+    else if (info.state === 'gas') detail = sol ? t('phase.gasSolution', { ...params, gas: tr.substance(sub, 'gas') }) : tr.substance(sub, 'gas')
+    else {
+      detail = sol ? t('phase.liquidSolution', params) : tr.substance(sub, 'liquid')
+      if (info.supercooled) detail = t('phase.supercooled', { liquid: detail })
+    }
+    return t('phase.detail', { phase: word, detail })
+  }
+
+  // Markup, pickers and every generated label in the current language
+  function renderLanguage() {
+    document.documentElement.lang = tr.locale
+    document.documentElement.dir = tr.dir
+    if (languageSelect) languageSelect.value = tr.id
+    document.querySelectorAll('[data-i18n]').forEach(localizeElement)
+    document.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle) })
+    document.querySelectorAll('[data-i18n-aria]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAria)) })
+    renderSubstanceOptions()
+    renderSoluteOptions()
+    renderSubstanceInfo()
+    syncSaltButton()
+    renderHeatPanelToggle()
+    renderPressureOut()
+    renderUnits()
+    eventsKey = '' // rebuild the phase-change list
+    renderTimeline()
+    renderSweepStatus()
+    renderExportButton()
+    inspectorShownAt = -Infinity // the inspector redraws on the next frame
+  }
+
+  function setLanguage(id) {
+    tr = createTranslator(LANGUAGES[id] ? id : 'en')
+    renderLanguage()
+  }
+
+  if (languageSelect) {
+    for (const pack of Object.values(LANGUAGES)) {
+      const opt = document.createElement('option')
+      opt.value = pack.id
+      opt.textContent = pack.name
+      languageSelect.appendChild(opt)
+    }
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value))
+  }
+
+  // --- Display units and sample amount ---
+  // The engine works in °C and kJ/mol. Readouts, chart axes, typed temperatures and exports
+  // use the chosen units (units.js); heat readouts are for the whole sample, which is
+  // engine.sampleMoles mol of the first substance, entered in mol or grams.
+  const { TEMPERATURE_UNITS, ENERGY_UNITS, niceAmount, niceStep, parseNumberList } = IMFUnits
+  const tempUnitSelect = document.getElementById('tempUnit')
+  const energyUnitSelect = document.getElementById('energyUnit')
+  const tempAltUnitEl = document.getElementById('tempAltUnit')
+  const sampleAmountInput = document.getElementById('sampleAmount')
+  const sampleUnitSelect = document.getElementById('sampleUnit')
+  const sampleOtherOut = document.getElementById('sampleOther')
+  let tempUnit = TEMPERATURE_UNITS.C
+  let energyUnit = ENERGY_UNITS.kJ
+  let sampleBy = 'mol' // what the sample input is in: 'mol' or 'g'
+
+  // °C → the display unit, and a readout of it rounded like the rest of the page
+  function toT(c) { return tempUnit.fromC(c) }
+  function formatT(c, digits = 1) { return `${fmtRound(toT(c), digits)} ${tempUnit.symbol}` }
+  // A temperature difference (°C or K) in the display unit
+  function formatDT(dc) { return `${fmtRound(dc * tempUnit.scale, 1)} ${tempUnit.symbol}` }
+  // Export column for temperatures: temperature_c, temperature_k or temperature_f
+  function tCol() { return `temperature_${tempUnit.column}` }
+  // kJ → the display energy unit
+  function toE(kj) { return kj * energyUnit.perKJ }
+  function formatE(kj) { return fmt(toE(kj), energyUnit.digits) }
+  function formatMoles(n) { return `${fmtPrecision(n, 3)} mol` }
+
+  // Heat-button step for the whole sample, a round amount of the energy unit near 1 kJ/mol
+  function heatStep() { return Number(niceAmount(toE(engine.sampleMoles)).toPrecision(3)) }
+
+  function renderSample() {
+    const mass = engine.sampleMoles * engine.substance.molarMass
+    if (sampleUnitSelect) sampleUnitSelect.value = sampleBy
+    if (sampleAmountInput && document.activeElement !== sampleAmountInput) {
+      sampleAmountInput.value = String(Number((sampleBy === 'g' ? mass : engine.sampleMoles).toPrecision(4)))
+    }
+    if (sampleOtherOut) sampleOtherOut.textContent = t('heat.sampleOther', { amount: sampleBy === 'g' ? formatMoles(engine.sampleMoles) : `${fmtPrecision(mass, 4)} g` })
+    const step = fmtRound(heatStep(), 6)
+    if (addHeatBtn) addHeatBtn.textContent = t('heat.add', { amount: step, unit: energyUnit.symbol })
+    if (removeHeatBtn) removeHeatBtn.textContent = t('heat.remove', { amount: step, unit: energyUnit.symbol })
+  }
 
-  // Molecule and physics settings
-  const NUM_MOLECULES = 80
-  const O_RADIUS = 10
-  const H_RADIUS = 6
-  const OH_BOND = 18 // distance from O to each H (visual only)
-  const HOH_ANGLE = (104.5 * Math.PI) / 180 // ~104.5 degrees
-  const WALL_RESTITUTION = 0.95
-  const BASE_SPEED = 40 // px/s at ~0°C above absolute zero baseline
-  const IMF_CUTOFF = 80 // px, draw dotted lines when centers within this distance
-  const IMF_ATTRACT_STRENGTH = 0.06 // base acceleration scale (tuned)
-  const REPULSION_DIST = O_RADIUS * 2
-  const REPULSION_STRENGTH = 0.4
-
-  // Gravity and floor behavior
-  const G_ACCEL_BASE = 250 // base px/s^2 downward
-  const G_TERM_BASE = 220 // base terminal speed
-  const FLOOR_FRICTION_BASE = 4.0 // base per-second friction when on floor
-  // Solid-state vibration tweak
-  const VIB_AMP = 40 // px/s random vibration amplitude in solid/freezing
-  const VIB_ANG = 1.0 // rad/s small angular jitter in solid/freezing
-
-  // Lattice packing (activated in solid): hexagonal grid
-  let lattice = [] // array of anchor points {x,y}
-  const LATTICE_SPACING_LIQUID = 34
-  const LATTICE_SPACING_SOLID = 56 // slightly larger spacing for ice-like lower density
-  const LATTICE_SPRING = 0.8 // spring strength toward anchor when solid
-  const LATTICE_DAMP = 0.85
-  const SOLID_THRESHOLD = 0 // deg C
-
-  // Salt state (simplified: on/off). In reality, dissolved salt lowers freezing point
-  // and raises boiling point; we model that qualitatively.
-  let saltOn = false
-
-  // Freeze sequence state
-  let freezeTimerMs = 0 // counts down when freezing from gas
-  let freezeBoost = 0 // 0..1, drives extra gravity + damping during freeze
-  let moveDamp = 1 // scales translational speed during special states
-  let assignedAnchors = null // array of anchor points mapped 1:1 to molecules
-
-  // Temperature model: use Kelvin for speed scaling: v ~ sqrt(Tk)
-  function cToK(c) { return c + 273.15 }
-  function speedMultiplier(c) {
-    const Tk = Math.max(0, cToK(c)) // 0 at absolute zero
-    // baseline sqrt scaling with a mild high-T boost factor to ensure agility near boiling
-    const base = Math.sqrt(Tk / 273.15)
-    const hotBoost = 1 + 0.35 * Math.min(1, Math.max(0, (c - 40) / 100)) // up to +35% boost by ~140°C
-    return base * hotBoost
+  function setSampleAmount() {
+    const v = sampleAmountInput ? Number(sampleAmountInput.value) : 1
+    engine.setSampleMoles(sampleBy === 'g' ? v / engine.substance.molarMass : v)
+    renderSample()
+    renderHeatChart()
+    updateHeatUI()
+  }
+
+  // Every unit label, readout and chart in the chosen units
+  function renderUnits() {
+    if (tempUnitSelect) tempUnitSelect.value = tempUnit.id
+    if (energyUnitSelect) energyUnitSelect.value = energyUnit.id
+    document.querySelectorAll('[data-unit="temp"]').forEach(el => { el.textContent = tempUnit.symbol })
+    document.querySelectorAll('[data-unit="energy"]').forEach(el => { el.textContent = energyUnit.symbol })
+    document.querySelectorAll('[data-temp-c]').forEach(el => { el.textContent = formatT(Number(el.dataset.tempC), 0) })
+    if (tempAltUnitEl) tempAltUnitEl.textContent = tempUnit.id === 'K' ? '°C' : 'K'
+    if (yAxisShiftInput) yAxisShiftInput.value = String(Number((chartYOffsetC * tempUnit.scale).toFixed(2)))
+    renderSample()
+    renderTemperature(engine.temperature)
+    renderPhaseTip()
+    renderSolute()
+    renderHeater()
+    renderHeatChart()
+    updateHeatUI()
+    renderHeatingCurve()
+    setAnalyticsView(analyticsView)
+    renderSweep()
+  }
+
+  // Switch units; a typed sweep list is rewritten in the new temperature unit
+  function setUnits(tempId, energyId) {
+    const next = TEMPERATURE_UNITS[tempId] || TEMPERATURE_UNITS.C
+    if (sweepTempsEl && next !== tempUnit) sweepTempsEl.value = convertTemperatureList(sweepTempsEl.value, tempUnit, next)
+    tempUnit = next
+    energyUnit = ENERGY_UNITS[energyId] || ENERGY_UNITS.kJ
+    renderUnits()
   }
 
+  if (tempUnitSelect) tempUnitSelect.addEventListener('change', () => setUnits(tempUnitSelect.value, energyUnit.id))
+  if (energyUnitSelect) energyUnitSelect.addEventListener('change', () => setUnits(tempUnit.id, energyUnitSelect.value))
+  if (sampleAmountInput) sampleAmountInput.addEventListener('change', setSampleAmount)
+  if (sampleUnitSelect) {
+    sampleUnitSelect.addEventListener('change', () => {
+      sampleBy = sampleUnitSelect.value === 'g' ? 'g' : 'mol'
+      renderSample()
+    })
+  }
+
+  // Cosmetic randomness (sparkles) stays off the engine's seeded stream
+  function fxRand(min, max) { return Math.random() * (max - min) + min }
+
   // --- Temperature color mapping for slider + metrics accent ---
   function clamp01(x) { return Math.max(0, Math.min(1, x)) }
   function lerp(a, b, t) { return a + (b - a) * t }
@@ -122,422 +334,213 @@
     if (metricsEl) metricsEl.style.setProperty('--accent-color', color)
   }
 
-  // Phase estimation (1 atm):
-  // If salt is present, approximate freezing point depression and boiling point elevation.
-  function getPhase(c) {
-    const freezePoint = saltOn ? -5 : 0
-    const boilPoint = saltOn ? 104 : 100
-    if (c <= freezePoint) return saltOn ? 'Solid (Ice + salt)' : 'Solid (Ice)'
-    if (c >= boilPoint) return saltOn ? 'Gas (Steam, salty solution)' : 'Gas (Steam)'
-    return saltOn ? 'Liquid (Salt solution)' : 'Liquid (Water)'
-  }
-
-  // Molecule container
-  const molecules = []
-  // Salt ions (Na⁺ and Cl⁻), spawned when salt is added
-  const ions = [] // { x, y, vx, vy, charge: '+" or '-', type: 'Na'|'Cl' }
-  // Bond tracking: map of key "i-j" to {start: seconds}
-  const bonds = new Map()
-  // Bonds that are currently being disrupted by nearby salt ions
-  const disruptedBonds = new Set()
-  // Rolling average of bond durations (seconds)
-  let bondDurations = []
-  const MAX_BOND_SAMPLES = 1000
-  // Track sim time and a short history of active bonds for 3s average in liquid/gas
-  let simTime = 0
-  const activeBondHistory = [] // {t, count}
-
-  function rand(min, max) { return Math.random() * (max - min) + min }
-
-  function createMolecule() {
-    const x = rand(30, W - 30)
-    const y = rand(30, H - 30)
-    const angle = rand(0, Math.PI * 2)
-    const v = rand(0.4, 1.2)
-    const vx = Math.cos(angle) * v
-    const vy = Math.sin(angle) * v
-    return { x, y, vx, vy, angle: rand(0, Math.PI * 2), spin: rand(-1, 1) * 0.5, gvy: 0 }
-  }
-
-  function initMolecules() {
-    molecules.length = 0
-    for (let i = 0; i < NUM_MOLECULES; i++) molecules.push(createMolecule())
-    ions.length = 0
-  }
-
-  function createIon(type) {
-    // Place ions near a random water molecule so they sit between molecules,
-    // not far away in empty space.
-    const base = molecules.length
-      ? molecules[Math.floor(Math.random() * molecules.length)]
-      : { x: W * 0.5, y: H * 0.5 }
-    const offsetR = 20 + Math.random() * 18
-    const offsetA = Math.random() * Math.PI * 2
-    const x = base.x + Math.cos(offsetA) * offsetR
-    const y = base.y + Math.sin(offsetA) * offsetR
-    const angle = rand(0, Math.PI * 2)
-    const speed = rand(0.2, 0.6)
-    return {
-      x,
-      y,
-      vx: Math.cos(angle) * speed,
-      vy: Math.sin(angle) * speed,
-      charge: type === 'Na' ? '+' : '-',
-      type
-    }
-  }
-
   // Drawing utilities
-  function drawMolecule(m) {
-    // Oxygen at (x,y), Hydrogens at fixed angle relative to m.angle
-    const a = m.angle
-    const a1 = a - HOH_ANGLE / 2
-    const a2 = a + HOH_ANGLE / 2
-    const h1x = m.x + Math.cos(a1) * OH_BOND
-    const h1y = m.y + Math.sin(a1) * OH_BOND
-    const h2x = m.x + Math.cos(a2) * OH_BOND
-    const h2y = m.y + Math.sin(a2) * OH_BOND
-
+  // Molecules are drawn in batches (one path per bond layer and per element colour)
+  // so thousands of molecules stay cheap; hydrogens go last so they sit on top.
+  const DRAW_ORDER = ['C', 'N', 'O', 'F', 'H']
+  function drawMolecules(view) {
+    const { molecules } = view
+    for (const m of molecules) placeAtoms(m)
     if (bondsVisible) {
       // Bonds (optional, subtle)
       ctx.strokeStyle = 'rgba(255,255,255,0.15)'
       ctx.lineWidth = 1
       ctx.beginPath()
-      ctx.moveTo(m.x, m.y)
-      ctx.lineTo(h1x, h1y)
-      ctx.moveTo(m.x, m.y)
-      ctx.lineTo(h2x, h2y)
+      for (const m of molecules) {
+        for (const [i, j] of m.species.bonds) {
+          ctx.moveTo(m.atomX[i], m.atomY[i])
+          ctx.lineTo(m.atomX[j], m.atomY[j])
+        }
+      }
       ctx.stroke()
     }
-
-    // Oxygen
-    ctx.fillStyle = '#d84d4d'
+    // Vapour (escaped in evaporation mode, or boiled off on the vaporisation plateau) is
+    // drawn in a second, fainter pass
+    const passes = molecules.some(m => m.vapour) ? [false, true] : [false]
+    for (const el of DRAW_ORDER) {
+      ctx.fillStyle = ELEMENTS[el].color
+      for (const vapour of passes) {
+        ctx.globalAlpha = vapour ? 0.55 : 1
+        ctx.beginPath()
+        for (const m of molecules) {
+          if (m.vapour !== vapour) continue
+          const atoms = m.species.atoms
+          for (let i = 0; i < atoms.length; i++) {
+            if (atoms[i].el !== el) continue
+            ctx.moveTo(m.atomX[i] + atoms[i].r, m.atomY[i])
+            ctx.arc(m.atomX[i], m.atomY[i], atoms[i].r, 0, Math.PI * 2)
+          }
+        }
+        ctx.fill()
+      }
+    }
+    ctx.globalAlpha = 1
+    // Nucleation mode: a frost ring marks the molecules already in the crystal
+    ctx.strokeStyle = 'rgba(170, 220, 255, 0.6)'
+    ctx.lineWidth = 1.5
     ctx.beginPath()
-    ctx.arc(m.x, m.y, O_RADIUS, 0, Math.PI * 2)
-    ctx.fill()
-
-    // Hydrogens
-    ctx.fillStyle = '#f2f2f2'
-    ctx.beginPath(); ctx.arc(h1x, h1y, H_RADIUS, 0, Math.PI * 2); ctx.fill()
-    ctx.beginPath(); ctx.arc(h2x, h2y, H_RADIUS, 0, Math.PI * 2); ctx.fill()
+    for (const m of molecules) {
+      if (!m.frozen) continue
+      const r = m.species.radius * 1.8
+      ctx.moveTo(m.x + r, m.y)
+      ctx.arc(m.x, m.y, r, 0, Math.PI * 2)
+    }
+    ctx.stroke()
   }
 
-  function drawIon(ion) {
-    const radius = ion.type === 'Na' ? 7 : 8
-    ctx.beginPath()
-    ctx.arc(ion.x, ion.y, radius, 0, Math.PI * 2)
-    if (ion.type === 'Na') {
-      ctx.fillStyle = '#ffdd88' // warm yellow for Na⁺
-    } else {
-      ctx.fillStyle = '#88b8ff' // cool blue for Cl⁻
+  function drawIons(view) {
+    const { ions } = view
+    // one path per particle type, in its registry colour (Na⁺ warm yellow, Cl⁻ cool blue)
+    for (const [type, { color }] of Object.entries(ION_TYPES)) {
+      ctx.beginPath()
+      for (const ion of ions) {
+        if (ion.type !== type) continue
+        ctx.moveTo(ion.x + ionRadius(ion), ion.y)
+        ctx.arc(ion.x, ion.y, ionRadius(ion), 0, Math.PI * 2)
+      }
+      ctx.fillStyle = color
+      ctx.fill()
     }
-    ctx.fill()
-    // charge symbol
+    // charge symbols
     ctx.fillStyle = '#101520'
     ctx.font = '10px system-ui'
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
-    ctx.fillText(ion.charge, ion.x, ion.y)
+    for (const ion of ions) ctx.fillText(ion.charge, ion.x, ion.y)
   }
 
   function clear() {
+    ctx.setTransform(viewScale, 0, 0, viewScale, 0, 0)
     ctx.clearRect(0, 0, W, H)
-    // Clear SVG overlay
-    while (svg.firstChild) svg.removeChild(svg.firstChild)
-  }
-
-  function update(dt, tempC) {
-    simTime += dt
-    const mult = speedMultiplier(tempC)
-    // Movement damping: reduced during freeze and in solid
-  const solidMotionDamp = tempC <= SOLID_THRESHOLD ? 0.15 : 1
-    moveDamp = Math.min(solidMotionDamp, 1)
-    const speedScale = BASE_SPEED * mult * Math.min(1, moveDamp + (1 - freezeBoost) * 0.65)
-    let rotScale = 0.8 * mult * (1 - 0.6 * freezeBoost)
-    if (tempC <= SOLID_THRESHOLD) rotScale *= 0.25
-
-  // Temperature-dependent gravity/ground factors: lighten as temperature rises
-    const hotFactor = Math.min(1, Math.max(0, (tempC - 0) / 90)) // full loosening at ~90°C
-    let gAccel = G_ACCEL_BASE * (1 - 0.95 * hotFactor) // reduce up to 95%
-    let gTerm = G_TERM_BASE * (1 - 0.9 * hotFactor) + 20 * hotFactor // very weak terminal pull
-    let floorFriction = Math.max(0.05, FLOOR_FRICTION_BASE * (1 - 0.95 * hotFactor)) // reduce up to 95%
-    // During active freeze, temporarily strengthen gravity to ensure descent from gas
-    if (freezeBoost > 0) {
-      gAccel += G_ACCEL_BASE * 0.9 * freezeBoost
-      gTerm += 140 * freezeBoost
-      // increase floor friction when landing to help settle into lattice
-      floorFriction += 2.0 * freezeBoost
-    }
-
-  for (const m of molecules) {
-      // Thermal motion (scaled by temperature)
-      m.x += m.vx * speedScale * dt
-      m.y += m.vy * speedScale * dt
-
-      // Gravity component (independent of temperature scaling)
-  m.gvy = Math.min(gTerm, m.gvy + gAccel * dt)
-      m.y += m.gvy * dt
-
-      // Rotational drift
-      m.angle += m.spin * rotScale * dt
-
-      // Wall collisions
-      const margin = 18
-      if (m.x < margin) { m.x = margin; m.vx = Math.abs(m.vx) * WALL_RESTITUTION }
-      if (m.x > W - margin) { m.x = W - margin; m.vx = -Math.abs(m.vx) * WALL_RESTITUTION }
-      if (m.y < margin) { m.y = margin; m.vy = Math.abs(m.vy) * WALL_RESTITUTION; m.gvy = 0 }
-      if (m.y > H - margin) {
-        m.y = H - margin
-        m.vy = -Math.abs(m.vy) * WALL_RESTITUTION
-        m.gvy = 0 // absorb gravitational fall at the floor
-        // Floor friction: reduce horizontal motion while on the ground
-        const fr = Math.max(0, 1 - floorFriction * dt)
-        m.vx *= fr
-      }
+    if (imfCtx) {
+      imfCtx.setTransform(viewScale, 0, 0, viewScale, 0, 0)
+      imfCtx.clearRect(0, 0, W, H)
     }
+  }
 
-    // Simple Brownian-like motion for ions (only when salt is present)
-    if (saltOn && ions.length) {
-      for (const ion of ions) {
-        ion.x += ion.vx * BASE_SPEED * 0.6 * dt
-        ion.y += ion.vy * BASE_SPEED * 0.6 * dt
-        // gentle random jitter
-        ion.vx += (Math.random() - 0.5) * 0.4 * dt
-        ion.vy += (Math.random() - 0.5) * 0.4 * dt
-
-        // weak attraction toward nearest water molecule so ions stay
-        // interspersed within the liquid rather than drifting away.
-        if (molecules.length) {
-          let nearest = null
-          let bestD2 = Infinity
-          for (let i = 0; i < molecules.length; i++) {
-            const m = molecules[i]
-            const dx = m.x - ion.x
-            const dy = m.y - ion.y
-            const d2 = dx * dx + dy * dy
-            if (d2 < bestD2) { bestD2 = d2; nearest = m }
-          }
-          if (nearest && bestD2 > 1) {
-            const d = Math.sqrt(bestD2)
-            const nx = (nearest.x - ion.x) / d
-            const ny = (nearest.y - ion.y) / d
-            const pull = 12 * dt // very gentle pull
-            ion.vx += nx * pull
-            ion.vy += ny * pull
-          }
-        }
-        // keep within bounds
-        const r = ion.type === 'Na' ? 7 : 8
-        if (ion.x < r) { ion.x = r; ion.vx = Math.abs(ion.vx) }
-        if (ion.x > W - r) { ion.x = W - r; ion.vx = -Math.abs(ion.vx) }
-        if (ion.y < r) { ion.y = r; ion.vy = Math.abs(ion.vy) }
-        if (ion.y > H - r) { ion.y = H - r; ion.vy = -Math.abs(ion.vy) }
-      }
+  // Endpoints of a bond's attraction line: H···A for hydrogen bonds, centre to centre otherwise
+  function bondSegment(info, molecules) {
+    const a = molecules[info.i], b = molecules[info.j]
+    if (!a || !b) return null
+    if (info.hb) {
+      const d = info.hb.donor === info.i ? a : b
+      const acc = d === a ? b : a
+      return { x1: d.atomX[info.hb.h], y1: d.atomY[info.hb.h], x2: acc.atomX[info.hb.k], y2: acc.atomY[info.hb.k] }
     }
+    return { x1: a.x, y1: a.y, x2: b.x, y2: b.y }
+  }
 
-    // Interactions: repulsion (short-range) + attraction (mid-range), both temp-scaled
-    const Tk = Math.max(0, cToK(tempC))
-    const coolFactor = 1 - Math.min(1, Tk / 600) // stronger attraction when cooler; fades as temp rises
-    for (let i = 0; i < molecules.length; i++) {
-      for (let j = i + 1; j < molecules.length; j++) {
-        const a = molecules[i], b = molecules[j]
-        let dx = b.x - a.x, dy = b.y - a.y
-        let d2 = dx * dx + dy * dy
-        if (d2 === 0) continue
-        const d = Math.sqrt(d2)
-        const nx = dx / d, ny = dy / d
-
-        // Short-range repulsion to prevent overlap
-        const repDist = (tempC <= SOLID_THRESHOLD) ? O_RADIUS * 3.2 : REPULSION_DIST
-        if (d < repDist) {
-          const overlap = repDist - d
-          const push = REPULSION_STRENGTH * overlap
-          a.x -= nx * push * 0.5; a.y -= ny * push * 0.5
-          b.x += nx * push * 0.5; b.y += ny * push * 0.5
-        }
-
-        // Mid-range attraction within IMF cutoff, scaled by coolness
-        const inBond = d < IMF_CUTOFF
-        if (inBond) {
-          // With salt present, reduce attraction to show disrupted IMFs
-          const saltFactor = saltOn ? 0.6 : 1
-          const strength = IMF_ATTRACT_STRENGTH * saltFactor * coolFactor * (1 - d / IMF_CUTOFF)
-          // convert to velocity-like change per frame using dt and base scale
-          const dv = strength * dt * 60 // approximate to frame-rate for feel
-          a.vx += nx * dv; a.vy += ny * dv
-          b.vx -= nx * dv; b.vy -= ny * dv
-
-          // Track bond start
-          const key = `${i}-${j}`
-          if (!bonds.has(key)) {
-            bonds.set(key, { start: performance.now() / 1000 })
-          }
-          // Mark bond as disrupted if a nearby ion is present
-          if (saltOn && ions.length) {
-            const cutoffIon = IMF_CUTOFF * 0.8
-            const cutoffIon2 = cutoffIon * cutoffIon
-            for (let k = 0; k < ions.length; k++) {
-              const ion = ions[k]
-              const mx = (a.x + b.x) * 0.5
-              const my = (a.y + b.y) * 0.5
-              const idx = ion.x - mx
-              const idy = ion.y - my
-              const id2 = idx * idx + idy * idy
-              if (id2 < cutoffIon2) {
-                disruptedBonds.add(key)
-                break
-              }
-            }
-          }
-        } else {
-          // If a bond existed and just broke, record duration
-          const key = `${i}-${j}`
-          const info = bonds.get(key)
-          if (info) {
-            const now = performance.now() / 1000
-            const dur = Math.max(0, now - info.start)
-            bonds.delete(key)
-            disruptedBonds.delete(key)
-            bondDurations.push(dur)
-            if (bondDurations.length > MAX_BOND_SAMPLES) bondDurations.shift()
-          }
-        }
-      }
+  // IMF line styles shared by both backends (SVG attribute values / canvas equivalents)
+  const IMF_LINE = { color: '#1db954', dash: [6, 6], width: 2, opacity: 0.9, saltWidth: 1.4, saltOpacity: 0.55 }
+  const IMF_FLARE = { color: 'rgba(255, 180, 60, 1)', dash: [3, 4], width: 2.4 }
+
+  // 'canvas' draws every line into #imfCanvas in two batched strokes; 'svg' reuses a pool
+  // of <line> elements so nothing is created or removed once the pool is big enough
+  let imfRenderer = imfCtx ? 'canvas' : 'svg'
+
+  // SVG pool: lines and flares live in their own groups so flares always stay on top
+  function createLinePool(stroke, dash) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g')
+    group.setAttribute('stroke', stroke)
+    group.setAttribute('stroke-dasharray', dash.join(' '))
+    svg.appendChild(group)
+    return { group, els: [], shown: 0 }
+  }
+  const linePool = createLinePool(IMF_LINE.color, IMF_LINE.dash)
+  const flarePool = createLinePool(IMF_FLARE.color, IMF_FLARE.dash)
+  flarePool.group.setAttribute('stroke-width', String(IMF_FLARE.width))
+
+  function poolLine(pool, n, seg) {
+    let line = pool.els[n]
+    if (!line) {
+      line = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+      pool.group.appendChild(line)
+      pool.els.push(line)
+    } else if (n >= pool.shown) {
+      line.removeAttribute('display')
     }
+    line.setAttribute('x1', seg.x1.toFixed(1))
+    line.setAttribute('y1', seg.y1.toFixed(1))
+    line.setAttribute('x2', seg.x2.toFixed(1))
+    line.setAttribute('y2', seg.y2.toFixed(1))
+  }
 
-  // Solid lattice packing: pull molecules toward nearest anchor when solid
-    if ((tempC <= SOLID_THRESHOLD || freezeBoost > 0) && lattice.length) {
-      // ramp strength as it gets colder
-      const ramp = Math.min(1, (SOLID_THRESHOLD - tempC) / 50 + freezeBoost)
-      for (let idx = 0; idx < molecules.length; idx++) {
-        const m = molecules[idx]
-        // prefer assigned lattice anchor for more regular crystal
-        const target = (assignedAnchors && assignedAnchors[idx]) || nearestAnchor(m)
-        if (target) {
-          const dx = target.x - m.x, dy = target.y - m.y
-          m.vx += dx * (LATTICE_SPRING * ramp) * dt
-          m.vy += dy * (LATTICE_SPRING * ramp) * dt
-          m.vx *= (1 - (1 - LATTICE_DAMP) * ramp)
-          m.vy *= (1 - (1 - LATTICE_DAMP) * ramp)
-          // counter gravity a little to form lattice layers instead of a heap
-          m.gvy *= (1 - 0.5 * ramp)
-
-          // Orient molecule so one H aims toward neighbor along row to form O–H–O chains
-          if (typeof target.theta === 'number') {
-            const desired = target.theta
-            const da = angleDelta(m.angle, desired)
-            const ORIENT_SPRING = 4.0
-            m.angle += da * ORIENT_SPRING * ramp * dt
-            m.spin *= (1 - 0.8 * ramp * dt)
-          }
+  // Hide pooled lines past `used` that were visible last frame
+  function trimPool(pool, used) {
+    for (let n = used; n < pool.shown; n++) pool.els[n].setAttribute('display', 'none')
+    pool.shown = Math.min(used, pool.els.length)
+  }
 
-          // Extra damping when close to anchor to reduce movement further
-          const dist = Math.hypot(dx, dy)
-          if (dist < 10) {
-            m.vx *= 0.9; m.vy *= 0.9
-          }
-        }
-      }
-      // Add gentle lattice vibration
-      for (const m of molecules) {
-        m.vx += (Math.random() - 0.5) * VIB_AMP * dt
-        m.vy += (Math.random() - 0.5) * VIB_AMP * dt
-        m.angle += (Math.random() - 0.5) * VIB_ANG * dt
-      }
+  function setImfRenderer(mode) {
+    imfRenderer = mode === 'canvas' && imfCtx ? 'canvas' : 'svg'
+    if (imfRendererEl) imfRendererEl.value = imfRenderer
+    // Blank whichever backend is no longer in use
+    if (imfRenderer === 'canvas') { trimPool(linePool, 0); trimPool(flarePool, 0) } else if (imfCtx) {
+      imfCtx.setTransform(1, 0, 0, 1, 0, 0)
+      imfCtx.clearRect(0, 0, imfCanvas.width, imfCanvas.height)
     }
-    // In solid/freezing: run a few quick relaxation passes to remove any remaining overlaps
-    if ((tempC <= SOLID_THRESHOLD || freezeBoost > 0) && molecules.length) {
-  const minDist = O_RADIUS * 3.2
-      for (let it = 0; it < 3; it++) {
-        for (let i = 0; i < molecules.length; i++) {
-          for (let j = i + 1; j < molecules.length; j++) {
-            const a = molecules[i], b = molecules[j]
-            let dx = b.x - a.x, dy = b.y - a.y
-            let d2 = dx * dx + dy * dy
-            if (d2 === 0) { dx = (Math.random() - 0.5) * 1e-3; dy = (Math.random() - 0.5) * 1e-3; d2 = dx*dx + dy*dy }
-            const d = Math.sqrt(d2)
-            if (d < minDist) {
-              const nx = dx / d, ny = dy / d
-              const corr = (minDist - d) * 0.5
-              a.x -= nx * corr; a.y -= ny * corr
-              b.x += nx * corr; b.y += ny * corr
-              // light velocity damping to help settle
-              a.vx *= 0.95; a.vy *= 0.95
-              b.vx *= 0.95; b.vy *= 0.95
-            }
-          }
-        }
-      }
+  }
+
+  function flareOpacity(simTime) {
+    const flash = 0.6 + 0.4 * Math.abs(Math.sin(simTime * 4)) // 4 Hz flash
+    return 0.25 + 0.5 * flash
+  }
+
+  // Canvas version of the attraction lines, also used to composite exported frames
+  function strokeIMFLines(target, view) {
+    const { molecules, bonds, disruptedBonds, saltOn } = view
+    target.setLineDash(IMF_LINE.dash)
+    target.lineWidth = saltOn ? IMF_LINE.saltWidth : IMF_LINE.width
+    target.strokeStyle = IMF_LINE.color
+    target.globalAlpha = saltOn ? IMF_LINE.saltOpacity : IMF_LINE.opacity
+    target.beginPath()
+    for (const info of bonds.values()) {
+      const seg = bondSegment(info, molecules)
+      if (!seg) continue
+      target.moveTo(seg.x1, seg.y1)
+      target.lineTo(seg.x2, seg.y2)
     }
-    // Decay freeze boost over time
-    if (freezeTimerMs > 0) {
-      freezeTimerMs = Math.max(0, freezeTimerMs - dt * 1000)
-      freezeBoost = freezeTimerMs / 2500
-    } else {
-      freezeBoost = 0
-    }
-    // Update metrics UI
-    if (avgBondDurationEl && activeBondsEl) {
-      const avg = bondDurations.length ? (bondDurations.reduce((a,b)=>a+b,0) / bondDurations.length) : 0
-      avgBondDurationEl.textContent = avg.toFixed(2)
-
-      const phaseText = getPhase(tempC)
-      const isLiquidOrGas = /Liquid|Gas/.test(phaseText)
-      let activeDisplay = bonds.size
-      if (isLiquidOrGas) {
-        // keep only last ~3 seconds of samples
-        activeBondHistory.push({ t: simTime, count: bonds.size })
-        const cutoff = simTime - 3
-        while (activeBondHistory.length && activeBondHistory[0].t < cutoff) activeBondHistory.shift()
-        if (activeBondHistory.length) {
-          const sum = activeBondHistory.reduce((acc, s) => acc + s.count, 0)
-          activeDisplay = Math.round(sum / activeBondHistory.length)
-        }
-      } else {
-        activeBondHistory.length = 0
+    target.stroke()
+    if (saltOn && disruptedBonds.size) {
+      target.setLineDash(IMF_FLARE.dash)
+      target.lineWidth = IMF_FLARE.width
+      target.strokeStyle = IMF_FLARE.color
+      target.globalAlpha = flareOpacity(view.simTime)
+      target.beginPath()
+      for (const key of disruptedBonds) {
+        const info = bonds.get(key)
+        const seg = info && bondSegment(info, molecules)
+        if (!seg) continue
+        target.moveTo(seg.x1, seg.y1)
+        target.lineTo(seg.x2, seg.y2)
       }
-      activeBondsEl.textContent = String(activeDisplay)
+      target.stroke()
     }
+    target.globalAlpha = 1
+    target.setLineDash([])
   }
 
-  function drawIMFLines() {
-    // Draw green dotted lines between molecules within cutoff distance
-    const flash = 0.6 + 0.4 * Math.abs(Math.sin(simTime * 4)) // 4 Hz flash
-    for (let i = 0; i < molecules.length; i++) {
-      for (let j = i + 1; j < molecules.length; j++) {
-        const a = molecules[i], b = molecules[j]
-        const dx = b.x - a.x, dy = b.y - a.y
-        const d2 = dx * dx + dy * dy
-        if (d2 <= IMF_CUTOFF * IMF_CUTOFF) {
-          const key = `${i}-${j}`
-          const line = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-          line.setAttribute('x1', a.x.toFixed(1))
-          line.setAttribute('y1', a.y.toFixed(1))
-          line.setAttribute('x2', b.x.toFixed(1))
-          line.setAttribute('y2', b.y.toFixed(1))
-          line.setAttribute('stroke', '#1db954')
-          line.setAttribute('stroke-width', saltOn ? '1.4' : '2')
-          line.setAttribute('stroke-dasharray', '6 6')
-          line.setAttribute('opacity', saltOn ? '0.55' : '0.9')
-          svg.appendChild(line)
-
-          // If this bond is disrupted by a nearby ion, draw a flashing
-          // orange overlay on top to show disruption.
-          if (saltOn && disruptedBonds.has(key)) {
-            const flare = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-            flare.setAttribute('x1', a.x.toFixed(1))
-            flare.setAttribute('y1', a.y.toFixed(1))
-            flare.setAttribute('x2', b.x.toFixed(1))
-            flare.setAttribute('y2', b.y.toFixed(1))
-            flare.setAttribute('stroke', 'rgba(255, 180, 60, 1)')
-            flare.setAttribute('stroke-width', '2.4')
-            flare.setAttribute('stroke-dasharray', '3 4')
-            flare.setAttribute('opacity', (0.25 + 0.5 * flash).toFixed(2))
-            svg.appendChild(flare)
-          }
-        }
-      }
+  function drawIMFLines(view) {
+    // Draw green dotted lines for the active bonds found by engine.step() (no extra pair search);
+    // atom positions come from drawMolecules(), which runs first. Bonds disrupted by a
+    // nearby ion get a flashing orange overlay on top.
+    if (imfRenderer === 'canvas') {
+      strokeIMFLines(imfCtx, view)
+      return
     }
+    const { molecules, bonds, disruptedBonds, saltOn } = view
+    linePool.group.setAttribute('stroke-width', String(saltOn ? IMF_LINE.saltWidth : IMF_LINE.width))
+    linePool.group.setAttribute('opacity', String(saltOn ? IMF_LINE.saltOpacity : IMF_LINE.opacity))
+    flarePool.group.setAttribute('opacity', flareOpacity(view.simTime).toFixed(2))
+    let lines = 0, flares = 0
+    for (const [key, info] of bonds) {
+      const seg = bondSegment(info, molecules)
+      if (!seg) continue
+      poolLine(linePool, lines++, seg)
+      if (saltOn && disruptedBonds.has(key)) poolLine(flarePool, flares++, seg)
+    }
+    trimPool(linePool, lines)
+    trimPool(flarePool, flares)
   }
 
   // Resize handler: keep canvas internal resolution synced to CSS box
@@ -547,35 +550,252 @@
     canvas.height = Math.floor(rect.height)
     svg.setAttribute('width', String(canvas.width))
     svg.setAttribute('height', String(canvas.height))
-    W = canvas.width; H = canvas.height
-    buildLattice()
+    if (imfCanvas) {
+      imfCanvas.width = canvas.width
+      imfCanvas.height = canvas.height
+    }
+    // Large counts simulate in a bigger virtual box drawn scaled down, so every length
+    // constant (radii, cutoffs, lattice spacing) keeps its meaning
+    viewScale = Math.min(1, Math.sqrt(REF_MOLECULES / engine.moleculeCount))
+    W = canvas.width / viewScale; H = canvas.height / viewScale
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`)
+    engine.setSize(W, H)
   }
 
   window.addEventListener('resize', resize)
   resize()
-  initMolecules()
+  engine.reset()
+
+  // --- Pressure + P–T phase diagram ---
+  // The slider is log10(kPa) so the diagram's whole range (1 Pa to 100 MPa) fits
+  function formatPressure(kPa) {
+    if (kPa < 1) return `${fmtPrecision(kPa * 1000, 3)} Pa`
+    if (kPa < 1000) return `${fmtPrecision(kPa, 4)} kPa`
+    return `${fmtPrecision(kPa / 1000, 3)} MPa`
+  }
+
+  const phaseDiagramCtx = phaseDiagram ? phaseDiagram.getContext('2d') : null
+  const PHASE_P_MIN = 1e-3, PHASE_P_MAX = 1e5 // kPa, same range as the pressure slider
+
+  // Axis ranges: pressure in whole decades down past the triple point, temperature from
+  // the bottom of the sublimation curve to well past the critical point
+  function getPhaseDiagramBounds(sub) {
+    const logMin = Math.floor(Math.log10(Math.min(PHASE_P_MIN, sub.triple.kPa / 10)))
+    const logMax = Math.log10(PHASE_P_MAX)
+    const tMin = Math.max(T0, Math.floor((saturationTemp(sub, 10 ** logMin) - 20) / 50) * 50)
+    const tMax = Math.ceil((sub.critical.c + 80) / 50) * 50
+    return { tMin, tMax, logMin, logMax }
+  }
+
+  function renderPhaseDiagram() {
+    if (!phaseDiagramCtx) return
+    const ctx = phaseDiagramCtx
+    const ratio = window.devicePixelRatio || 1
+    const rect = phaseDiagram.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    if (phaseDiagram.width !== w * ratio || phaseDiagram.height !== h * ratio) {
+      phaseDiagram.width = w * ratio
+      phaseDiagram.height = h * ratio
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+
+    // The diagram follows the first substance, like the phase labels and heat chart
+    const sub = engine.substance
+    const { triple, critical } = sub
+    const { tMin, tMax, logMin, logMax } = getPhaseDiagramBounds(sub)
+    const pLo = 10 ** logMin, pHi = 10 ** logMax
+    const padL = 54, padR = 12, padT = 12, padB = 30
+    const xOfT = t => padL + ((t - tMin) / (tMax - tMin)) * (w - padL - padR)
+    const yOfP = p => h - padB - ((Math.log10(p) - logMin) / (logMax - logMin)) * (h - padT - padB)
+    const left = xOfT(tMin), right = xOfT(tMax), top = yOfP(pHi), bottom = yOfP(pLo)
+
+    // Coexistence curves as [°C, kPa] points
+    const tLow = Math.max(tMin, saturationTemp(sub, pLo))
+    const sublimation = []
+    for (let i = 0; i <= 40; i++) {
+      const t = tLow + (triple.c - tLow) * (i / 40)
+      sublimation.push([t, saturationPressure(sub, t)])
+    }
+    const vaporisation = []
+    for (let i = 0; i <= 60; i++) {
+      const t = triple.c + (critical.c - triple.c) * (i / 60)
+      vaporisation.push([t, saturationPressure(sub, t)])
+    }
+    const fusionTop = [fusionTemp(sub, pHi), pHi]
+
+    function tracePath(points) {
+      ctx.beginPath()
+      points.forEach(([t, p], i) => {
+        if (i === 0) ctx.moveTo(xOfT(t), yOfP(p))
+        else ctx.lineTo(xOfT(t), yOfP(p))
+      })
+    }
+
+    // Regions: gas fills the plot, then solid, liquid and supercritical on top
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(left, top, right - left, bottom - top)
+    ctx.clip()
+    ctx.fillStyle = 'rgba(255,180,90,0.10)'
+    ctx.fillRect(left, top, right - left, bottom - top)
+    tracePath([[tMin, pHi], fusionTop, ...sublimation.slice().reverse(), [tMin, sublimation[0][1]]])
+    ctx.fillStyle = 'rgba(140,200,255,0.16)'
+    ctx.fill()
+    tracePath([fusionTop, [critical.c, pHi], ...vaporisation.slice().reverse()])
+    ctx.fillStyle = 'rgba(120,240,160,0.14)'
+    ctx.fill()
+    ctx.fillStyle = 'rgba(200,150,255,0.14)'
+    ctx.fillRect(xOfT(critical.c), top, right - xOfT(critical.c), yOfP(critical.kPa) - top)
+
+    // 1 atm reference and the (gradual) supercritical boundary, dashed
+    ctx.setLineDash([4, 4])
+    ctx.lineWidth = 1
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)'
+    ctx.beginPath()
+    ctx.moveTo(left, yOfP(P_ATM))
+    ctx.lineTo(right, yOfP(P_ATM))
+    ctx.moveTo(xOfT(critical.c), top)
+    ctx.lineTo(xOfT(critical.c), yOfP(critical.kPa))
+    ctx.lineTo(right, yOfP(critical.kPa))
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    // Sublimation, fusion and vaporisation curves
+    ctx.strokeStyle = 'rgba(255,255,255,0.85)'
+    ctx.lineWidth = 2
+    tracePath(sublimation)
+    ctx.stroke()
+    tracePath([[triple.c, triple.kPa], fusionTop])
+    ctx.stroke()
+    tracePath(vaporisation)
+    ctx.stroke()
+    ctx.restore()
+
+    // Axes with decade pressure ticks and temperature ticks
+    ctx.strokeStyle = 'rgba(255,255,255,0.2)'
+    ctx.lineWidth = 1
+    ctx.strokeRect(left, top, right - left, bottom - top)
+    ctx.font = '11px system-ui'
+    ctx.fillStyle = 'rgba(255,255,255,0.6)'
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'middle'
+    const decadeStep = logMax - logMin > 8 ? 2 : 1
+    for (let k = Math.ceil(logMin); k <= logMax; k += decadeStep) {
+      ctx.fillText(formatPressure(10 ** k), left - 4, yOfP(10 ** k))
+    }
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    const dMin = toT(tMin), dMax = toT(tMax)
+    const tStep = niceStep(dMax - dMin, 8)
+    for (let v = Math.ceil(dMin / tStep) * tStep; v <= dMax + 1e-9; v += tStep) {
+      ctx.fillText(fmtPrecision(v, 4), xOfT(tempUnit.toC(v)), bottom + 4)
+    }
+    ctx.fillText(t('axis.temperature', { unit: tempUnit.symbol }), (left + right) / 2, bottom + 16)
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'bottom'
+    ctx.fillText('1 atm', left + 4, yOfP(P_ATM) - 2)
+
+    // Region labels
+    ctx.font = '12px system-ui'
+    ctx.fillStyle = 'rgba(255,255,255,0.75)'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    const pSolid = Math.sqrt(triple.kPa * pHi)
+    ctx.fillText(t('phase.solid'), (left + xOfT(fusionTemp(sub, pSolid))) / 2, yOfP(pSolid))
+    const tLiquid = (triple.c + critical.c) / 2
+    ctx.fillText(t('phase.liquid'), xOfT(tLiquid), yOfP(Math.sqrt(saturationPressure(sub, tLiquid) * pHi)))
+    const tGas = (triple.c + tMax) / 2
+    ctx.fillText(t('phase.gas'), xOfT(tGas), yOfP(Math.sqrt(pLo * Math.min(pHi, saturationPressure(sub, tGas)))))
+    ctx.fillText(t('phase.supercriticalShort'), (xOfT(critical.c) + right) / 2, yOfP(Math.sqrt(critical.kPa * pHi)))
+
+    // Triple and critical points
+    // (the critical point sits near the right edge, so its label goes to the left)
+    ctx.font = '11px system-ui'
+    ctx.fillStyle = '#ffd166'
+    for (const [pt, name, side] of [[triple, t('diagram.triple'), 1], [critical, t('diagram.critical'), -1]]) {
+      const x = xOfT(pt.c), y = yOfP(pt.kPa)
+      ctx.beginPath()
+      ctx.arc(x, y, 4, 0, Math.PI * 2)
+      ctx.fill()
+      ctx.textAlign = side > 0 ? 'left' : 'right'
+      ctx.fillText(t('diagram.point', { name, temperature: formatT(pt.c), pressure: formatPressure(pt.kPa) }), x + 7 * side, y + 10)
+    }
+
+    // Live marker at the current state (pinned to the edge when off the axes)
+    const mx = Math.min(right, Math.max(left, xOfT(engine.temperature)))
+    const my = yOfP(engine.pressure)
+    ctx.fillStyle = tempToColor(engine.temperature).color
+    ctx.strokeStyle = '#fff'
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.arc(mx, my, 6, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.stroke()
+  }
+
+  // Footer tip: phase thresholds at the current pressure (of the solution when one is in)
+  function renderPhaseTip() {
+    if (!phaseTipEl) return
+    const { substance, pressure, solute, molality } = engine
+    const meltC = getMeltingPoint(), boilC = getBoilingPoint()
+    const at = engine.saltOn
+      ? t('tip.atSolution', { pressure: formatPressure(pressure), m: fmt(molality, 1), solute: solute.formula })
+      : t('tip.at', { pressure: formatPressure(pressure) })
+    const params = { at, solid: tr.substance(substance, 'solid'), melt: formatT(meltC), boil: formatT(boilC) }
+    if (engine.meltC === engine.boilC) {
+      phaseTipEl.textContent = t('tip.sublimes', params)
+    } else if (engine.isSupercritical(boilC)) {
+      phaseTipEl.textContent = t('tip.supercritical', params)
+    } else {
+      phaseTipEl.textContent = t('tip.normal', params)
+    }
+  }
+
+  function renderPressureOut() {
+    if (pressureOut) pressureOut.textContent = t('pressure.out', { pressure: formatPressure(engine.pressure), atm: fmtPrecision(engine.pressure / P_ATM, 3) })
+  }
+
+  function setPressure(kPa) {
+    const p = engine.setPressure(kPa)
+    if (pressureRange) pressureRange.value = String(Math.log10(p))
+    renderPressureOut()
+    renderPhaseTip()
+    // Phase label, diagram marker and heat plateaus all move with the boiling point
+    setTemperature(Number(tempRange.value))
+    renderHeatChart()
+    updateTrendIndicator()
+  }
+
+  if (pressureRange) pressureRange.addEventListener('input', () => setPressure(10 ** Number(pressureRange.value)))
+  if (pressureResetBtn) pressureResetBtn.addEventListener('click', () => setPressure(P_ATM))
+  window.addEventListener('resize', renderPhaseDiagram)
+  renderPressureOut()
 
   // Temperature/phase UI
   function setTemperature(c) {
-    const cNum = Math.max(-273.15, Math.min(500, Number(c)))
+    renderTemperature(engine.setTemperature(c))
+  }
+
+  // Slider, labels, phase readouts and diagram marker for cNum (already set in the engine)
+  function renderTemperature(cNum) {
     tempRange.value = String(cNum)
-    tempCLabel.textContent = cNum.toFixed(1)
-    tempKLabel.textContent = cToK(cNum).toFixed(2)
-    const phase = getPhase(cNum)
-    phaseIndicator.textContent = phase.replace(/\s*\(.+\)/, '')
-    phaseIndicator.dataset.phase = phase
-    phaseOverlay.textContent = phase
-    phaseOverlay.hidden = false
+    tempCLabel.textContent = fmt(toT(cNum), 1)
+    // the second readout is in kelvin, or in °C when the display unit is kelvin
+    tempKLabel.textContent = fmt(tempUnit.id === 'K' ? cNum : cToK(cNum), 2)
+    renderPhase(getPhaseInfo(cNum))
     // Update slider + metrics color theme
     updateTempSliderAppearance(cNum)
+    renderPhaseDiagram()
+  }
 
-    // Rebuild lattice and (re)assign anchors when entering solid; clear when leaving
-    if (cNum <= SOLID_THRESHOLD || freezeBoost > 0) {
-      buildLattice()
-      assignedAnchors = assignAnchorsGreedy(molecules, lattice)
-    } else {
-      assignedAnchors = null
-    }
+  // dataset.phase keeps the engine's English label, which the replay loop compares against
+  function renderPhase(info) {
+    phaseIndicator.textContent = phaseText(info, false)
+    phaseIndicator.dataset.phase = phaseLabel(info)
+    phaseOverlay.textContent = phaseText(info)
+    phaseOverlay.hidden = false
   }
 
   tempRange.addEventListener('input', () => setTemperature(Number(tempRange.value)))
@@ -596,65 +816,182 @@
   }
 
   function onFreezeClicked() {
-    const currentC = Number(tempRange.value)
-    // If starting from gas, kick off a freeze sequence: stronger gravity and damping
-    if (currentC >= 100) {
-      freezeTimerMs = 2500
-      freezeBoost = 1
-      // Initial descent impulse and damping
-      for (const m of molecules) {
-        m.gvy += 200 + Math.random() * 120
-        m.vx *= 0.5
-        m.vy *= 0.35
-        m.spin *= 0.3
-      }
-      // Build or refresh lattice and assign anchors for a regular crystal
-      buildLattice()
-      assignedAnchors = assignAnchorsGreedy(molecules, lattice)
-    }
+    // If starting from gas, the engine kicks off a freeze sequence: stronger gravity and damping
+    engine.beginFreeze()
     // Always tween temperature down to below freezing
-    tweenTemperature(-10)
+    tweenTemperature(getMeltingPoint() - 10)
   }
+  // Targets follow the melting/boiling points at the current pressure, with any solute
   freezeBtn.addEventListener('click', onFreezeClicked)
-  meltBtn.addEventListener('click', () => tweenTemperature(20))
-  boilBtn.addEventListener('click', () => tweenTemperature(110))
-  condenseBtn.addEventListener('click', () => tweenTemperature(80))
+  meltBtn.addEventListener('click', () => tweenTemperature(getMeltingPoint() + 20))
+  boilBtn.addEventListener('click', () => tweenTemperature(getBoilingPoint() + 10))
+  condenseBtn.addEventListener('click', () => {
+    // Stay inside the liquid range; where there is none (CO₂ at 1 atm) this deposits solid
+    const range = getBoilingPoint() - getMeltingPoint()
+    tweenTemperature(getBoilingPoint() - Math.min(20, Math.max(10, range / 2)))
+  })
 
-  // Salt button: toggle dissolved salt state
+  // Salt button: toggle the dissolved solute (the engine spawns or clears the ions)
+  function syncSaltButton() {
+    const solute = tr.solute(engine.solute, 'phrase')
+    if (saltBtn) saltBtn.textContent = t(engine.saltOn ? 'salt.remove' : 'salt.add', { solute })
+    renderSolute()
+  }
+  // Phase text, thresholds and heat-chart plateaus after the solute or its amount changed
+  function soluteChanged() {
+    syncSaltButton()
+    renderPhaseTip()
+    // Recompute phase text for current temperature
+    setTemperature(Number(tempRange.value))
+    // Re-render latent heat chart to shift plateaus
+    renderHeatChart()
+    updateHeatUI()
+  }
   if (saltBtn) {
     saltBtn.addEventListener('click', () => {
-      saltOn = !saltOn
-      // Update button label to show state
-      saltBtn.textContent = saltOn ? 'Remove salt 🧂' : 'Add salt 🧂'
+      engine.setSalt(!engine.saltOn)
       // Slight sparkle so the user sees a change
-      sparkle(rand(20, W - 20), rand(20, H - 20))
-      // Spawn or clear ions
-      ions.length = 0
-      if (saltOn) {
-        const ionCount = Math.floor(NUM_MOLECULES * 0.35)
-        for (let i = 0; i < ionCount; i++) {
-          ions.push(createIon(i % 2 === 0 ? 'Na' : 'Cl'))
-        }
-      }
-      // Recompute phase text for current temperature
-      setTemperature(Number(tempRange.value))
-      // Re-render latent heat chart to shift plateaus
-      renderHeatChart()
+      sparkle(fxRand(20, W - 20), fxRand(20, H - 20))
+      soluteChanged()
       updateHeatUI()
     })
   }
 
+  // Solute picker and molality: what the salt button dissolves and how much of it. The
+  // readout gives the shifts in effect, ΔTf = i·Kf·m and ΔTb = i·Kb·m.
+  function renderSolute() {
+    const { substance, solute, molality } = engine
+    if (soluteSelect) soluteSelect.value = solute.id
+    if (molalityRange) molalityRange.value = String(molality)
+    if (molalityOut) molalityOut.textContent = t('molality.out', { m: fmt(molality, 1) })
+    if (soluteMetricsEl) soluteMetricsEl.hidden = !engine.saltOn
+    if (!colligativeOut) return
+    if (!substance.saltSoluble) {
+      colligativeOut.textContent = t('colligative.insoluble', { substance: tr.substance(substance) })
+    } else if (engine.saltOn) {
+      colligativeOut.textContent = t('colligative.shifts', { i: solute.vantHoff, freeze: formatDT(engine.freezingPointDepression), boil: formatDT(engine.boilingPointElevation) })
+    } else {
+      const k = v => fmt(v * tempUnit.scale, 2)
+      colligativeOut.textContent = t('colligative.none', { kf: k(substance.kf), kb: k(substance.kb), unit: tempUnit.symbol })
+    }
+  }
+  // Option labels are rebuilt when the language changes
+  function renderSoluteOptions() {
+    if (!soluteSelect) return
+    soluteSelect.textContent = ''
+    for (const [id, solute] of Object.entries(SOLUTES)) {
+      const opt = document.createElement('option')
+      opt.value = id
+      opt.textContent = t('solute.option', { name: tr.solute(solute), formula: solute.formula, i: solute.vantHoff })
+      soluteSelect.appendChild(opt)
+    }
+    soluteSelect.value = engine.solute.id
+  }
+  if (soluteSelect) {
+    renderSoluteOptions()
+    soluteSelect.addEventListener('change', () => {
+      engine.setSolute(soluteSelect.value)
+      soluteChanged()
+    })
+  }
+  if (molalityRange) {
+    molalityRange.max = String(MAX_MOLALITY)
+    molalityRange.addEventListener('input', () => {
+      engine.setMolality(Number(molalityRange.value))
+      soluteChanged()
+    })
+  }
+
+  // Substance picker: the engine swaps the registry entry; redraw the labels and re-plot
+  function renderSubstanceInfo() {
+    const { substance, mixPartner } = engine
+    if (imfTypeEl) {
+      imfTypeEl.textContent = mixPartner
+        ? t('imf.mix', { imf: tr.substance(substance, 'imf'), partner: tr.substance(mixPartner), miscibility: t(isMiscible(substance, mixPartner) ? 'imf.miscible' : 'imf.immiscible') })
+        : tr.substance(substance, 'imf')
+    }
+    if (appTitleEl) {
+      const names = mixPartner ? `${tr.substance(substance)} + ${tr.substance(mixPartner)}` : tr.substance(substance)
+      appTitleEl.textContent = t('app.title', { names })
+    }
+    if (atomKeyEl) {
+      // One key entry per element present in the molecule(s)
+      atomKeyEl.textContent = ''
+      const seen = new Set()
+      const atoms = mixPartner ? substance.atoms.concat(mixPartner.atoms) : substance.atoms
+      for (const at of atoms) {
+        if (seen.has(at.el)) continue
+        seen.add(at.el)
+        const item = document.createElement('span')
+        item.className = 'key-item'
+        const ball = document.createElement('span')
+        ball.className = 'ball'
+        ball.style.background = ELEMENTS[at.el].color
+        item.append(ball, ` ${t('legend.atom', { name: tr.element(at.el, ELEMENTS[at.el].name), symbol: at.el })}`)
+        atomKeyEl.appendChild(item)
+      }
+    }
+    renderPhaseTip()
+    // Salt only dissolves in the polar solvents
+    if (saltBtn) saltBtn.disabled = !substance.saltSoluble
+    renderSolute()
+    if (mixMetricsEl) mixMetricsEl.hidden = !mixPartner
+  }
+
+  function selectSubstance(id, partnerId) {
+    if (!engine.selectSubstance(id, partnerId)) return
+    syncSaltButton()
+    renderSubstanceInfo()
+    setTemperature(Number(tempRange.value))
+    renderSample()
+    renderHeatChart()
+    updateTrendIndicator()
+  }
+
+  // Both pickers list every substance; the mix picker starts with None
+  function renderSubstanceOptions() {
+    for (const select of [substanceSelect, mixSelect]) {
+      if (!select) continue
+      select.textContent = ''
+      const entries = Object.entries(SUBSTANCES).map(([id, sub]) => [id, t('substance.option', { name: tr.substance(sub), formula: sub.formula })])
+      if (select === mixSelect) entries.unshift(['', t('substance.none')])
+      for (const [id, label] of entries) {
+        const opt = document.createElement('option')
+        opt.value = id
+        opt.textContent = label
+        select.appendChild(opt)
+      }
+    }
+    if (substanceSelect) substanceSelect.value = engine.substance.id
+    if (mixSelect) mixSelect.value = engine.mixPartner ? engine.mixPartner.id : ''
+  }
+  renderSubstanceOptions()
+
+  if (substanceSelect) {
+    substanceSelect.addEventListener('change', () => {
+      selectSubstance(substanceSelect.value)
+      if (mixSelect) mixSelect.value = engine.mixPartner ? engine.mixPartner.id : ''
+    })
+  }
+  if (mixSelect) {
+    mixSelect.addEventListener('change', () => {
+      selectSubstance(engine.substance.id, mixSelect.value || null)
+      mixSelect.value = engine.mixPartner ? engine.mixPartner.id : ''
+    })
+  }
+  renderSubstanceInfo()
+
   // Optional little sparkle effect on big phase transitions
   function sparkle(x, y) {
     const s = document.createElement('div')
     s.className = 'sparkle'
-    s.style.left = `${x}px`
-    s.style.top = `${y}px`
+    s.style.left = `${x * viewScale}px`
+    s.style.top = `${y * viewScale}px`
     container.appendChild(s)
     setTimeout(() => container.removeChild(s), 600)
   }
   ;[freezeBtn, meltBtn, boilBtn, condenseBtn].forEach(btn =>
-    btn.addEventListener('click', () => sparkle(rand(20, W - 20), rand(20, H - 20)))
+    btn.addEventListener('click', () => sparkle(fxRand(20, W - 20), fxRand(20, H - 20)))
   )
 
   // Bonds toggle
@@ -665,157 +1002,682 @@
       bondsVisible = toggleBondsEl.checked
     })
   }
+  // Directional H-bond toggle; bond bookkeeping restarts since the definition changes
+  if (toggleHBondEl) {
+    engine.setHBondDirectional(toggleHBondEl.checked)
+    toggleHBondEl.addEventListener('change', () => engine.setHBondDirectional(toggleHBondEl.checked))
+  }
+
+  // Sealed-container evaporation mode; the vapour/liquid readout only shows while it is on
+  function setEvaporation(on) {
+    engine.setEvaporation(on)
+    if (vapourMetricsEl) vapourMetricsEl.hidden = !engine.evaporation || engine.physicsMode === 'md'
+  }
+  if (toggleEvaporationEl) {
+    setEvaporation(toggleEvaporationEl.checked)
+    toggleEvaporationEl.addEventListener('change', () => setEvaporation(toggleEvaporationEl.checked))
+  }
 
-  // Build hexagonal lattice anchors to match container size
-  function buildLattice() {
-    lattice = []
-    // Use larger spacing for solid to create more open hexagonal structure
-    const currentC = Number(tempRange.value)
-    const s = (currentC <= SOLID_THRESHOLD || freezeBoost > 0) ? LATTICE_SPACING_SOLID : LATTICE_SPACING_LIQUID
-    const rows = Math.floor(H / (s * Math.sqrt(3) / 2)) + 2
-    const cols = Math.floor(W / s) + 2
-    const dy = s * Math.sqrt(3) / 2
-    for (let r = 0; r < rows; r++) {
-      const y = 10 + r * dy
-      const offset = (r % 2) * (s / 2)
-      for (let c = 0; c < cols; c++) {
-        const x = 10 + offset + c * s
-        // Desired orientation: alternate rows so one H points horizontally toward neighbor
-        const theta = (r % 2 === 0) ? (HOH_ANGLE / 2) : (Math.PI - HOH_ANGLE / 2)
-        lattice.push({ x, y, row: r, col: c, theta })
+  // Nucleation mode: freezing starts from seeds and spreads as a crystal front, so the phase
+  // label and the heat chart's sample marker follow the frozen count, not just the slider
+  function setNucleation(on) {
+    engine.setNucleation(on)
+    renderPhysicsMode()
+    renderTemperature(engine.temperature)
+    renderHeatChart()
+  }
+  if (toggleNucleationEl) {
+    toggleNucleationEl.addEventListener('change', () => setNucleation(toggleNucleationEl.checked))
+  }
+
+  // Attraction line backend
+  if (imfRendererEl) {
+    imfRendererEl.addEventListener('change', () => setImfRenderer(imfRendererEl.value))
+  }
+  setImfRenderer(imfRenderer)
+
+  // Molecule count: start a fresh box at the new size (the view scales down past REF_MOLECULES)
+  function setMoleculeCount(n) {
+    const count = engine.setMoleculeCount(n)
+    if (moleculeCountOut) moleculeCountOut.textContent = fmt(count)
+    resize()
+    engine.reset()
+    recorder.clear()
+    goLive()
+    setTemperature(Number(tempRange.value))
+  }
+  if (moleculeCountEl) {
+    moleculeCountEl.max = String(MAX_MOLECULES)
+    moleculeCountEl.addEventListener('input', () => {
+      if (moleculeCountOut) moleculeCountOut.textContent = fmt(Number(moleculeCountEl.value))
+    })
+    moleculeCountEl.addEventListener('change', () => setMoleculeCount(Number(moleculeCountEl.value)))
+  }
+
+  // Seed: restart the box from a seed so a demo can be replayed exactly
+  function restartWithSeed(n) {
+    engine.reset(n)
+    if (seedInput) seedInput.value = String(engine.seed)
+    recorder.clear()
+    goLive()
+    setTemperature(Number(tempRange.value))
+  }
+  if (seedInput) seedInput.value = String(engine.seed)
+  if (restartBtn) restartBtn.addEventListener('click', () => restartWithSeed(seedInput ? seedInput.value : engine.seed))
+
+  // --- Maxwell–Boltzmann histograms ---
+  // Speeds are binned in units of σ = √(RT/M) of the first substance and energies in units
+  // of RT, so the smoothed bars keep their meaning while the temperature changes; the axes
+  // are labelled in m/s and kJ/mol
+  const speedHist = document.getElementById('speedHist')
+  const energyHist = document.getElementById('energyHist')
+  const toggleMaxwellEl = document.getElementById('toggleMaxwell')
+  const speedHistCtx = speedHist ? speedHist.getContext('2d') : null
+  const energyHistCtx = energyHist ? energyHist.getContext('2d') : null
+  const MB_BINS = 24
+  const MB_U_MAX = 4 // speed axis: 0..4σ
+  const MB_X_MAX = 6 // energy axis: 0..6 RT
+  const MB_SMOOTH = 0.1 // per-frame weight of the newest histogram
+  const speedCounts = new Float64Array(MB_BINS)
+  const energyCounts = new Float64Array(MB_BINS)
+  const frameSpeed = new Float64Array(MB_BINS)
+  const frameEnergy = new Float64Array(MB_BINS)
+
+  if (toggleMaxwellEl) {
+    engine.setMaxwellResampling(toggleMaxwellEl.checked)
+    toggleMaxwellEl.addEventListener('change', () => engine.setMaxwellResampling(toggleMaxwellEl.checked))
+  }
+
+  // --- Physics mode ---
+  // Cartoon model or Lennard-Jones molecular dynamics. Evaporation mode and speed
+  // resampling belong to the cartoon model, so their toggles are disabled in MD, where the
+  // thermostat picker and the energy readout appear instead.
+  function setPhysicsMode(mode) {
+    engine.setPhysicsMode(mode)
+    renderPhysicsMode()
+  }
+  function renderPhysicsMode() {
+    const md = engine.physicsMode === 'md'
+    if (physicsModeEl) physicsModeEl.value = engine.physicsMode
+    if (thermostatControlEl) thermostatControlEl.hidden = !md
+    if (mdMetricsEl) mdMetricsEl.hidden = !md
+    if (toggleEvaporationEl) toggleEvaporationEl.disabled = md
+    if (toggleMaxwellEl) toggleMaxwellEl.disabled = md
+    if (toggleNucleationEl) toggleNucleationEl.disabled = md
+    if (vapourMetricsEl) vapourMetricsEl.hidden = !engine.evaporation || md
+    if (freezeMetricsEl) freezeMetricsEl.hidden = !engine.nucleation || md
+  }
+  if (thermostatEl) {
+    engine.setThermostat(thermostatEl.value)
+    thermostatEl.addEventListener('change', () => { thermostatEl.value = engine.setThermostat(thermostatEl.value) })
+  }
+  if (physicsModeEl) {
+    setPhysicsMode(physicsModeEl.value)
+    physicsModeEl.addEventListener('change', () => setPhysicsMode(physicsModeEl.value))
+  }
+
+  // counts: smoothed bin densities over 0..xMax (normalised units); pdf: theory in the same
+  // units; unit: real-unit size of one normalised unit for the axis labels
+  function drawHistogram(ctx, el, counts, xMax, pdf, unit, label, note) {
+    const ratio = window.devicePixelRatio || 1
+    const rect = el.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    if (el.width !== w * ratio || el.height !== h * ratio) {
+      el.width = w * ratio
+      el.height = h * ratio
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+    const padL = 8, padR = 8, padT = 30, padB = 22
+    const binW = xMax / MB_BINS
+    let yMax = 0
+    for (let i = 0; i < MB_BINS; i++) yMax = Math.max(yMax, counts[i], pdf((i + 0.5) * binW))
+    yMax = yMax * 1.1 || 1
+    const xOf = x => padL + (x / xMax) * (w - padL - padR)
+    const yOf = y => h - padB - (y / yMax) * (h - padT - padB)
+
+    ctx.fillStyle = 'rgba(90,166,255,0.55)'
+    for (let i = 0; i < MB_BINS; i++) {
+      const x0 = xOf(i * binW), x1 = xOf((i + 1) * binW)
+      ctx.fillRect(x0 + 0.5, yOf(counts[i]), Math.max(0, x1 - x0 - 1), yOf(0) - yOf(counts[i]))
+    }
+    ctx.strokeStyle = 'rgba(255,209,102,0.95)'
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    for (let i = 0; i <= 80; i++) {
+      const x = (xMax * i) / 80
+      if (i === 0) ctx.moveTo(xOf(x), yOf(pdf(x)))
+      else ctx.lineTo(xOf(x), yOf(pdf(x)))
+    }
+    ctx.stroke()
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.2)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(padL, yOf(0))
+    ctx.lineTo(w - padR, yOf(0))
+    ctx.stroke()
+    ctx.font = '11px system-ui'
+    ctx.fillStyle = 'rgba(255,255,255,0.6)'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    const realMax = xMax * unit
+    if (realMax > 0) {
+      const step = niceStep(realMax, 4)
+      for (let v = 0; v <= realMax; v += step) ctx.fillText(fmtPrecision(v, 3), xOf(v / unit), yOf(0) + 4)
+    }
+    ctx.textAlign = 'left'
+    ctx.fillStyle = 'rgba(255,255,255,0.85)'
+    ctx.fillText(label, padL, 4)
+    ctx.fillStyle = 'rgba(255,255,255,0.6)'
+    ctx.fillText(note, padL, 17)
+  }
+
+  function renderSpeedHistograms() {
+    if (!speedHistCtx && !energyHistCtx) return
+    const Tk = cToK(engine.temperature)
+    const M1 = engine.substance.molarMass
+    const sigma = Math.sqrt(R_GAS * Tk / (M1 / 1000)) // m/s
+    const RT = (R_GAS * Tk) / 1000 // kJ/mol
+    frameSpeed.fill(0)
+    frameEnergy.fill(0)
+    let sumV = 0, sumE = 0, n = 0, sameSpecies = 0
+    if (Tk > 0) {
+      for (const m of molecules) {
+        const v = engine.thermalSpeed(m), e = engine.kineticEnergy(m)
+        const u = v / sigma, x = e / RT
+        if (u < MB_U_MAX) frameSpeed[Math.floor((u / MB_U_MAX) * MB_BINS)]++
+        if (x < MB_X_MAX) frameEnergy[Math.floor((x / MB_X_MAX) * MB_BINS)]++
+        sumV += v; sumE += e; n++
+        if (m.species === engine.substance) sameSpecies++
       }
     }
+    // Bin counts → probability density in normalised units, then exponential smoothing
+    const norm = n ? 1 / n : 0
+    for (let i = 0; i < MB_BINS; i++) {
+      speedCounts[i] += (frameSpeed[i] * norm * MB_BINS / MB_U_MAX - speedCounts[i]) * MB_SMOOTH
+      energyCounts[i] += (frameEnergy[i] * norm * MB_BINS / MB_X_MAX - energyCounts[i]) * MB_SMOOTH
+    }
+    // Theory in units of σ: Rayleigh per species (a mixture partner of mass M has σ·√(M1/M))
+    const partner = engine.mixPartner
+    const fracSame = n ? sameSpecies / n : 1
+    const r2 = partner ? M1 / partner.molarMass : 1
+    const speedPdf = u => fracSame * u * Math.exp(-u * u / 2) + (1 - fracSame) * (u / r2) * Math.exp(-u * u / (2 * r2))
+    const energyPdf = x => Math.exp(-x)
+    const meanV = n ? sumV / n : 0
+    const meanE = n ? sumE / n : 0
+    if (speedHistCtx) {
+      const note = Tk > 0
+        ? t('mb.speedNote', { mean: fmt(meanV), mb: fmt(sigma * Math.sqrt(Math.PI / 2)) })
+        : t('mb.still', { temperature: formatT(T0, 0) })
+      drawHistogram(speedHistCtx, speedHist, speedCounts, MB_U_MAX, speedPdf, sigma, t('mb.speed', { formula: engine.substance.formula }), note)
+    }
+    if (energyHistCtx) {
+      const note = Tk > 0
+        ? t('mb.energyNote', { mean: formatE(meanE), unit: energyUnit.symbol, mb: formatE(RT) })
+        : t('mb.still', { temperature: formatT(T0, 0) })
+      drawHistogram(energyHistCtx, energyHist, energyCounts, MB_X_MAX, energyPdf, toE(RT), t('mb.energy', { unit: energyUnit.symbol }), note)
+    }
+  }
+
+  // --- Bond analytics panel ---
+  // Three views of the bond bookkeeping: a histogram of recent bond lifetimes, a time series
+  // of active bonds and the mean lifetime per temperature bin, collected while the slider
+  // moves. The series restart when the substance, physics mode or bond definition changes,
+  // or the box restarts. Each view downloads as CSV or JSON.
+  const analyticsPanel = document.getElementById('analyticsPanel')
+  const analyticsChart = document.getElementById('analyticsChart')
+  const analyticsHint = document.getElementById('analyticsHint')
+  const analyticsCtx = analyticsChart ? analyticsChart.getContext('2d') : null
+  const analyticsViewBtns = document.querySelectorAll('#analyticsPanel [data-view]')
+  const ANALYTICS_BINS = 20
+  const ANALYTICS_WINDOW = 60 // s of sim time kept in the active-bond series
+  const ANALYTICS_T_BIN = 5 // °C per lifetime-vs-temperature bin
+  const ANALYTICS_HINTS = {
+    lifetimes: () => t('analytics.hintLifetimes'),
+    series: () => t('analytics.hintSeries'),
+    vsTemp: () => t('analytics.hintVsTemp', { bin: formatDT(ANALYTICS_T_BIN) })
+  }
+  let analyticsView = 'lifetimes'
+  let analyticsKey = ''
+  let analyticsLastT = 0
+  let analyticsBroken = 0
+  const bondSeries = [] // { t, bonds, avg, tempC }
+  const lifetimeByTemp = new Map() // bin index → { sum, count }
+
+  function clearAnalytics() {
+    bondSeries.length = 0
+    lifetimeByTemp.clear()
+    analyticsBroken = engine.metrics.bondsBroken
+  }
+
+  // Called once per frame after the engine steps
+  function sampleAnalytics() {
+    const { metrics } = engine
+    const key = [engine.substance.id, engine.mixPartner ? engine.mixPartner.id : '', engine.physicsMode, engine.hbondDirectional].join('|')
+    if (key !== analyticsKey || engine.simTime < analyticsLastT) {
+      analyticsKey = key
+      clearAnalytics()
+    }
+    if (engine.simTime === analyticsLastT) return
+    analyticsLastT = engine.simTime
+    bondSeries.push({ t: engine.simTime, bonds: engine.bonds.size, avg: metrics.activeBonds, tempC: engine.temperature })
+    while (bondSeries.length && bondSeries[0].t < engine.simTime - ANALYTICS_WINDOW) bondSeries.shift()
+    // Bonds that broke since the last frame are the newest entries of bondDurations
+    if (metrics.bondsBroken < analyticsBroken) analyticsBroken = 0 // tracking restarted
+    const durations = engine.bondDurations
+    const fresh = Math.min(metrics.bondsBroken - analyticsBroken, durations.length)
+    analyticsBroken = metrics.bondsBroken
+    if (fresh > 0) {
+      const bin = Math.round(engine.temperature / ANALYTICS_T_BIN)
+      let acc = lifetimeByTemp.get(bin)
+      if (!acc) lifetimeByTemp.set(bin, acc = { sum: 0, count: 0 })
+      for (let i = durations.length - fresh; i < durations.length; i++) { acc.sum += durations[i]; acc.count++ }
+    }
+  }
+
+  // Rows behind each view; the charts and both export formats read the same data
+  function analyticsData(view) {
+    if (view === 'lifetimes') {
+      const samples = engine.bondDurations.slice()
+      const sorted = samples.slice().sort((a, b) => a - b)
+      // axis up to the 98th percentile so one long-lived bond doesn't squash the rest
+      const top = sorted.length ? sorted[Math.floor(0.98 * (sorted.length - 1))] : 0
+      const step = top > 0 ? niceStep(top, 4) : 1
+      const xMax = Math.max(step, Math.ceil(top / step) * step)
+      const width = xMax / ANALYTICS_BINS
+      const counts = new Array(ANALYTICS_BINS).fill(0)
+      for (const d of samples) counts[Math.min(ANALYTICS_BINS - 1, Math.floor(d / width))]++ // last bin holds the overflow
+      const rows = counts.map((count, i) => ({ bin_start_s: i * width, bin_end_s: (i + 1) * width, count }))
+      return { name: 'bond-lifetimes', columns: ['bin_start_s', 'bin_end_s', 'count'], rows, samples, xMax }
+    }
+    if (view === 'series') {
+      const rows = bondSeries.map(p => ({ time_s: p.t, active_bonds: p.bonds, active_bonds_3s_avg: p.avg, [tCol()]: toT(p.tempC) }))
+      return { name: 'active-bonds', columns: ['time_s', 'active_bonds', 'active_bonds_3s_avg', tCol()], rows }
+    }
+    const rows = [...lifetimeByTemp.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([bin, acc]) => ({ [tCol()]: toT(bin * ANALYTICS_T_BIN), mean_lifetime_s: acc.sum / acc.count, bonds: acc.count }))
+    return { name: 'lifetime-vs-temperature', columns: [tCol(), 'mean_lifetime_s', 'bonds'], rows }
+  }
+
+  function downloadText(filename, type, text) {
+    downloadBlob(filename, new Blob([text], { type }))
   }
 
-  // Smallest signed angle difference a->b in [-pi, pi]
-  function angleDelta(a, b) {
-    let d = (b - a + Math.PI) % (Math.PI * 2)
-    if (d < 0) d += Math.PI * 2
-    return d - Math.PI
+  function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
   }
 
-  // Helper: nearest anchor for fallback
-  function nearestAnchor(m) {
-    let best = null, bestD2 = Infinity
-    for (const p of lattice) {
-      const dx = p.x - m.x, dy = p.y - m.y
-      const d2 = dx * dx + dy * dy
-      if (d2 < bestD2) { bestD2 = d2; best = p }
+  function exportAnalytics(format) {
+    const data = analyticsData(analyticsView)
+    const filename = `${data.name}-${engine.substance.id}.${format}`
+    const round = v => Number(v.toFixed(4))
+    if (format === 'csv') {
+      const lines = [data.columns.join(',')]
+      for (const row of data.rows) lines.push(data.columns.map(c => round(row[c])).join(','))
+      downloadText(filename, 'text/csv', lines.join('\n') + '\n')
+      return
+    }
+    const out = {
+      series: data.name,
+      substance: engine.substance.id,
+      mixPartner: engine.mixPartner ? engine.mixPartner.id : null,
+      physicsMode: engine.physicsMode,
+      pressure_kPa: engine.pressure,
+      seed: engine.seed,
+      rows: data.rows.map(row => Object.fromEntries(data.columns.map(c => [c, round(row[c])])))
     }
-    return best
+    if (data.samples) out.samples_s = data.samples.map(round)
+    downloadText(filename, 'application/json', JSON.stringify(out, null, 2))
   }
 
-  // Assign unique anchors to molecules using a greedy nearest strategy
-  function assignAnchorsGreedy(ms, anchors) {
-    const assigned = new Array(ms.length)
-    const taken = new Array(anchors.length).fill(false)
-    for (let i = 0; i < ms.length; i++) {
-      let bestIdx = -1, bestD2 = Infinity
-      for (let j = 0; j < anchors.length; j++) {
-        if (taken[j]) continue
-        const dx = anchors[j].x - ms[i].x, dy = anchors[j].y - ms[i].y
-        const d2 = dx * dx + dy * dy
-        if (d2 < bestD2) { bestD2 = d2; bestIdx = j }
+  function setAnalyticsView(view) {
+    analyticsView = view
+    analyticsViewBtns.forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.view === view)))
+    if (analyticsHint) analyticsHint.textContent = ANALYTICS_HINTS[view]()
+    renderAnalytics()
+  }
+  analyticsViewBtns.forEach(btn => btn.addEventListener('click', () => setAnalyticsView(btn.dataset.view)))
+  const analyticsCsvBtn = document.getElementById('analyticsCsv')
+  const analyticsJsonBtn = document.getElementById('analyticsJson')
+  const analyticsClearBtn = document.getElementById('analyticsClear')
+  if (analyticsCsvBtn) analyticsCsvBtn.addEventListener('click', () => exportAnalytics('csv'))
+  if (analyticsJsonBtn) analyticsJsonBtn.addEventListener('click', () => exportAnalytics('json'))
+  if (analyticsClearBtn) analyticsClearBtn.addEventListener('click', () => { clearAnalytics(); renderAnalytics() })
+  if (analyticsPanel) analyticsPanel.addEventListener('toggle', () => renderAnalytics())
+
+  // Axes with nice ticks for the analytics, sweep and heating charts; returns the value → px
+  // mappers (padR leaves room for a second axis on the right; y0 is the bottom of the y axis)
+  function drawAnalyticsAxes(ctx, w, h, x0, x1, yMax, xLabel, yLabel, padR = 12, y0 = 0) {
+    const padL = 46, padT = 24, padB = 30
+    const xOf = x => padL + ((x - x0) / (x1 - x0 || 1)) * (w - padL - padR)
+    const yOf = y => h - padB - ((y - y0) / (yMax - y0)) * (h - padT - padB)
+    ctx.strokeStyle = 'rgba(255,255,255,0.2)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(padL, padT)
+    ctx.lineTo(padL, h - padB)
+    ctx.lineTo(w - padR, h - padB)
+    ctx.stroke()
+    ctx.font = '11px system-ui'
+    ctx.fillStyle = 'rgba(255,255,255,0.6)'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    const xStep = niceStep(x1 - x0 || 1, 5)
+    for (let v = Math.ceil(x0 / xStep) * xStep; v <= x1 + 1e-9; v += xStep) ctx.fillText(fmtPrecision(v, 3), xOf(v), h - padB + 4)
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'middle'
+    const yStep = niceStep(yMax - y0, 4)
+    for (let v = Math.ceil(y0 / yStep) * yStep; v <= yMax + 1e-9; v += yStep) ctx.fillText(fmtPrecision(v, 3), padL - 6, yOf(v))
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    ctx.fillText(xLabel, (padL + w - padR) / 2, h - 1)
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    ctx.fillStyle = 'rgba(255,255,255,0.85)'
+    ctx.fillText(yLabel, 6, 4)
+    return { xOf, yOf }
+  }
+
+  function renderAnalytics() {
+    if (!analyticsCtx || !analyticsPanel || !analyticsPanel.open) return
+    const ctx = analyticsCtx
+    const ratio = window.devicePixelRatio || 1
+    const rect = analyticsChart.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    if (analyticsChart.width !== w * ratio || analyticsChart.height !== h * ratio) {
+      analyticsChart.width = w * ratio
+      analyticsChart.height = h * ratio
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+    const data = analyticsData(analyticsView)
+    if (!data.rows.length || (analyticsView === 'lifetimes' && !data.samples.length)) {
+      ctx.font = '12px system-ui'
+      ctx.fillStyle = 'rgba(255,255,255,0.6)'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(t('analytics.empty'), w / 2, h / 2)
+      return
+    }
+    if (analyticsView === 'lifetimes') {
+      const yMax = Math.max(...data.rows.map(r => r.count)) * 1.1
+      const { xOf, yOf } = drawAnalyticsAxes(ctx, w, h, 0, data.xMax, yMax, t('analytics.lifetime'), t('analytics.lifetimeCount', { n: fmt(data.samples.length), mean: fmt(engine.metrics.avgBondDuration, 2) }))
+      ctx.fillStyle = 'rgba(90,166,255,0.55)'
+      for (const r of data.rows) {
+        const x0 = xOf(r.bin_start_s), x1 = xOf(r.bin_end_s)
+        ctx.fillRect(x0 + 0.5, yOf(r.count), Math.max(0, x1 - x0 - 1), yOf(0) - yOf(r.count))
       }
-      if (bestIdx >= 0) {
-        assigned[i] = { x: anchors[bestIdx].x, y: anchors[bestIdx].y }
-        taken[bestIdx] = true
-      } else {
-        assigned[i] = nearestAnchor(ms[i])
+    } else if (analyticsView === 'series') {
+      const t1 = data.rows[data.rows.length - 1].time_s
+      const t0 = Math.min(data.rows[0].time_s, t1 - 1)
+      const yMax = Math.max(1, ...data.rows.map(r => r.active_bonds)) * 1.1
+      const { xOf, yOf } = drawAnalyticsAxes(ctx, w, h, t0, t1, yMax, t('analytics.simTime'), t('analytics.activeBonds'))
+      const line = (key, style, width) => {
+        ctx.strokeStyle = style
+        ctx.lineWidth = width
+        ctx.beginPath()
+        data.rows.forEach((r, i) => { if (i === 0) ctx.moveTo(xOf(r.time_s), yOf(r[key])); else ctx.lineTo(xOf(r.time_s), yOf(r[key])) })
+        ctx.stroke()
+      }
+      line('active_bonds', 'rgba(90,166,255,0.35)', 1)
+      line('active_bonds_3s_avg', 'rgba(29,185,84,0.95)', 2)
+    } else {
+      const key = tCol()
+      const temps = data.rows.map(r => r[key])
+      const binW = ANALYTICS_T_BIN * tempUnit.scale
+      const x0 = Math.min(...temps) - binW, x1 = Math.max(...temps) + binW
+      const yMax = Math.max(...data.rows.map(r => r.mean_lifetime_s)) * 1.15 || 1
+      const maxCount = Math.max(...data.rows.map(r => r.bonds))
+      const { xOf, yOf } = drawAnalyticsAxes(ctx, w, h, x0, x1, yMax, t('axis.temperature', { unit: tempUnit.symbol }), t('analytics.meanLifetime'))
+      ctx.strokeStyle = 'rgba(255,209,102,0.6)'
+      ctx.lineWidth = 1.5
+      ctx.beginPath()
+      data.rows.forEach((r, i) => { if (i === 0) ctx.moveTo(xOf(r[key]), yOf(r.mean_lifetime_s)); else ctx.lineTo(xOf(r[key]), yOf(r.mean_lifetime_s)) })
+      ctx.stroke()
+      ctx.fillStyle = 'rgba(255,209,102,0.95)'
+      for (const r of data.rows) {
+        ctx.beginPath()
+        ctx.arc(xOf(r[key]), yOf(r.mean_lifetime_s), 2 + 4 * Math.sqrt(r.bonds / maxCount), 0, Math.PI * 2)
+        ctx.fill()
       }
     }
-    return assigned
-  }
-
-  // Kinetic energy mini chart
-  // (KE mini chart removed)
-
-  // --- Heat vs Temperature model and charting ---
-  // We'll model 1 mole of water for simplicity. Units: kJ per mole (kJ/mol) for heat.
-  // Specific heats (approx):
-  // Ice (solid): Cs = 2.09 J/gK -> 36.7 kJ/kmolK -> for 1 mol (18 g): 2.09 * 18 / 1000 = 0.03762 kJ/K
-  // Liquid: Cl = 4.18 J/gK -> 75.24 kJ/kmolK -> per mol: 4.18 * 18 / 1000 = 0.07524 kJ/K
-  // Gas: Cg ~ 1.9 J/gK -> per mol: 1.9 * 18 / 1000 = 0.0342 kJ/K
-  const MOLAR_MASS = 18.01528 // g/mol
-  const Cs = 2.09 * MOLAR_MASS / 1000 // kJ / (mol K)
-  const Cl = 4.18 * MOLAR_MASS / 1000
-  const Cg = 1.9 * MOLAR_MASS / 1000
-  const Lf = 6.01 * 18.01528 / 1000 // enthalpy of fusion ~6.01 kJ/mol? Actually 6.01 kJ/mol directly; keep per mol
-  // Note: The values above are approximate and intended for pedagogical simulation
-  // Use typical latent heats (kJ/mol): fusion ~6.01, vaporization ~40.65
-  const LATENT_FUSION = 6.01 // kJ/mol
-  const LATENT_VAP = 40.65 // kJ/mol
-
-  // Base temperature breakpoints (deg C) without salt
-  const T_melt_base = 0
-  const T_boil_base = 100
-
-  function getMeltingPoint() {
-    // With salt, lower freezing point noticeably to illustrate freezing point depression
-    // (cartooned value: -10 °C instead of 0 °C).
-    return saltOn ? -10 : T_melt_base
-  }
-
-  function getBoilingPoint() {
-    // With salt, raise boiling point slightly; keep the shift small so the plateau
-    // remains near ~100 °C but clearly moves when salt is toggled.
-    return saltOn ? 103 : T_boil_base
-  }
-
-  // Compute Q(T): heat added (kJ per mol) to take 1 mol from a reference base (e.g., -50 C) up to T
-  // We'll choose reference T0 = -50 C where Q=0 for plotting convenience
-  const T0 = -273.15
-  function Q_of_T(T) {
-    // integrate piecewise from T0 to T
-    let Q = 0
-    function heatAcross(a, b, C) { return C * (b - a) }
-    // helper to accumulate from low to high
-    const low = Math.min(T0, T)
-    const high = Math.max(T0, T)
-    const T_melt = getMeltingPoint()
-    const T_boil = getBoilingPoint()
+  }
+  setAnalyticsView(analyticsView)
+
+  // --- Temperature sweep ---
+  // Steps the slider through a list or range of temperatures with the engine's sweep runner:
+  // equilibrate, then sample bonds, mean lifetime and phase at each point. Results fill a
+  // table and a chart as they come in and download as CSV or JSON. "Fast" runs a batch of
+  // steps per frame instead of following the clock; the run itself is the same.
+  const sweepTempsEl = document.getElementById('sweepTemps')
+  const sweepEquilEl = document.getElementById('sweepEquil')
+  const sweepSampleEl = document.getElementById('sweepSample')
+  const sweepFastEl = document.getElementById('sweepFast')
+  const sweepRunBtn = document.getElementById('sweepRun')
+  const sweepStatusEl = document.getElementById('sweepStatus')
+  const sweepChart = document.getElementById('sweepChart')
+  const sweepCtx = sweepChart ? sweepChart.getContext('2d') : null
+  const sweepTableBody = document.querySelector('#sweepTable tbody')
+  const SWEEP_FAST_STEPS = 10 // engine steps per frame in fast mode
+  const SWEEP_MAX_POINTS = 200
+  let sweep = null
+
+  // A list or range typed in the display unit (parseNumberList in units.js), reading commas
+  // inside numbers as decimal commas when the language writes numbers that way
+  function parseTemperatures(text) {
+    return parseNumberList(text, { decimalComma: tr.number(1.5, 1).includes(','), maxPoints: SWEEP_MAX_POINTS })
+  }
+
+  // The same list or range typed in another temperature unit (left as it is if unreadable)
+  function convertTemperatureList(text, from, to) {
+    const { values, range, bad } = parseTemperatures(text)
+    if (bad) return text
+    const round = v => String(Number(v.toFixed(2)))
+    const convert = v => round(to.fromC(from.toC(v)))
+    if (range) return `${convert(range.from)}:${convert(range.to)}:${round(range.step * to.scale / from.scale)}`
+    return values.map(convert).join('; ')
+  }
 
-    // We'll step through intervals: [T0..T_melt] solid, [T_melt..T_boil] liquid (with plateau for fusion), [T_boil..T] gas
-    if (T >= T0 && T <= T_melt) {
-      // entirely in solid
-      return Cs * (T - T0)
+  function startSweep() {
+    const { values: temperatures, bad } = parseTemperatures(sweepTempsEl ? sweepTempsEl.value : '')
+    if (bad || !temperatures.length) {
+      if (sweepStatusEl) sweepStatusEl.textContent = bad ? t('sweep.unreadable', { item: bad }) : t('sweep.enter')
+      return
     }
-    if (T > T_melt && T <= T_boil) {
-      // heat solid from T0 to melt, add latent fusion, then liquid to T
-      Q = Cs * (T_melt - T0) + LATENT_FUSION + Cl * (T - T_melt)
-      return Q
+    sweep = IMFEngine.createSweep(engine, {
+      temperatures: temperatures.map(v => tempUnit.toC(v)),
+      equilibrate: sweepEquilEl ? Number(sweepEquilEl.value) : 5,
+      sample: sweepSampleEl ? Number(sweepSampleEl.value) : 10,
+      setTemperature
+    })
+    sweep.start()
+    renderSweep()
+  }
+
+  function stopSweep() {
+    if (sweep) sweep.stop()
+    renderSweep()
+  }
+
+  // One fixed step, with the sweep (if any) advanced alongside
+  function stepEngine() {
+    engine.step(FIXED_DT)
+    recorder.capture()
+    if (sweep && sweep.running) {
+      const before = sweep.results.length
+      sweep.tick(FIXED_DT)
+      if (sweep.results.length !== before || !sweep.running) renderSweep()
     }
-    if (T > T_boil) {
-      Q = Cs * (T_melt - T0) + LATENT_FUSION + Cl * (T_boil - T_melt) + LATENT_VAP + Cg * (T - T_boil)
-      return Q
+  }
+
+  function sweepRows() {
+    if (!sweep) return []
+    return sweep.results.map(r => ({
+      [tCol()]: toT(r.temperature),
+      phase: r.phase,
+      active_bonds: r.activeBonds,
+      mean_lifetime_s: r.meanLifetime,
+      bonds_broken: r.bondsBroken
+    }))
+  }
+
+  function exportSweep(format) {
+    const rows = sweepRows()
+    const filename = `temperature-sweep-${engine.substance.id}.${format}`
+    const round = v => typeof v === 'number' ? Number(v.toFixed(4)) : v
+    const columns = [tCol(), 'phase', 'active_bonds', 'mean_lifetime_s', 'bonds_broken']
+    if (format === 'csv') {
+      const cell = v => v == null ? '' : typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : String(round(v))
+      const lines = [columns.join(',')]
+      for (const row of rows) lines.push(columns.map(c => cell(row[c])).join(','))
+      downloadText(filename, 'text/csv', lines.join('\n') + '\n')
+      return
     }
-    // If T < T0 (rare), allow negative Q
-    if (T < T0) {
-      return Cs * (T - T0)
+    downloadText(filename, 'application/json', JSON.stringify({
+      series: 'temperature-sweep',
+      substance: engine.substance.id,
+      mixPartner: engine.mixPartner ? engine.mixPartner.id : null,
+      physicsMode: engine.physicsMode,
+      pressure_kPa: engine.pressure,
+      seed: engine.seed,
+      equilibrate_s: sweepEquilEl ? Number(sweepEquilEl.value) : 5,
+      sample_s: sweepSampleEl ? Number(sweepSampleEl.value) : 10,
+      rows: rows.map(row => Object.fromEntries(columns.map(c => [c, round(row[c])])))
+    }, null, 2))
+  }
+
+  function renderSweepStatus() {
+    const running = !!sweep && sweep.running
+    if (sweepRunBtn) sweepRunBtn.textContent = t(running ? 'sweep.stop' : 'sweep.run')
+    ;[sweepTempsEl, sweepEquilEl, sweepSampleEl].forEach(el => { if (el) el.disabled = running })
+    if (!sweepStatusEl) return
+    const n = sweep ? fmt(sweep.temperatures.length) : ''
+    if (!sweep) sweepStatusEl.textContent = t('sweep.idle')
+    else if (running) {
+      const stage = t(sweep.stage === 'equilibrate' ? 'sweep.equilibrating' : 'sweep.sampling')
+      const temperature = formatT(sweep.temperatures[sweep.index])
+      sweepStatusEl.textContent = t('sweep.progress', { i: fmt(sweep.index + 1), n, stage, temperature, pct: fmt(sweep.progress * 100) })
+    } else if (sweep.stage === 'done') sweepStatusEl.textContent = t('sweep.done', { n: fmt(sweep.results.length) })
+    else sweepStatusEl.textContent = t('sweep.stopped', { done: fmt(sweep.results.length), n })
+  }
+
+  function renderSweepTable(rows) {
+    if (!sweepTableBody) return
+    sweepTableBody.textContent = ''
+    for (const [i, r] of rows.entries()) {
+      const row = document.createElement('tr')
+      const cells = [
+        fmt(r[tCol()], 1),
+        phaseText(sweep.results[i].phaseInfo),
+        fmt(r.active_bonds, 1),
+        r.mean_lifetime_s == null ? '–' : fmt(r.mean_lifetime_s, 3),
+        fmt(r.bonds_broken)
+      ]
+      for (const text of cells) {
+        const td = document.createElement('td')
+        td.textContent = text
+        row.appendChild(td)
+      }
+      sweepTableBody.appendChild(row)
     }
-    return Q
   }
 
-  // Approximate inverse T(Q) by numeric search (bisection) over reasonable T range
-  function T_of_Q(Qtarget) {
-    // search between -200 and 600 C
-    let lo = -200, hi = 600
-    let flo = Q_of_T(lo), fhi = Q_of_T(hi)
-    if (Qtarget <= flo) return lo
-    if (Qtarget >= fhi) return hi
-    for (let it = 0; it < 60; it++) {
-      const mid = (lo + hi) / 2
-      const fm = Q_of_T(mid)
-      if (Math.abs(fm - Qtarget) < 1e-4) return mid
-      if (fm < Qtarget) lo = mid; else hi = mid
+  // Mean lifetime (gold, left axis) and mean active bonds (blue, right axis) against temperature
+  function renderSweepChart(rows) {
+    if (!sweepCtx) return
+    const ctx = sweepCtx
+    const ratio = window.devicePixelRatio || 1
+    const rect = sweepChart.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    if (sweepChart.width !== w * ratio || sweepChart.height !== h * ratio) {
+      sweepChart.width = w * ratio
+      sweepChart.height = h * ratio
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+    if (!rows.length) {
+      ctx.font = '12px system-ui'
+      ctx.fillStyle = 'rgba(255,255,255,0.6)'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(t('sweep.empty'), w / 2, h / 2)
+      return
+    }
+    const key = tCol()
+    const temps = rows.map(r => r[key])
+    const pad = Math.max(1, (Math.max(...temps) - Math.min(...temps)) * 0.05)
+    const x0 = Math.min(...temps) - pad, x1 = Math.max(...temps) + pad
+    const lifeMax = Math.max(0, ...rows.map(r => r.mean_lifetime_s || 0)) * 1.15 || 1
+    const bondMax = Math.max(1, ...rows.map(r => r.active_bonds)) * 1.15
+    const { xOf, yOf } = drawAnalyticsAxes(ctx, w, h, x0, x1, lifeMax, t('axis.temperature', { unit: tempUnit.symbol }), t('analytics.meanLifetime'), 46)
+    const yBond = v => yOf((v / bondMax) * lifeMax)
+    // right axis for the bond count
+    ctx.fillStyle = 'rgba(90,166,255,0.9)'
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'middle'
+    const step = niceStep(bondMax, 4)
+    for (let v = 0; v <= bondMax + 1e-9; v += step) ctx.fillText(fmtPrecision(v, 3), w - 40, yBond(v))
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'top'
+    ctx.fillText(t('analytics.activeBonds'), w - 6, 4)
+    const series = (pick, yMap, color) => {
+      ctx.strokeStyle = color
+      ctx.fillStyle = color
+      ctx.lineWidth = 1.5
+      ctx.beginPath()
+      let first = true
+      for (const r of rows) {
+        const v = pick(r)
+        if (v == null) continue
+        if (first) ctx.moveTo(xOf(r[key]), yMap(v)); else ctx.lineTo(xOf(r[key]), yMap(v))
+        first = false
+      }
+      ctx.stroke()
+      for (const r of rows) {
+        const v = pick(r)
+        if (v == null) continue
+        ctx.beginPath()
+        ctx.arc(xOf(r[key]), yMap(v), 3, 0, Math.PI * 2)
+        ctx.fill()
+      }
     }
-    return (lo + hi) / 2
+    series(r => r.active_bonds, yBond, 'rgba(90,166,255,0.9)')
+    series(r => r.mean_lifetime_s, yOf, 'rgba(255,209,102,0.95)')
+  }
+
+  function renderSweep() {
+    renderSweepStatus()
+    const rows = sweepRows()
+    renderSweepTable(rows)
+    renderSweepChart(rows)
   }
 
+  if (sweepRunBtn) sweepRunBtn.addEventListener('click', () => (sweep && sweep.running ? stopSweep() : startSweep()))
+  const sweepCsvBtn = document.getElementById('sweepCsv')
+  const sweepJsonBtn = document.getElementById('sweepJson')
+  if (sweepCsvBtn) sweepCsvBtn.addEventListener('click', () => exportSweep('csv'))
+  if (sweepJsonBtn) sweepJsonBtn.addEventListener('click', () => exportSweep('json'))
+  const sweepPanel = document.getElementById('sweepPanel')
+  if (sweepPanel) sweepPanel.addEventListener('toggle', () => renderSweep())
+  renderSweep()
+
   // Chart drawing
   const heatChart = document.getElementById('heatChart')
   const heatQOut = document.getElementById('heatQ')
   const heatTOut = document.getElementById('heatT')
+  const heatPlateauOut = document.getElementById('heatPlateau')
   const addHeatBtn = document.getElementById('addHeat')
   const removeHeatBtn = document.getElementById('removeHeat')
   const resetHeatBtn = document.getElementById('resetHeat')
@@ -824,14 +1686,19 @@
   const yAxisShiftInput = document.getElementById('yAxisShift')
   const yAxisShiftApplyBtn = document.getElementById('yAxisShiftApply')
   const yAxisShiftResetBtn = document.getElementById('yAxisShiftReset')
+  const heatViewResetBtn = document.getElementById('heatViewReset')
   const heatCtx = heatChart ? heatChart.getContext('2d') : null
-  let currentQ = 0 // kJ per mol relative to T0
   // Chart Y-axis translation in degrees Celsius (positive shifts up visually)
   let chartYOffsetC = 0
 
-  // Public helper to set y-axis offset
+  // Public helper to set y-axis offset; a zoomed view shifts by the change
   function setChartYOffsetC(deltaC) {
-    chartYOffsetC = Number(deltaC) || 0
+    const next = Number(deltaC) || 0
+    if (heatView) {
+      heatView.t0 += next - chartYOffsetC
+      heatView.t1 += next - chartYOffsetC
+    }
+    chartYOffsetC = next
     renderHeatChart()
     updateHeatUI()
   }
@@ -849,35 +1716,69 @@
     return { Tmin, Tmax }
   }
 
+  // Zoom and pan: heatView is the visible window { q0, q1 (kJ/mol), t0, t1 (°C) }, or null
+  // for the whole curve. The wheel or a pinch zooms about the pointer, dragging the empty
+  // chart pans, double-click goes back to the whole curve.
+  const HEAT_PAD = 36
+  const HEAT_MARKER_HIT = 12 // px around the marker that start a marker drag
+  const HEAT_CLICK_SLOP = 4 // px a press may move and still count as a click
+  let heatView = null
+  let heatHover = null // { x, y } in chart px while the pointer is over the plot
+  const heatPointers = new Map() // pointerId → { x, y }
+  let heatGesture = null // { kind: 'marker' | 'pan' | 'pinch', ... }
+
+  function defaultHeatView() {
+    const { Tmin, Tmax } = getChartTempBounds()
+    return { q0: Q_of_T(Tmin), q1: Q_of_T(Tmax), t0: Tmin, t1: Tmax }
+  }
+
+  // Chart size and the value ↔ px mappers for a view (CSS px)
+  function heatChartLayout(view = heatView || defaultHeatView()) {
+    const rect = heatChart.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    const pad = HEAT_PAD
+    const { q0, q1, t0, t1 } = view
+    return {
+      w, h, pad, view,
+      xOfQ: q => pad + ((q - q0) / (q1 - q0)) * (w - pad * 2),
+      yOfT: t => h - (pad + ((t - t0) / (t1 - t0)) * (h - pad * 2)),
+      qOfX: x => q0 + ((x - pad) / (w - pad * 2)) * (q1 - q0),
+      tOfY: y => t0 + ((h - pad - y) / (h - pad * 2)) * (t1 - t0),
+      inPlot: (x, y) => x >= pad && x <= w - pad && y >= pad && y <= h - pad
+    }
+  }
+
+  // The view scaled by factor (< 1 zooms in) about chart point (x, y), within sane limits
+  function zoomHeatView(view, x, y, factor) {
+    const layout = heatChartLayout(view)
+    const full = defaultHeatView()
+    const fq = Math.min(2 * (full.q1 - full.q0), Math.max(0.05, (view.q1 - view.q0) * factor)) / (view.q1 - view.q0)
+    const ft = Math.min(2 * (full.t1 - full.t0), Math.max(0.5, (view.t1 - view.t0) * factor)) / (view.t1 - view.t0)
+    const q = layout.qOfX(x), t = layout.tOfY(y)
+    return { q0: q - (q - view.q0) * fq, q1: q + (view.q1 - q) * fq, t0: t - (t - view.t0) * ft, t1: t + (view.t1 - t) * ft }
+  }
+
+  // Where the melting and boiling bands are drawn (and clicked), in chart px
+  function heatPlateauBands(layout) {
+    const hw = Math.max(6, (layout.w - layout.pad * 2) * 0.008)
+    return engine.getPlateaus().map(p => ({ ...p, left: layout.xOfQ(p.q0) - hw, right: layout.xOfQ(p.q1) + hw }))
+  }
+
   function renderHeatChart() {
     if (!heatCtx) return
     // Always match canvas drawing buffer to current CSS size so the
     // chart fully fits the visible container and stays sharp.
     const ratio = window.devicePixelRatio || 1
-    const rect = heatChart.getBoundingClientRect()
-    const w = Math.max(10, Math.floor(rect.width * ratio))
-    const h = Math.max(10, Math.floor(rect.height * ratio))
-    if (heatChart.width !== w || heatChart.height !== h) {
-      heatChart.width = w
-      heatChart.height = h
-      heatCtx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    const layout = heatChartLayout()
+    const { w, h, pad, xOfQ, yOfT } = layout
+    const { q0: Qmin, q1: Qmax, t0: Tmin, t1: Tmax } = layout.view
+    if (heatChart.width !== w * ratio || heatChart.height !== h * ratio) {
+      heatChart.width = w * ratio
+      heatChart.height = h * ratio
     }
+    heatCtx.setTransform(ratio, 0, 0, ratio, 0, 0)
     heatCtx.clearRect(0, 0, w, h)
-    // compute sample points
-    const samples = 300
-    // Dynamic displayed temperature range on the y-axis to fit the full latent curve
-    const { Tmin, Tmax } = getChartTempBounds()
-    const Qvals = new Array(samples)
-    let Qmin = Infinity, Qmax = -Infinity
-    for (let i = 0; i < samples; i++) {
-      const t = Tmin + (Tmax - Tmin) * (i / (samples - 1))
-      const q = Q_of_T(t)
-      Qvals[i] = { t, q }
-      if (q < Qmin) Qmin = q
-      if (q > Qmax) Qmax = q
-    }
-    // padding
-    const pad = 36
     // draw axes
     heatCtx.strokeStyle = 'rgba(255,255,255,0.12)'
     heatCtx.lineWidth = 1
@@ -888,75 +1789,67 @@
     heatCtx.lineTo(pad, pad)
     heatCtx.stroke()
 
-    // scale functions: map Q to x, T to y
-    const xOfQ = q => pad + ((q - Qmin) / (Qmax - Qmin)) * (w - pad * 2)
-    const yOfT = t => h - (pad + ((t - Tmin) / (Tmax - Tmin)) * (h - pad * 2))
+    // everything plotted stays inside the axes when zoomed or panned
+    heatCtx.save()
+    heatCtx.beginPath()
+    heatCtx.rect(pad, pad, w - pad * 2, h - pad * 2)
+    heatCtx.clip()
 
-    // plot Q(T)
+    // plot Q(T) over the visible temperatures
+    const samples = 300
+    const lo = Math.max(-273.15, Tmin), hi = Math.min(500, Tmax)
     heatCtx.beginPath()
     heatCtx.strokeStyle = 'rgba(80,200,160,0.95)'
     heatCtx.lineWidth = 2
-    for (let i = 0; i < Qvals.length; i++) {
-      const { t, q } = Qvals[i]
-      const x = xOfQ(q)
+    for (let i = 0; i < samples; i++) {
+      const t = lo + (hi - lo) * (i / (samples - 1))
+      const x = xOfQ(Q_of_T(t))
       const y = yOfT(t)
       if (i === 0) heatCtx.moveTo(x, y)
       else heatCtx.lineTo(x, y)
     }
     heatCtx.stroke()
 
-    // draw gridlines and axis ticks (x: heat, y: temperature)
-    heatCtx.font = '12px system-ui'
-    heatCtx.fillStyle = 'rgba(255,255,255,0.12)'
+    // y grid lines at round values of the display unit (labels are drawn outside the clip below)
+    const step = niceStep(toT(Tmax) - toT(Tmin), 6)
+    const yMinTick = Math.ceil(toT(Tmin) / step) * step
+    const yMaxTick = Math.floor(toT(Tmax) / step) * step
+    heatCtx.strokeStyle = 'rgba(255,255,255,0.03)'
     heatCtx.lineWidth = 0.8
-    // y grid + ticks at 50°C steps spanning current bounds
-    const step = 50
-    const yMinTick = Math.ceil(Tmin / step) * step
-    const yMaxTick = Math.floor(Tmax / step) * step
-    for (let t = yMinTick; t <= yMaxTick; t += step) {
-      const norm = (t - Tmin) / (Tmax - Tmin)
-      const ty = pad + (1 - norm) * (h - pad * 2)
-      heatCtx.strokeStyle = 'rgba(255,255,255,0.03)'
+    for (let t = yMinTick; t <= yMaxTick + 1e-9; t += step) {
       heatCtx.beginPath()
-      heatCtx.moveTo(pad, ty)
-      heatCtx.lineTo(w - pad, ty)
+      heatCtx.moveTo(pad, yOfT(tempUnit.toC(t)))
+      heatCtx.lineTo(w - pad, yOfT(tempUnit.toC(t)))
       heatCtx.stroke()
-      heatCtx.fillStyle = 'rgba(255,255,255,0.45)'
-      heatCtx.fillText(t + '°C', 6, ty + 4)
     }
 
-    // x axis ticks
-    const xTicks = 6
-    heatCtx.fillStyle = 'rgba(255,255,255,0.6)'
-    for (let i = 0; i <= xTicks; i++) {
-      const qv = Qmin + (i / xTicks) * (Qmax - Qmin)
-      const x = xOfQ(qv)
-      heatCtx.strokeStyle = 'rgba(255,255,255,0.06)'
+    // shaded bands across the melting and boiling plateaus; click one to jump to its ends
+    const bands = heatPlateauBands(layout)
+    heatCtx.font = '12px system-ui'
+    for (const band of bands) {
+      heatCtx.fillStyle = band.kind === 'melt' ? 'rgba(120,180,255,0.06)' : 'rgba(255,220,140,0.04)'
+      heatCtx.fillRect(band.left, pad, band.right - band.left, h - pad * 2)
+      heatCtx.fillStyle = 'rgba(255,255,255,0.7)'
+      heatCtx.fillText(t(band.kind === 'melt' ? 'heatChart.melting' : 'heatChart.vaporisation'), xOfQ(band.q0) + 8, pad + 14)
+    }
+
+    // Nucleation mode: where the sample really is. A supercooled liquid sits to the right of
+    // the solid line by the latent heat it still holds, and moves across as it freezes.
+    if (engine.nucleation && engine.physicsMode === 'cartoon') {
+      const sx = xOfQ(engine.heatContent)
+      const sy = yOfT(engine.temperature)
+      heatCtx.strokeStyle = 'rgba(170,220,255,0.9)'
+      heatCtx.lineWidth = 2
       heatCtx.beginPath()
-      heatCtx.moveTo(x, h - pad)
-      heatCtx.lineTo(x, h - pad + 6)
+      heatCtx.arc(sx, sy, 6, 0, Math.PI * 2)
       heatCtx.stroke()
-      heatCtx.fillText(qv.toFixed(0), x - 10, h - 6)
+      heatCtx.fillStyle = 'rgba(170,220,255,0.9)'
+      heatCtx.fillText(t('heatChart.sample', { heat: formatE(engine.metrics.latentReleased), unit: energyUnit.symbol }), sx + 10, sy - 10)
     }
 
-    // draw vertical markers and shaded area for melting and boiling plateaus
-    const T_melt = getMeltingPoint()
-    const T_boil = getBoilingPoint()
-    const qmelt = Q_of_T(T_melt)
-    const qboil = Q_of_T(T_boil)
-    const plateauHalfWidth = Math.max(6, (w - pad * 2) * 0.008)
-    heatCtx.fillStyle = 'rgba(120,180,255,0.06)'
-    heatCtx.fillRect(xOfQ(qmelt) - plateauHalfWidth, pad, plateauHalfWidth * 2, h - pad * 2)
-    heatCtx.fillStyle = 'rgba(255,220,140,0.04)'
-    heatCtx.fillRect(xOfQ(qboil) - plateauHalfWidth, pad, plateauHalfWidth * 2, h - pad * 2)
-    // labels
-    heatCtx.fillStyle = 'rgba(255,255,255,0.7)'
-    heatCtx.fillText('Melting', xOfQ(qmelt) + 8, pad + 14)
-    heatCtx.fillText('Vaporisation', xOfQ(qboil) + 8, pad + 14)
-
-    // draw currentQ marker (use the same accent as the temperature gauge)
-    const cx = xOfQ(currentQ)
-    const cy = yOfT(T_of_Q(currentQ))
+    // draw the box's heat marker (use the same accent as the temperature gauge)
+    const cx = xOfQ(engine.heat)
+    const cy = yOfT(engine.temperature)
     // prefer the glow color returned by tempToColor so the marker matches the slider/theme
     const _tempAccent = typeof tempRange !== 'undefined' ? tempToColor(Number(tempRange.value)) : null
     // derive a brighter but less opaque fill and a larger shadow (glow)
@@ -991,42 +1884,200 @@
     heatCtx.lineWidth = 1
     heatCtx.stroke()
 
+    heatCtx.restore() // end of the plot clip
+
+    // hover readout: heat and temperature under the pointer
+    if (heatHover && layout.inPlot(heatHover.x, heatHover.y) && !heatGesture) {
+      const { x, y } = heatHover
+      heatCtx.strokeStyle = 'rgba(255,255,255,0.25)'
+      heatCtx.lineWidth = 1
+      heatCtx.setLineDash([3, 3])
+      heatCtx.beginPath()
+      heatCtx.moveTo(x, pad)
+      heatCtx.lineTo(x, h - pad)
+      heatCtx.moveTo(pad, y)
+      heatCtx.lineTo(w - pad, y)
+      heatCtx.stroke()
+      heatCtx.setLineDash([])
+      const text = t('heatChart.hover', { heat: formatE(layout.qOfX(x) * engine.sampleMoles), unit: energyUnit.symbol, temperature: formatT(layout.tOfY(y)) })
+      const tw = heatCtx.measureText(text).width + 10
+      const bx = x + 12 + tw > w - pad ? x - 12 - tw : x + 12
+      const by = Math.max(pad, y - 24)
+      heatCtx.fillStyle = 'rgba(20,24,40,0.9)'
+      heatCtx.fillRect(bx, by, tw, 18)
+      heatCtx.fillStyle = 'rgba(255,255,255,0.9)'
+      heatCtx.fillText(text, bx + 5, by + 13)
+    }
+
+    // axis ticks and labels (x: heat for the whole sample, y: temperature), in the display units
+    heatCtx.fillStyle = 'rgba(255,255,255,0.45)'
+    for (let v = yMinTick; v <= yMaxTick + 1e-9; v += step) heatCtx.fillText(fmtPrecision(v, 4) + tempUnit.symbol, 6, yOfT(tempUnit.toC(v)) + 4)
+    const perQ = toE(engine.sampleMoles) // display heat per kJ/mol on the curve
+    const xStep = niceStep((Qmax - Qmin) * perQ, 6)
+    heatCtx.fillStyle = 'rgba(255,255,255,0.6)'
+    heatCtx.strokeStyle = 'rgba(255,255,255,0.06)'
+    for (let qv = Math.ceil(Qmin * perQ / xStep) * xStep; qv <= Qmax * perQ + 1e-9; qv += xStep) {
+      const x = xOfQ(qv / perQ)
+      heatCtx.beginPath()
+      heatCtx.moveTo(x, h - pad)
+      heatCtx.lineTo(x, h - pad + 6)
+      heatCtx.stroke()
+      heatCtx.fillText(fmtPrecision(qv, 4), x - 10, h - 6)
+    }
+
     // axis labels
     heatCtx.fillStyle = 'rgba(255,255,255,0.6)'
-    heatCtx.fillText('Heat added (kJ/mol)', w / 2 - 40, h - 8)
+    heatCtx.fillText(t('heatChart.heatAxis', { unit: energyUnit.symbol, amount: formatMoles(engine.sampleMoles) }), w / 2 - 40, h - 8)
     heatCtx.save()
     heatCtx.translate(12, h / 2 + 20)
     heatCtx.rotate(-Math.PI / 2)
-    heatCtx.fillText('Temperature (°C)', 0, 0)
+    heatCtx.fillText(t('axis.temperature', { unit: tempUnit.symbol }), 0, 0)
     heatCtx.restore()
   }
 
+  // Pointer on the heat chart: drag the marker to set the heat, drag elsewhere to pan, pinch
+  // to zoom, click a plateau band to jump to the start or end of melting or boiling
+  function heatChartPoint(e) {
+    const rect = heatChart.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  // afterPinch: the finger left over pans and never counts as a click
+  function startHeatGesture(at, afterPinch = false) {
+    const layout = heatChartLayout()
+    const view = { ...layout.view }
+    if (afterPinch) {
+      heatGesture = { kind: 'pan', view, start: at, moved: true }
+    } else if (heatPointers.size >= 2) {
+      const [a, b] = [...heatPointers.values()]
+      heatGesture = { kind: 'pinch', view, dist: Math.hypot(a.x - b.x, a.y - b.y) || 1, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } }
+    } else if (Math.hypot(at.x - layout.xOfQ(engine.heat), at.y - layout.yOfT(engine.temperature)) <= HEAT_MARKER_HIT) {
+      heatGesture = { kind: 'marker' }
+    } else {
+      heatGesture = { kind: 'pan', view, start: at, moved: false }
+    }
+  }
+
+  function onHeatPointerDown(e) {
+    if (e.button != null && e.button > 0) return
+    const at = heatChartPoint(e)
+    heatPointers.set(e.pointerId, at)
+    heatChart.setPointerCapture(e.pointerId)
+    e.preventDefault()
+    startHeatGesture(at)
+  }
+
+  function onHeatPointerMove(e) {
+    const at = heatChartPoint(e)
+    if (!heatPointers.has(e.pointerId)) {
+      heatHover = at
+      renderHeatChart()
+      return
+    }
+    heatPointers.set(e.pointerId, at)
+    const g = heatGesture
+    if (!g) return
+    if (g.kind === 'marker') {
+      setHeat(heatChartLayout().qOfX(at.x))
+      return
+    }
+    if (g.kind === 'pinch') {
+      const [a, b] = [...heatPointers.values()]
+      heatView = zoomHeatView(g.view, g.mid.x, g.mid.y, g.dist / (Math.hypot(a.x - b.x, a.y - b.y) || 1))
+    } else {
+      const dx = at.x - g.start.x, dy = at.y - g.start.y
+      if (!g.moved && Math.hypot(dx, dy) < HEAT_CLICK_SLOP) return
+      g.moved = true
+      const { w, h, pad } = heatChartLayout(g.view)
+      const dq = dx / (w - pad * 2) * (g.view.q1 - g.view.q0)
+      const dt = dy / (h - pad * 2) * (g.view.t1 - g.view.t0)
+      heatView = { q0: g.view.q0 - dq, q1: g.view.q1 - dq, t0: g.view.t0 + dt, t1: g.view.t1 + dt }
+    }
+    renderHeatChart()
+  }
+
+  function onHeatPointerUp(e) {
+    if (!heatPointers.has(e.pointerId)) return
+    const at = heatPointers.get(e.pointerId)
+    heatPointers.delete(e.pointerId)
+    if (heatChart.hasPointerCapture && heatChart.hasPointerCapture(e.pointerId)) heatChart.releasePointerCapture(e.pointerId)
+    const g = heatGesture
+    heatGesture = null
+    // a click on a plateau band: its left half jumps to the start, its right half to the end
+    if (g && g.kind === 'pan' && !g.moved && e.type === 'pointerup') {
+      const layout = heatChartLayout()
+      const band = layout.inPlot(at.x, at.y) && heatPlateauBands(layout).find(b => at.x >= b.left && at.x <= b.right)
+      if (band) setHeat(at.x < (band.left + band.right) / 2 ? band.q0 : band.q1)
+    }
+    // one finger left after a pinch carries on panning from where it is
+    if (heatPointers.size) startHeatGesture([...heatPointers.values()][0], true)
+    renderHeatChart()
+  }
+
+  if (heatChart) {
+    heatChart.addEventListener('pointerdown', onHeatPointerDown)
+    heatChart.addEventListener('pointermove', onHeatPointerMove)
+    heatChart.addEventListener('pointerup', onHeatPointerUp)
+    heatChart.addEventListener('pointercancel', onHeatPointerUp)
+    heatChart.addEventListener('pointerleave', () => { heatHover = null; renderHeatChart() })
+    heatChart.addEventListener('wheel', e => {
+      e.preventDefault()
+      const at = heatChartPoint(e)
+      heatView = zoomHeatView(heatChartLayout().view, at.x, at.y, Math.exp(e.deltaY * 0.0015))
+      renderHeatChart()
+    }, { passive: false })
+    heatChart.addEventListener('dblclick', () => { heatView = null; renderHeatChart() })
+  }
+  if (heatViewResetBtn) heatViewResetBtn.addEventListener('click', () => { heatView = null; renderHeatChart() })
+
+  // Heat readouts from the engine, which holds one heat state for the box and the chart.
+  // On a plateau the temperature stays put and the readout says how far across it the box is.
   function updateHeatUI() {
-    if (heatQOut) heatQOut.textContent = currentQ.toFixed(2)
-    if (heatTOut) heatTOut.textContent = T_of_Q(currentQ).toFixed(2)
-    // sync slider temperature to the T_of_Q value
-    const tnew = T_of_Q(currentQ)
-    // Avoid clobbering user while dragging heavily: set only if difference > 0.01
-    if (Math.abs(Number(tempRange.value) - tnew) > 0.02) setTemperature(tnew)
+    if (heatQOut) heatQOut.textContent = formatE(engine.heat * engine.sampleMoles)
+    if (heatTOut) heatTOut.textContent = fmt(toT(engine.temperature), 2)
+    if (heatPlateauOut) {
+      const plateau = engine.plateau
+      heatPlateauOut.hidden = !plateau
+      if (plateau) {
+        heatPlateauOut.textContent = t(plateau.kind === 'melt' ? 'heat.melting' : 'heat.boiling', { pct: fmt(plateau.progress * 100) })
+      }
+    }
     // refresh trend indicator when heat UI changes
     updateTrendIndicator()
   }
 
-  if (addHeatBtn) addHeatBtn.addEventListener('click', () => { currentQ += 1; renderHeatChart(); updateHeatUI() })
-  if (removeHeatBtn) removeHeatBtn.addEventListener('click', () => { currentQ = Math.max(-200, currentQ - 1); renderHeatChart(); updateHeatUI() })
-  if (resetHeatBtn) resetHeatBtn.addEventListener('click', () => { currentQ = 0; renderHeatChart(); updateHeatUI() })
-  if (toggleHeatPanelBtn) toggleHeatPanelBtn.addEventListener('click', (e) => {
+  // Heat buttons change the box's heat; the frame loop redraws the chart and readouts
+  function setHeat(q) {
+    engine.setHeat(q)
+    renderTemperature(engine.temperature)
+  }
+  // one step is heatStep() of the display unit for the whole sample
+  function heatStepPerMole() { return heatStep() / toE(engine.sampleMoles) }
+  if (addHeatBtn) addHeatBtn.addEventListener('click', () => setHeat(engine.heat + heatStepPerMole()))
+  if (removeHeatBtn) removeHeatBtn.addEventListener('click', () => setHeat(engine.heat - heatStepPerMole()))
+  if (resetHeatBtn) resetHeatBtn.addEventListener('click', () => setHeat(0))
+  function setHeatPanelVisible(visible) {
     const panel = document.querySelector('.heat-panel')
     if (!panel) return
-    const isHidden = panel.classList.toggle('hidden')
-    toggleHeatPanelBtn.textContent = isHidden ? 'Show latent graph' : 'Hide latent graph'
+    panel.classList.toggle('hidden', !visible)
+    heatPanelToggleKey = visible ? 'heatPanel.hide' : 'heatPanel.show'
+    renderHeatPanelToggle()
+  }
+  let heatPanelToggleKey = 'heatPanel.show' // the label the markup starts with
+  function renderHeatPanelToggle() {
+    if (toggleHeatPanelBtn) toggleHeatPanelBtn.textContent = t(heatPanelToggleKey)
+  }
+  if (toggleHeatPanelBtn) toggleHeatPanelBtn.addEventListener('click', () => {
+    const panel = document.querySelector('.heat-panel')
+    if (panel) setHeatPanelVisible(panel.classList.contains('hidden'))
   })
 
   // Wire Y-axis shift controls
   if (yAxisShiftApplyBtn && yAxisShiftInput) {
     yAxisShiftApplyBtn.addEventListener('click', () => {
+      // typed in degrees of the display unit
       const val = Number(yAxisShiftInput.value)
-      setChartYOffsetC(val)
+      setChartYOffsetC(val / tempUnit.scale)
     })
   }
   if (yAxisShiftResetBtn && yAxisShiftInput) {
@@ -1044,12 +2095,12 @@
   const trendEl = document.getElementById('trendIndicator')
   function updateTrendIndicator() {
     if (!trendEl) return
-    // Map currentQ to an x position inside simContainer
+    // Map the box's heat to an x position inside simContainer
     const rect = container.getBoundingClientRect()
     // Use the same sample bounds used by renderHeatChart (T0..Tmax)
     const Tmin = T0, Tmax = 220
     const Qmin = Q_of_T(Tmin), Qmax = Q_of_T(Tmax)
-    const pct = (currentQ - Qmin) / (Qmax - Qmin)
+    const pct = (engine.heat - Qmin) / (Qmax - Qmin)
     const clamped = Math.max(0, Math.min(1, pct))
     // Put the indicator horizontally across the sim area according to pct
     const x = rect.left + clamped * (rect.width - 32) + 8
@@ -1062,30 +2113,940 @@
     const tempNow = Number(tempRange.value)
     const T_boil = getBoilingPoint()
     trendEl.classList.remove('glow-solid', 'glow-liquid', 'glow-gas')
-    if (tempNow <= SOLID_THRESHOLD) trendEl.classList.add('glow-solid')
+    if (tempNow <= getMeltingPoint()) trendEl.classList.add('glow-solid')
     else if (tempNow >= T_boil) trendEl.classList.add('glow-gas')
     else trendEl.classList.add('glow-liquid')
   }
 
+  // --- Heater and heating curve ---
+  // A constant-power heater (negative power cools) and optional Newton's-law cooling toward
+  // the ambient temperature. The engine adds the energy every step through the heat chart,
+  // so the temperature stalls on the plateaus. The chart below plots the temperature against
+  // the time since it was last cleared: the lab heating curve with its flat sections.
+  const heaterPowerRange = document.getElementById('heaterPower')
+  const heaterPowerOut = document.getElementById('heaterPowerOut')
+  const toggleCoolingEl = document.getElementById('toggleCooling')
+  const ambientInput = document.getElementById('ambientTemp')
+  const coolingInput = document.getElementById('coolingCoeff')
+  const heatingStatusEl = document.getElementById('heatingStatus')
+  const heaterOffBtn = document.getElementById('heaterOff')
+  const heatingCsvBtn = document.getElementById('heatingCsv')
+  const heatingClearBtn = document.getElementById('heatingClear')
+  const heatingChart = document.getElementById('heatingChart')
+  const heatingCtx = heatingChart ? heatingChart.getContext('2d') : null
+  const HEATING_SAMPLE_DT = 0.1 // s of sim time between points
+  const HEATING_MAX_POINTS = 6000 // 10 min at one point per 0.1 s; older points drop off
+  const heatingCurve = [] // { t (s since cleared), tempC, heat }
+  let heatingStart = 0
+  let heatingLastT = -Infinity
+
+  function clearHeatingCurve() {
+    heatingCurve.length = 0
+    heatingStart = engine.simTime
+    heatingLastT = -Infinity
+    renderHeatingCurve()
+  }
 
+  function renderHeater() {
+    const power = engine.heaterPower
+    if (heaterPowerRange) heaterPowerRange.value = String(power)
+    if (heaterPowerOut) heaterPowerOut.textContent = `${power > 0 ? '+' : ''}${fmt(power)} W`
+    if (toggleCoolingEl) toggleCoolingEl.checked = engine.cooling > 0
+    if (coolingInput && engine.cooling > 0) coolingInput.value = String(engine.cooling)
+    if (ambientInput) {
+      ambientInput.min = String(Math.ceil(toT(T0)))
+      ambientInput.max = String(Math.floor(toT(500)))
+      ambientInput.value = String(Number(toT(engine.ambient).toFixed(2)))
+    }
+    renderHeatingStatus()
+  }
+
+  // Heater power, the loss to the surroundings and what is left to warm the sample
+  function renderHeatingStatus() {
+    if (!heatingStatusEl) return
+    const loss = engine.cooling * (engine.temperature - engine.ambient)
+    const net = engine.heaterPower - loss
+    const w = v => `${fmt(v)} W`
+    heatingStatusEl.textContent = engine.cooling > 0
+      ? t('heating.status', { power: w(engine.heaterPower), loss: w(loss), net: w(net) })
+      : t('heating.net', { net: w(net) })
+  }
+
+  function setCooling() {
+    const k = toggleCoolingEl && toggleCoolingEl.checked && coolingInput ? Number(coolingInput.value) : 0
+    engine.setCooling(k, ambientInput ? tempUnit.toC(Number(ambientInput.value)) : engine.ambient)
+    renderHeatingStatus()
+    renderHeatingCurve()
+  }
+
+  if (heaterPowerRange) heaterPowerRange.addEventListener('input', () => { engine.setHeaterPower(Number(heaterPowerRange.value)); renderHeater() })
+  if (heaterOffBtn) heaterOffBtn.addEventListener('click', () => { engine.setHeaterPower(0); renderHeater() })
+  if (toggleCoolingEl) toggleCoolingEl.addEventListener('change', setCooling)
+  if (ambientInput) ambientInput.addEventListener('change', setCooling)
+  if (coolingInput) coolingInput.addEventListener('change', setCooling)
+  if (heatingClearBtn) heatingClearBtn.addEventListener('click', clearHeatingCurve)
+  if (heatingCsvBtn) {
+    heatingCsvBtn.addEventListener('click', () => {
+      // heat is for the whole sample, in the display energy unit
+      const lines = [`time_s,${tCol()},heat_${energyUnit.column}`]
+      for (const p of heatingCurve) lines.push([p.t, toT(p.tempC), toE(p.heat * engine.sampleMoles)].map(v => Number(v.toFixed(4))).join(','))
+      downloadText(`heating-curve-${engine.substance.id}.csv`, 'text/csv', lines.join('\n') + '\n')
+    })
+  }
+
+  // Called once per frame after the engine steps; a restarted box restarts the curve
+  function sampleHeating() {
+    if (engine.simTime < heatingLastT) clearHeatingCurve()
+    if (engine.simTime - heatingLastT < HEATING_SAMPLE_DT - 1e-9) return
+    heatingLastT = engine.simTime
+    heatingCurve.push({ t: engine.simTime - heatingStart, tempC: engine.temperature, heat: engine.heat })
+    if (heatingCurve.length > HEATING_MAX_POINTS) heatingCurve.shift()
+    renderHeatingStatus()
+    renderHeatingCurve()
+  }
+
+  function renderHeatingCurve() {
+    if (!heatingCtx) return
+    const ctx = heatingCtx
+    const ratio = window.devicePixelRatio || 1
+    const rect = heatingChart.getBoundingClientRect()
+    const w = Math.max(10, Math.floor(rect.width))
+    const h = Math.max(10, Math.floor(rect.height))
+    if (heatingChart.width !== w * ratio || heatingChart.height !== h * ratio) {
+      heatingChart.width = w * ratio
+      heatingChart.height = h * ratio
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+    if (!heatingCurve.length) return
+    // the melting and boiling lines stay in view when they are near the curve
+    const melt = toT(getMeltingPoint()), boil = toT(getBoilingPoint())
+    const temps = heatingCurve.map(p => toT(p.tempC))
+    let lo = Math.min(...temps), hi = Math.max(...temps)
+    const near = 40 * tempUnit.scale
+    for (const c of [melt, boil]) if (c > lo - near && c < hi + near) { lo = Math.min(lo, c); hi = Math.max(hi, c) }
+    const pad = Math.max(5 * tempUnit.scale, (hi - lo) * 0.08)
+    const t0 = heatingCurve[0].t
+    const t1 = Math.max(t0 + 10, heatingCurve[heatingCurve.length - 1].t)
+    const { xOf, yOf } = drawAnalyticsAxes(ctx, w, h, t0, t1, hi + pad, t('axis.time'), t('axis.temperature', { unit: tempUnit.symbol }), 12, lo - pad)
+    // reference lines: melting and boiling points, and the ambient temperature with cooling on
+    const refs = [[melt, t('heating.meltingLine'), 'rgba(120,180,255,0.6)'], [boil, t('heating.boilingLine'), 'rgba(255,180,90,0.6)']]
+    if (engine.cooling > 0) refs.push([toT(engine.ambient), t('heating.ambientLine'), 'rgba(255,255,255,0.35)'])
+    ctx.setLineDash([4, 4])
+    ctx.lineWidth = 1
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'bottom'
+    for (const [c, label, color] of refs) {
+      if (c < lo - pad || c > hi + pad) continue
+      ctx.strokeStyle = color
+      ctx.fillStyle = color
+      ctx.beginPath()
+      ctx.moveTo(xOf(t0), yOf(c))
+      ctx.lineTo(xOf(t1), yOf(c))
+      ctx.stroke()
+      ctx.fillText(label, xOf(t1) - 2, yOf(c) - 2)
+    }
+    ctx.setLineDash([])
+    ctx.strokeStyle = 'rgba(255,209,102,0.95)'
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    heatingCurve.forEach((p, i) => { if (i === 0) ctx.moveTo(xOf(p.t), yOf(toT(p.tempC))); else ctx.lineTo(xOf(p.t), yOf(toT(p.tempC))) })
+    ctx.stroke()
+  }
+  window.addEventListener('resize', renderHeatingCurve)
+  renderHeater()
+
+  // --- Save / load / share ---
+  // Save downloads the whole scene as JSON: engine.getState() (every molecule, ion, lattice
+  // anchor, bond and the random stream) plus the heat chart and display toggles; Load puts
+  // it all back, and the run carries on as the saved one would have. Copy link puts only
+  // the settings in the URL hash, e.g. #sub=water&t=-20&salt=1 for ice at −20 °C with salt;
+  // missing keys mean the defaults, and the seed gives everyone the same starting box.
+  const SCENE_FORMAT = 'imf-scene'
+
+  function setSceneStatus(text) {
+    if (sceneStatusEl) sceneStatusEl.textContent = text
+  }
+
+  // Every control back in line with the engine after a load or a link
+  function syncControls() {
+    if (substanceSelect) substanceSelect.value = engine.substance.id
+    if (mixSelect) mixSelect.value = engine.mixPartner ? engine.mixPartner.id : ''
+    if (moleculeCountEl) moleculeCountEl.value = String(engine.moleculeCount)
+    if (moleculeCountOut) moleculeCountOut.textContent = fmt(engine.moleculeCount)
+    if (seedInput) seedInput.value = String(engine.seed)
+    if (toggleHBondEl) toggleHBondEl.checked = engine.hbondDirectional
+    if (toggleEvaporationEl) toggleEvaporationEl.checked = engine.evaporation
+    if (toggleNucleationEl) toggleNucleationEl.checked = engine.nucleation
+    if (toggleMaxwellEl) toggleMaxwellEl.checked = engine.maxwellResampling
+    if (thermostatEl) thermostatEl.value = engine.thermostat
+    if (pressureRange) pressureRange.value = String(Math.log10(engine.pressure))
+    renderHeater()
+    if (sweep && sweep.running) stopSweep()
+    accumulator = 0
+    syncSaltButton()
+    renderSubstanceInfo()
+    renderPhysicsMode()
+    renderPressureOut()
+    // readouts and charts in the display units, with the sample amount
+    renderUnits()
+  }
+
+  function saveScene() {
+    const heatPanel = document.querySelector('.heat-panel')
+    const scene = {
+      format: SCENE_FORMAT,
+      version: 1,
+      savedAt: new Date().toISOString(),
+      engine: engine.getState(),
+      ui: {
+        showBonds: bondsVisible,
+        lines: imfRenderer,
+        heatPanel: !!heatPanel && !heatPanel.classList.contains('hidden'),
+        chartYOffsetC,
+        units: { temperature: tempUnit.id, energy: energyUnit.id, sample: sampleBy },
+        lang: tr.id
+      }
+    }
+    downloadText(`imf-scene-${engine.substance.id}.json`, 'application/json', JSON.stringify(scene))
+    setSceneStatus(t('scene.saved'))
+  }
+
+  function loadScene(scene) {
+    if (!scene || scene.format !== SCENE_FORMAT || !engine.loadState(scene.engine)) return false
+    goLive()
+    recorder.clear()
+    resize()
+    const ui = scene.ui || {}
+    if (typeof ui.showBonds === 'boolean') {
+      bondsVisible = ui.showBonds
+      if (toggleBondsEl) toggleBondsEl.checked = bondsVisible
+    }
+    if (ui.lines) setImfRenderer(ui.lines)
+    if (typeof ui.heatPanel === 'boolean') setHeatPanelVisible(ui.heatPanel)
+    if (Number.isFinite(ui.chartYOffsetC)) chartYOffsetC = ui.chartYOffsetC // the Shift Y box follows in syncControls
+    if (ui.units) {
+      sampleBy = ui.units.sample === 'g' ? 'g' : 'mol'
+      setUnits(ui.units.temperature, ui.units.energy)
+    }
+    if (ui.lang) setLanguage(ui.lang)
+    syncControls()
+    return true
+  }
+
+  function settingsHash() {
+    const params = new URLSearchParams()
+    params.set('sub', engine.substance.id)
+    if (engine.mixPartner) params.set('mix', engine.mixPartner.id)
+    params.set('t', String(Number(engine.temperature.toFixed(2))))
+    if (engine.pressure !== P_ATM) params.set('p', String(Number(engine.pressure.toPrecision(4))))
+    if (engine.saltOn) params.set('salt', '1')
+    if (engine.solute.id !== 'nacl') params.set('solute', engine.solute.id)
+    if (engine.molality !== DEFAULT_MOLALITY) params.set('m', String(engine.molality))
+    if (engine.moleculeCount !== NUM_MOLECULES) params.set('n', String(engine.moleculeCount))
+    if (!engine.hbondDirectional) params.set('hb', '0')
+    if (engine.evaporation) params.set('evap', '1')
+    if (engine.nucleation) params.set('nuc', '1')
+    if (!engine.maxwellResampling) params.set('mb', '0')
+    if (engine.physicsMode !== 'cartoon') params.set('physics', engine.physicsMode)
+    if (engine.thermostat !== 'berendsen') params.set('thermostat', engine.thermostat)
+    if (engine.heaterPower) params.set('pw', String(engine.heaterPower))
+    if (engine.cooling > 0) {
+      params.set('cool', String(engine.cooling))
+      params.set('amb', String(Number(engine.ambient.toFixed(2))))
+    }
+    if (engine.sampleMoles !== 1) params.set('mol', String(Number(engine.sampleMoles.toPrecision(6))))
+    if (sampleBy === 'g') params.set('su', 'g')
+    if (tempUnit.id !== 'C') params.set('tu', tempUnit.id)
+    if (energyUnit.id !== 'kJ') params.set('eu', energyUnit.id)
+    if (tr.id !== 'en') params.set('lang', tr.id)
+    params.set('seed', String(engine.seed))
+    return params.toString()
+  }
+
+  // Fresh box from link settings; unknown or missing values fall back to the defaults
+  function applySettings(params) {
+    const num = (key, fallback) => (params.has(key) && Number.isFinite(Number(params.get(key))) ? Number(params.get(key)) : fallback)
+    const sub = SUBSTANCES[params.get('sub')] ? params.get('sub') : engine.substance.id
+    engine.selectSubstance(sub, params.get('mix') || null)
+    engine.setMoleculeCount(num('n', NUM_MOLECULES))
+    resize()
+    engine.setHBondDirectional(params.get('hb') !== '0')
+    engine.setMaxwellResampling(params.get('mb') !== '0')
+    engine.setThermostat(params.get('thermostat') || 'berendsen')
+    engine.setPressure(num('p', P_ATM))
+    engine.setTemperature(num('t', engine.temperature))
+    engine.setEvaporation(params.get('evap') === '1')
+    engine.setNucleation(params.get('nuc') === '1')
+    engine.setSolute(SOLUTES[params.get('solute')] ? params.get('solute') : 'nacl')
+    engine.setMolality(num('m', DEFAULT_MOLALITY))
+    engine.setSalt(params.get('salt') === '1')
+    engine.setPhysicsMode(params.get('physics') === 'md' ? 'md' : 'cartoon')
+    engine.setHeaterPower(num('pw', 0))
+    engine.setCooling(num('cool', 0), num('amb', 20))
+    engine.setSampleMoles(num('mol', 1))
+    engine.reset(num('seed', engine.seed))
+    sampleBy = params.get('su') === 'g' ? 'g' : 'mol'
+    setUnits(params.get('tu'), params.get('eu'))
+    // a link only switches the language when it names one; otherwise the reader's stays
+    if (params.has('lang')) setLanguage(params.get('lang'))
+    goLive()
+    syncControls()
+  }
+
+  function copyLink() {
+    const hash = settingsHash()
+    history.replaceState(null, '', `#${hash}`)
+    const url = location.href
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(() => setSceneStatus(t('scene.copied')), () => setSceneStatus(t('scene.inAddressBar')))
+    } else {
+      setSceneStatus(t('scene.inAddressBar'))
+    }
+  }
+
+  if (saveSceneBtn) saveSceneBtn.addEventListener('click', saveScene)
+  if (loadSceneBtn && sceneFileEl) loadSceneBtn.addEventListener('click', () => sceneFileEl.click())
+  if (sceneFileEl) {
+    sceneFileEl.addEventListener('change', () => {
+      const file = sceneFileEl.files && sceneFileEl.files[0]
+      if (!file) return
+      const reader = new FileReader()
+      reader.onload = () => {
+        let scene = null
+        try { scene = JSON.parse(reader.result) } catch (e) { scene = null }
+        setSceneStatus(t(loadScene(scene) ? 'scene.loaded' : 'scene.invalid', { file: file.name }))
+      }
+      reader.onerror = () => setSceneStatus(t('scene.unreadable', { file: file.name }))
+      reader.readAsText(file)
+      sceneFileEl.value = ''
+    })
+  }
+  if (shareLinkBtn) shareLinkBtn.addEventListener('click', copyLink)
+  window.addEventListener('hashchange', () => {
+    if (location.hash.length > 1) applySettings(new URLSearchParams(location.hash.slice(1)))
+  })
+
+  // --- Timeline (record & replay) ---
+  // The recorder keeps the last ~20 s of steps (fewer for big boxes). Pausing stops the
+  // engine and shows the newest frame; from there the bar steps frame by frame, scrubs
+  // back, or plays the recording at a chosen speed. Phase changes are listed so a freeze,
+  // melt or boil can be found and watched again slowly. Reaching the newest frame, or
+  // pressing Live, hands the screen back to the running engine where it stopped.
+  const timelinePlayBtn = document.getElementById('timelinePlay')
+  const timelineBackBtn = document.getElementById('timelineBack')
+  const timelineForwardBtn = document.getElementById('timelineForward')
+  const timelineLiveBtn = document.getElementById('timelineLive')
+  const timelineScrub = document.getElementById('timelineScrub')
+  const timelineSpeedEl = document.getElementById('timelineSpeed')
+  const timelineEventsEl = document.getElementById('timelineEvents')
+  const timelineTimeEl = document.getElementById('timelineTime')
+  const REPLAY_LEAD = 2 // s of recording shown before a phase change
+  const recorder = createRecorder(engine)
+  let replay = null // null while live, else { index, playing, clock }
+  let eventsKey = ''
+
+  // Molecule- and ion-like objects reused to draw recorded frames
+  const replayMolecules = []
+  const replayIons = []
+  const replayBonds = new Map()
+  const replayDisrupted = new Set()
+  let replayFrame = null
+
+  function liveView() {
+    return { molecules, ions, bonds, disruptedBonds, saltOn: engine.saltOn, evaporation: engine.evaporation, simTime: engine.simTime, phaseInfo: getPhaseInfo(engine.temperature) }
+  }
+
+  function replayView(frame) {
+    if (frame !== replayFrame) {
+      replayFrame = frame
+      const n = frame.x.length
+      replayMolecules.length = n
+      for (let i = 0; i < n; i++) {
+        const m = replayMolecules[i] || (replayMolecules[i] = {})
+        m.species = frame.species[i]
+        m.x = frame.x[i]
+        m.y = frame.y[i]
+        m.angle = frame.angle[i]
+        m.vapour = frame.vapour[i] === 1
+        m.frozen = frame.frozen[i] === 1
+      }
+      replayIons.length = frame.ionX.length
+      for (let k = 0; k < frame.ionX.length; k++) {
+        const type = ION_TYPE_IDS[frame.ionType[k]]
+        replayIons[k] = { type, charge: ION_TYPES[type].charge, x: frame.ionX[k], y: frame.ionY[k] }
+      }
+      replayBonds.clear()
+      replayDisrupted.clear()
+      const packed = frame.bonds
+      for (let b = 0; b < packed.length; b += 6) {
+        const hb = packed[b + 2] >= 0 ? { donor: packed[b + 2], h: packed[b + 3], k: packed[b + 4] } : null
+        replayBonds.set(b, { i: packed[b], j: packed[b + 1], hb })
+        if (packed[b + 5]) replayDisrupted.add(b)
+      }
+    }
+    return { molecules: replayMolecules, ions: replayIons, bonds: replayBonds, disruptedBonds: replayDisrupted, saltOn: frame.saltOn, evaporation: frame.evaporation, simTime: frame.time, phaseInfo: frame.phaseInfo }
+  }
+
+  function goLive() {
+    replay = null
+    replayFrame = null
+    accumulator = 0
+    renderTimeline()
+  }
+
+  // Stop the engine and hold the newest frame (or `index`)
+  function pauseAt(index = recorder.frames.length - 1) {
+    if (!recorder.frames.length) return
+    replay = { index: Math.max(0, Math.min(recorder.frames.length - 1, index)), playing: false, clock: 0 }
+    renderTimeline()
+  }
+
+  function playReplay() {
+    if (!replay) return
+    if (replay.index >= recorder.frames.length - 1) { goLive(); return }
+    replay.playing = true
+    replay.clock = 0
+    renderTimeline()
+  }
+
+  function stepBack() {
+    if (!replay) pauseAt()
+    else pauseAt(replay.index - 1)
+  }
+
+  // Forward through the recording; at its end, run the engine one step and record it
+  function stepForward() {
+    if (!replay) pauseAt()
+    if (!replay) return
+    if (replay.index < recorder.frames.length - 1) {
+      pauseAt(replay.index + 1)
+    } else {
+      stepEngine()
+      pauseAt()
+    }
+  }
+
+  // Advance a playing replay by `dt` s of wall time at the chosen speed
+  function advanceReplay(dt) {
+    const { frames } = recorder
+    const speed = timelineSpeedEl ? Number(timelineSpeedEl.value) || 1 : 1
+    replay.clock += dt * speed
+    const target = frames[replay.index].time + replay.clock
+    const index = recorder.indexAt(target)
+    if (index > replay.index) {
+      replay.clock = target - frames[index].time
+      replay.index = index
+    }
+    if (replay.index >= frames.length - 1) goLive()
+  }
+
+  function jumpToEvent(n) {
+    const event = recorder.events[n]
+    if (!event) return
+    pauseAt(recorder.indexAt(event.time - REPLAY_LEAD))
+    playReplay()
+  }
+
+  // Recorder event kinds: the transition, or the state reached when it has no name (supercritical)
+  const EVENT_LABELS = {
+    freeze: 'event.freeze', melt: 'event.melt', boil: 'event.boil', condense: 'event.condense', sublime: 'event.sublime', deposit: 'event.deposit',
+    solid: 'phase.solid', liquid: 'phase.liquid', gas: 'phase.gas', supercritical: 'phase.supercriticalShort'
+  }
+
+  function renderTimelineEvents() {
+    if (!timelineEventsEl) return
+    const { events } = recorder
+    const key = events.map(e => e.time).join(',')
+    if (key === eventsKey) return
+    eventsKey = key
+    timelineEventsEl.textContent = ''
+    const head = document.createElement('option')
+    head.value = ''
+    head.textContent = t(events.length ? 'timeline.pick' : 'timeline.none')
+    timelineEventsEl.appendChild(head)
+    events.forEach((event, n) => {
+      const opt = document.createElement('option')
+      opt.value = String(n)
+      opt.textContent = t('timeline.event', { kind: t(EVENT_LABELS[event.kind] || event.kind), time: fmt(event.time, 1) })
+      timelineEventsEl.appendChild(opt)
+    })
+    timelineEventsEl.disabled = !events.length
+  }
+
+  function renderTimeline() {
+    const { frames } = recorder
+    const last = frames.length - 1
+    const index = replay ? replay.index : last
+    if (timelineScrub) {
+      timelineScrub.max = String(Math.max(0, last))
+      timelineScrub.value = String(Math.max(0, index))
+    }
+    if (timelinePlayBtn) {
+      const playing = !replay || replay.playing
+      timelinePlayBtn.textContent = playing ? '⏸' : '▶'
+      timelinePlayBtn.title = t(playing ? 'timeline.pause' : 'timeline.play')
+      timelinePlayBtn.setAttribute('aria-label', timelinePlayBtn.title)
+    }
+    if (timelineLiveBtn) timelineLiveBtn.disabled = !replay
+    if (timelineTimeEl) {
+      const frame = replay && frames[index]
+      timelineTimeEl.textContent = frame
+        ? t('timeline.replay', { time: fmt(frame.time - frames[last].time, 2), temperature: formatT(frame.temperature), phase: phaseText(frame.phaseInfo) })
+        : t('timeline.liveStatus', { seconds: fmt(recorder.duration, 1) })
+    }
+    renderTimelineEvents()
+  }
+
+  if (timelinePlayBtn) timelinePlayBtn.addEventListener('click', () => {
+    if (!replay) pauseAt()
+    else if (replay.playing) pauseAt(replay.index)
+    else playReplay()
+  })
+  if (timelineBackBtn) timelineBackBtn.addEventListener('click', stepBack)
+  if (timelineForwardBtn) timelineForwardBtn.addEventListener('click', stepForward)
+  if (timelineLiveBtn) timelineLiveBtn.addEventListener('click', goLive)
+  if (timelineScrub) timelineScrub.addEventListener('input', () => pauseAt(Number(timelineScrub.value)))
+  if (timelineEventsEl) timelineEventsEl.addEventListener('change', () => {
+    if (timelineEventsEl.value !== '') jumpToEvent(Number(timelineEventsEl.value))
+    timelineEventsEl.value = ''
+  })
+
+  // --- Export (PNG, PNG sequence, WebM, GIF) ---
+  // Exports composite what the viewer sees into one canvas: the molecule and ion canvas,
+  // the attraction lines (stroked again, so the SVG renderer exports too) and the phase
+  // label. PNG saves the current frame. Record captures for the chosen number of seconds
+  // of wall time and downloads a ZIP of numbered PNGs, a WebM video or a GIF; it takes
+  // whatever is on screen, so a timeline replay can be recorded as well.
+  const exportPngBtn = document.getElementById('exportPng')
+  const exportFormatEl = document.getElementById('exportFormat')
+  const exportDurationEl = document.getElementById('exportDuration')
+  const exportFpsEl = document.getElementById('exportFps')
+  const exportRecordBtn = document.getElementById('exportRecord')
+  const exportStatusEl = document.getElementById('exportStatus')
+  const SIM_BACKGROUND = '#0c1020' // .sim-container background; the canvases are transparent
+  const EXPORT_MAX_SECONDS = 60
+  const GIF_MAX_WIDTH = 480 // GIFs are scaled down to keep files small
+  const canRecordVideo = typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function'
+  let exportJob = null
+  let lastView = null // what the last frame drew
+
+  function setExportStatus(text) {
+    if (exportStatusEl) exportStatusEl.textContent = text
+  }
+
+  function exportName() {
+    return `imf-${engine.substance.id}`
+  }
+
+  function compositeFrame(target, view) {
+    const tctx = target.getContext('2d')
+    const scale = target.width / canvas.width
+    tctx.setTransform(1, 0, 0, 1, 0, 0)
+    tctx.fillStyle = SIM_BACKGROUND
+    tctx.fillRect(0, 0, target.width, target.height)
+    tctx.drawImage(canvas, 0, 0, target.width, target.height)
+    tctx.setTransform(viewScale * scale, 0, 0, viewScale * scale, 0, 0)
+    strokeIMFLines(tctx, view)
+    // Phase label in the top-right corner, styled like .phase-overlay
+    const phase = phaseText(view.phaseInfo)
+    tctx.setTransform(scale, 0, 0, scale, 0, 0)
+    tctx.font = '14px system-ui, sans-serif'
+    tctx.textAlign = 'left'
+    tctx.textBaseline = 'middle'
+    const boxW = tctx.measureText(phase).width + 20
+    const boxH = 28
+    const x = canvas.width - 12 - boxW, y = 12
+    tctx.beginPath()
+    if (tctx.roundRect) tctx.roundRect(x, y, boxW, boxH, 8)
+    else tctx.rect(x, y, boxW, boxH)
+    tctx.fillStyle = 'rgba(0,0,0,0.4)'
+    tctx.fill()
+    tctx.strokeStyle = 'rgba(255,255,255,0.12)'
+    tctx.lineWidth = 1
+    tctx.stroke()
+    tctx.fillStyle = '#eaeef7'
+    tctx.fillText(phase, x + 10, y + boxH / 2)
+    tctx.setTransform(1, 0, 0, 1, 0, 0)
+  }
+
+  function createExportCanvas(scale = 1) {
+    const target = document.createElement('canvas')
+    target.width = Math.max(1, Math.round(canvas.width * scale))
+    target.height = Math.max(1, Math.round(canvas.height * scale))
+    return target
+  }
+
+  function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(new Uint8Array(reader.result))
+      reader.onerror = () => reject(reader.error)
+      reader.readAsArrayBuffer(blob)
+    })
+  }
+
+  function savePng() {
+    const target = createExportCanvas()
+    compositeFrame(target, lastView || liveView())
+    target.toBlob(blob => {
+      if (!blob) { setExportStatus(t('export.pngFailed')); return }
+      downloadBlob(`${exportName()}.png`, blob)
+      setExportStatus(t('export.pngSaved'))
+    }, 'image/png')
+  }
+
+  function renderExportButton() {
+    if (exportRecordBtn) exportRecordBtn.textContent = t(exportJob ? 'export.stop' : 'export.record')
+    if (exportFormatEl) exportFormatEl.disabled = !!exportJob
+  }
+
+  function startRecording() {
+    const format = exportFormatEl ? exportFormatEl.value : 'png'
+    const duration = Math.min(EXPORT_MAX_SECONDS, Math.max(0.5, Number(exportDurationEl && exportDurationEl.value) || 5))
+    const fps = Math.min(60, Math.max(1, Number(exportFpsEl && exportFpsEl.value) || 15))
+    if (format === 'webm' && !canRecordVideo) {
+      setExportStatus(t('export.noWebm'))
+      return
+    }
+    const target = createExportCanvas(format === 'gif' ? Math.min(1, GIF_MAX_WIDTH / canvas.width) : 1)
+    const job = { format, duration, fps, target, started: null, next: 0, frames: 0 }
+    if (format === 'png') job.pngs = []
+    if (format === 'gif') job.gif = createGifEncoder(target.width, target.height, { delay: 1 / fps })
+    if (format === 'webm') {
+      const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t))
+      job.chunks = []
+      compositeFrame(target, lastView || liveView())
+      job.video = new MediaRecorder(target.captureStream(fps), type ? { mimeType: type } : undefined)
+      job.video.ondataavailable = (e) => { if (e.data && e.data.size) job.chunks.push(e.data) }
+      job.video.onstop = () => {
+        downloadBlob(`${exportName()}.webm`, new Blob(job.chunks, { type: 'video/webm' }))
+        setExportStatus(t('export.webmSaved', { seconds: fmtRound(job.duration, 1) }))
+      }
+      job.video.start()
+    }
+    exportJob = job
+    renderExportButton()
+  }
+
+  // Called after each drawn frame while recording
+  function captureExport(now, view) {
+    const job = exportJob
+    if (job.started === null) job.started = job.next = now
+    const elapsed = (now - job.started) / 1000
+    if (elapsed >= job.duration) {
+      finishRecording()
+      return
+    }
+    if (job.format === 'webm') {
+      compositeFrame(job.target, view) // the stream samples the canvas at its own rate
+      job.frames++
+    } else if (now >= job.next - 0.5) {
+      job.next = Math.max(job.next + 1000 / job.fps, now) // a slow page drops frames, never bursts
+      compositeFrame(job.target, view)
+      if (job.gif) {
+        job.gif.addFrame(job.target.getContext('2d').getImageData(0, 0, job.target.width, job.target.height).data)
+      } else {
+        job.pngs.push(new Promise(resolve => job.target.toBlob(resolve, 'image/png')))
+      }
+      job.frames++
+    }
+    setExportStatus(t('export.recording', { elapsed: fmt(elapsed, 1), total: fmtRound(job.duration, 1) }))
+  }
+
+  // Ends the recording (early if Stop was pressed) and downloads what was captured
+  function finishRecording() {
+    const job = exportJob
+    exportJob = null
+    renderExportButton()
+    if (job.format === 'webm') {
+      job.video.stop()
+      return
+    }
+    if (job.format === 'gif') {
+      downloadBlob(`${exportName()}.gif`, new Blob([job.gif.finish()], { type: 'image/gif' }))
+      setExportStatus(t('export.gifSaved', { frames: fmt(job.gif.frames) }))
+      return
+    }
+    setExportStatus(t('export.packing'))
+    Promise.all(job.pngs)
+      .then(blobs => Promise.all(blobs.filter(Boolean).map(readBlob)))
+      .then(files => {
+        const zip = createZip()
+        files.forEach((bytes, n) => zip.add(`frame-${String(n + 1).padStart(4, '0')}.png`, bytes))
+        downloadBlob(`${exportName()}-frames.zip`, new Blob([zip.finish()], { type: 'application/zip' }))
+        setExportStatus(t('export.framesSaved', { frames: fmt(zip.count) }))
+      })
+      .catch(() => setExportStatus(t('export.packFailed')))
+  }
+
+  if (exportFormatEl && !canRecordVideo) {
+    const webm = exportFormatEl.querySelector('option[value="webm"]')
+    if (webm) webm.disabled = true
+  }
+  if (exportPngBtn) exportPngBtn.addEventListener('click', savePng)
+  if (exportRecordBtn) exportRecordBtn.addEventListener('click', () => {
+    if (exportJob) finishRecording()
+    else startRecording()
+  })
+
+  // --- Pointer tools: drag, fling, pin, inspect ---
+  // Pointer (mouse, pen or touch) on the box. Drag holds the molecule under the pointer
+  // and drops it in place; Fling throws it with the pointer's speed when let go; Pin
+  // fixes a molecule where it is (click again to free it; dragging a pinned molecule
+  // moves the pin); Inspect opens a panel with its speed and current bond partners. A
+  // held or pinned molecule still pushes and attracts its neighbours, so it can be pulled
+  // out of a crystal or used as a fixed seed. Tools act on the live box, not on replays.
+  const toolBtns = document.querySelectorAll('[data-tool]')
+  const unpinAllBtn = document.getElementById('unpinAll')
+  const inspectorEl = document.getElementById('inspector')
+  const inspectorTitleEl = document.getElementById('inspectorTitle')
+  const inspectorSpeedEl = document.getElementById('inspectorSpeed')
+  const inspectorEnergyEl = document.getElementById('inspectorEnergy')
+  const inspectorPinBtn = document.getElementById('inspectorPin')
+  const inspectorCloseBtn = document.getElementById('inspectorClose')
+  const inspectorBondsEl = document.querySelector('#inspectorBonds tbody')
+  const inspectorEmptyEl = document.getElementById('inspectorEmpty')
+  const PICK_RADIUS = 24 // screen px around the pointer that count as touching a molecule
+  const FLING_WINDOW = 100 // ms of pointer movement the throw velocity is taken from
+  const INSPECTOR_INTERVAL = 100 // ms between inspector refreshes
+  let tool = 'drag'
+  let grab = null // { index, pointerId, samples: [{ x, y, t }] }
+  let inspected = -1
+  let inspectorShownAt = -Infinity
+
+  function setTool(next) {
+    tool = next
+    toolBtns.forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.tool === tool)))
+    container.dataset.tool = tool
+  }
+
+  function pointerToSim(e) {
+    const rect = container.getBoundingClientRect()
+    return { x: (e.clientX - rect.left) / viewScale, y: (e.clientY - rect.top) / viewScale }
+  }
+
+  function openInspector(index) {
+    inspected = index
+    inspectorShownAt = -Infinity
+    if (inspectorEl) inspectorEl.hidden = index < 0
+  }
+
+  function onPointerDown(e) {
+    if (replay || (e.button != null && e.button > 0)) return
+    if (inspectorEl && inspectorEl.contains(e.target)) return
+    const at = pointerToSim(e)
+    const index = engine.moleculeAt(at.x, at.y, PICK_RADIUS / viewScale)
+    if (index < 0) return
+    e.preventDefault()
+    if (tool === 'pin') {
+      engine.pinMolecule(index, !engine.isPinned(index))
+    } else if (tool === 'inspect') {
+      openInspector(index)
+    } else {
+      grab = { index, pointerId: e.pointerId, samples: [{ x: at.x, y: at.y, t: e.timeStamp }] }
+      engine.holdMolecule(index, at.x, at.y)
+      container.setPointerCapture(e.pointerId)
+      container.classList.add('grabbing')
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!grab || e.pointerId !== grab.pointerId) return
+    const at = pointerToSim(e)
+    engine.holdMolecule(grab.index, at.x, at.y)
+    grab.samples.push({ x: at.x, y: at.y, t: e.timeStamp })
+    while (grab.samples.length > 2 && e.timeStamp - grab.samples[0].t > FLING_WINDOW) grab.samples.shift()
+  }
+
+  function onPointerUp(e) {
+    if (!grab || e.pointerId !== grab.pointerId) return
+    let vx = 0, vy = 0
+    const first = grab.samples[0], last = grab.samples[grab.samples.length - 1]
+    // a pointer that stopped before letting go throws nothing
+    if (tool === 'fling' && e.type === 'pointerup' && last.t > first.t && e.timeStamp - last.t < FLING_WINDOW) {
+      vx = (last.x - first.x) / (last.t - first.t) * 1000
+      vy = (last.y - first.y) / (last.t - first.t) * 1000
+    }
+    engine.releaseMolecule(grab.index, vx, vy)
+    if (container.hasPointerCapture && container.hasPointerCapture(e.pointerId)) container.releasePointerCapture(e.pointerId)
+    container.classList.remove('grabbing')
+    grab = null
+  }
+
+  // Rings for pinned molecules and for the inspected one and its bond partners
+  function drawToolMarks() {
+    ctx.lineWidth = 2
+    ctx.setLineDash([3, 3])
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)'
+    ctx.beginPath()
+    for (const i of engine.pinned) {
+      const m = molecules[i]
+      const r = m.species.radius * 1.9
+      ctx.moveTo(m.x + r, m.y)
+      ctx.arc(m.x, m.y, r, 0, Math.PI * 2)
+    }
+    ctx.stroke()
+    ctx.setLineDash([])
+    const m = molecules[inspected]
+    if (!m) return
+    ctx.strokeStyle = '#ffd166'
+    ctx.beginPath()
+    ctx.arc(m.x, m.y, m.species.radius * 2.2, 0, Math.PI * 2)
+    ctx.stroke()
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    for (const info of bonds.values()) {
+      if (info.i !== inspected && info.j !== inspected) continue
+      const p = molecules[info.i === inspected ? info.j : info.i]
+      const r = p.species.radius * 1.8
+      ctx.moveTo(p.x + r, p.y)
+      ctx.arc(p.x, p.y, r, 0, Math.PI * 2)
+    }
+    ctx.stroke()
+  }
+
+  function renderInspector(now) {
+    if (inspected < 0 || !inspectorEl) return
+    const m = molecules[inspected]
+    if (!m) { openInspector(-1); return } // the box was restarted with fewer molecules
+    if (now - inspectorShownAt < INSPECTOR_INTERVAL) return
+    inspectorShownAt = now
+    if (inspectorTitleEl) inspectorTitleEl.textContent = t('inspector.title', { n: inspected + 1, name: tr.substance(m.species), formula: m.species.formula })
+    if (inspectorSpeedEl) inspectorSpeedEl.textContent = fmt(engine.thermalSpeed(m))
+    if (inspectorEnergyEl) inspectorEnergyEl.textContent = formatE(engine.kineticEnergy(m))
+    if (inspectorPinBtn) inspectorPinBtn.textContent = t(engine.isPinned(inspected) ? 'inspector.unpin' : 'inspector.pin')
+    const rows = []
+    for (const info of bonds.values()) {
+      if (info.i !== inspected && info.j !== inspected) continue
+      const partner = info.i === inspected ? info.j : info.i
+      rows.push({ partner, kind: t(info.hb ? 'inspector.hbond' : 'inspector.attraction'), lasted: engine.simTime - info.start })
+    }
+    rows.sort((a, b) => b.lasted - a.lasted)
+    if (inspectorBondsEl) {
+      inspectorBondsEl.textContent = ''
+      for (const row of rows) {
+        const rowEl = document.createElement('tr')
+        const p = molecules[row.partner]
+        for (const text of [`#${row.partner + 1} ${p.species.formula}`, row.kind, `${fmt(row.lasted, 2)} s`]) {
+          const td = document.createElement('td')
+          td.textContent = text
+          rowEl.appendChild(td)
+        }
+        inspectorBondsEl.appendChild(rowEl)
+      }
+    }
+    if (inspectorEmptyEl) inspectorEmptyEl.hidden = rows.length > 0
+  }
+
+  container.addEventListener('pointerdown', onPointerDown)
+  container.addEventListener('pointermove', onPointerMove)
+  container.addEventListener('pointerup', onPointerUp)
+  container.addEventListener('pointercancel', onPointerUp)
+  toolBtns.forEach(btn => btn.addEventListener('click', () => setTool(btn.dataset.tool)))
+  if (unpinAllBtn) unpinAllBtn.addEventListener('click', () => engine.unpinAll())
+  if (inspectorCloseBtn) inspectorCloseBtn.addEventListener('click', () => openInspector(-1))
+  if (inspectorPinBtn) inspectorPinBtn.addEventListener('click', () => {
+    if (inspected < 0) return
+    engine.pinMolecule(inspected, !engine.isPinned(inspected))
+    inspectorShownAt = -Infinity
+  })
+  setTool(tool)
+
+  // Metrics bar: the engine refreshes its readings every step; show them once per frame
+  function renderMetrics() {
+    const { metrics } = engine
+    if (avgBondDurationEl) avgBondDurationEl.textContent = fmt(metrics.avgBondDuration, 2)
+    if (activeBondsEl) activeBondsEl.textContent = fmt(metrics.activeBonds)
+    if (engine.mixPartner && likeBondsEl && unlikeBondsEl) {
+      likeBondsEl.textContent = fmt(metrics.likeBonds)
+      unlikeBondsEl.textContent = fmt(metrics.unlikeBonds)
+      if (hBondsEl) hBondsEl.textContent = fmt(metrics.hBonds)
+    }
+    if (engine.saltOn) {
+      if (hydrationCountEl) hydrationCountEl.textContent = fmt(metrics.hydration, 1)
+      if (saturationOut) saturationOut.textContent = t('metrics.saturation', { pct: fmt(metrics.saturation * 100), limit: fmt(engine.solubility, 1) })
+      if (crystalOut) crystalOut.textContent = metrics.precipitated ? t('metrics.crystal', { n: fmt(metrics.precipitated), formula: engine.solute.formula }) : t('metrics.noCrystal')
+      if (soluteMetricsEl) soluteMetricsEl.classList.toggle('precipitating', metrics.precipitated > 0)
+    }
+    if (engine.nucleation) {
+      if (frozenCountEl) frozenCountEl.textContent = t('metrics.frozen', { n: fmt(metrics.frozen), total: fmt(molecules.length) })
+      if (latentOut) latentOut.textContent = formatE(metrics.latentReleased)
+    }
+    if (engine.evaporation && vapourCountEl && liquidCountEl) {
+      vapourCountEl.textContent = fmt(metrics.vapour)
+      liquidCountEl.textContent = fmt(metrics.liquid)
+      if (vapourAvgEl) vapourAvgEl.textContent = fmt(metrics.vapourAvg, 1)
+    }
+    if (engine.physicsMode === 'md') {
+      if (mdKineticEl) mdKineticEl.textContent = formatE(metrics.kineticEnergy)
+      if (mdPotentialEl) mdPotentialEl.textContent = formatE(metrics.potentialEnergy)
+      if (mdTotalEl) mdTotalEl.textContent = formatE(metrics.totalEnergy)
+      if (mdTempEl) mdTempEl.textContent = fmt(toT(metrics.kineticTemp + T0))
+    }
+  }
 
   // Main loop
+  // Fixed-timestep loop: wall-clock time is banked in an accumulator and the engine always
+  // advances in FIXED_DT steps, so a run depends on the seed and inputs, not the frame rate
+  const MAX_STEPS_PER_FRAME = 4 // a slower frame drops the extra time instead of spiralling
+  let accumulator = 0
   let last = performance.now()
+  let shownFrozen = 0 // frozen count the phase label and heat chart last showed
+  let shownHeat = NaN // box heat the heat chart last showed
+  let shownTemperature = NaN
   function frame(now) {
-    const dt = Math.min(0.05, (now - last) / 1000)
+    accumulator += Math.min(0.25, Math.max(0, (now - last) / 1000))
     last = now
-    const tempC = Number(tempRange.value)
+    let steps = 0
+    if (replay) {
+      if (replay.playing) advanceReplay(Math.min(0.25, accumulator))
+      accumulator = 0
+    } else if (sweep && sweep.running && sweepFastEl && sweepFastEl.checked) {
+      for (let i = 0; i < SWEEP_FAST_STEPS && sweep.running; i++) stepEngine()
+      accumulator = 0
+    } else {
+      while (accumulator >= FIXED_DT - 1e-9 && steps < MAX_STEPS_PER_FRAME) { // 1e-9: float slack at exactly 60 Hz
+        stepEngine()
+        accumulator -= FIXED_DT
+        steps++
+      }
+      if (steps === MAX_STEPS_PER_FRAME) accumulator = Math.min(accumulator, FIXED_DT)
+    }
+    if (sweep && sweep.running) renderSweepStatus()
     clear()
-    update(dt, tempC)
-    drawIMFLines()
-    for (const m of molecules) drawMolecule(m)
-    if (saltOn) {
-      for (const ion of ions) drawIon(ion)
+    const view = replay ? replayView(recorder.frames[replay.index]) : liveView()
+    drawMolecules(view)
+    drawIMFLines(view)
+    if (view.saltOn) drawIons(view)
+    if (!replay) drawToolMarks()
+    // The heat chart and readouts follow the box's heat, whoever changed it (slider, heat
+    // buttons, tween, heater); in nucleation mode the phase and sample marker follow the crystal
+    if (!replay && (engine.heat !== shownHeat || (engine.nucleation && engine.metrics.frozen !== shownFrozen))) {
+      // the heater moves the temperature without the slider
+      if (engine.temperature !== shownTemperature) renderTemperature(engine.temperature)
+      else if (phaseLabel(view.phaseInfo) !== phaseIndicator.dataset.phase) renderPhase(view.phaseInfo)
+      shownHeat = engine.heat
+      shownTemperature = engine.temperature
+      shownFrozen = engine.metrics.frozen
+      renderHeatChart()
+      updateHeatUI()
     }
-    // (KE mini chart removed)
+    lastView = view
+    if (exportJob) captureExport(now, view)
+    renderTimeline()
+    renderInspector(now)
+    renderMetrics()
+    renderSpeedHistograms()
+    sampleAnalytics()
+    renderAnalytics()
+    if (!replay) sampleHeating()
     // keep trend indicator aligned during animation
     updateTrendIndicator()
     requestAnimationFrame(frame)
   }
+  renderLanguage()
+  // A shared link's settings replace the defaults before the first frame
+  if (location.hash.length > 1) applySettings(new URLSearchParams(location.hash.slice(1)))
   requestAnimationFrame(frame)
 })()
@@ -0,0 +1,235 @@
+/*
+  File encoders for exporting the simulation (no DOM access)
+  - createZip(): store-only ZIP archive, used for PNG frame sequences
+  - createGifEncoder(): animated GIF from RGBA frames, on a fixed 252-colour palette with
+    ordered dithering, so frames can be encoded one by one while a recording runs
+  Loads as a browser global (window.IMFMedia) or as a CommonJS module under Node.
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFMedia = factory()
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- ZIP ---
+  const CRC_TABLE = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    CRC_TABLE[n] = c >>> 0
+  }
+
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+    return (c ^ 0xFFFFFFFF) >>> 0
+  }
+
+  // Little-endian byte writer that grows as needed
+  function createWriter(size = 1024) {
+    let buf = new Uint8Array(size)
+    let length = 0
+    function reserve(n) {
+      if (length + n <= buf.length) return
+      const next = new Uint8Array(Math.max(buf.length * 2, length + n))
+      next.set(buf.subarray(0, length))
+      buf = next
+    }
+    return {
+      get length() { return length },
+      u8(v) { reserve(1); buf[length++] = v & 0xFF },
+      u16(v) { reserve(2); buf[length++] = v & 0xFF; buf[length++] = (v >>> 8) & 0xFF },
+      u32(v) { this.u16(v & 0xFFFF); this.u16(v >>> 16) },
+      bytes(arr) { reserve(arr.length); buf.set(arr, length); length += arr.length },
+      ascii(text) { for (let i = 0; i < text.length; i++) this.u8(text.charCodeAt(i)) },
+      result() { return buf.slice(0, length) }
+    }
+  }
+
+  // Files are stored uncompressed (PNGs are compressed already). Names are ASCII.
+  function createZip() {
+    const out = createWriter(1 << 16)
+    const entries = [] // { name, crc, size, offset }
+    // DOS date/time for the entries; the exact moment does not matter
+    const now = new Date()
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1)
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+
+    function add(name, bytes) {
+      const entry = { name, crc: crc32(bytes), size: bytes.length, offset: out.length }
+      entries.push(entry)
+      out.u32(0x04034B50)
+      out.u16(20) // version needed
+      out.u16(0) // flags
+      out.u16(0) // stored
+      out.u16(dosTime)
+      out.u16(dosDate)
+      out.u32(entry.crc)
+      out.u32(entry.size)
+      out.u32(entry.size)
+      out.u16(name.length)
+      out.u16(0) // extra field length
+      out.ascii(name)
+      out.bytes(bytes)
+    }
+
+    function finish() {
+      const dirOffset = out.length
+      for (const entry of entries) {
+        out.u32(0x02014B50)
+        out.u16(20) // version made by
+        out.u16(20) // version needed
+        out.u16(0)
+        out.u16(0)
+        out.u16(dosTime)
+        out.u16(dosDate)
+        out.u32(entry.crc)
+        out.u32(entry.size)
+        out.u32(entry.size)
+        out.u16(entry.name.length)
+        out.u16(0) // extra
+        out.u16(0) // comment
+        out.u16(0) // disk
+        out.u16(0) // internal attributes
+        out.u32(0) // external attributes
+        out.u32(entry.offset)
+        out.ascii(entry.name)
+      }
+      const dirSize = out.length - dirOffset
+      out.u32(0x06054B50)
+      out.u16(0)
+      out.u16(0)
+      out.u16(entries.length)
+      out.u16(entries.length)
+      out.u32(dirSize)
+      out.u32(dirOffset)
+      out.u16(0)
+      return out.result()
+    }
+
+    return { add, finish, get count() { return entries.length } }
+  }
+
+  // --- GIF ---
+  // 6 red × 7 green × 6 blue levels (the eye is most sensitive to green), padded to 256
+  const GIF_LEVELS = [6, 7, 6]
+  const GIF_PALETTE = new Uint8Array(256 * 3)
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        const i = (r * 42 + g * 6 + b) * 3
+        GIF_PALETTE[i] = Math.round(r * 255 / 5)
+        GIF_PALETTE[i + 1] = Math.round(g * 255 / 6)
+        GIF_PALETTE[i + 2] = Math.round(b * 255 / 5)
+      }
+    }
+  }
+  // 4×4 Bayer matrix, as offsets in -0.5..0.5 of a palette step
+  const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16 - 0.5)
+
+  function quantise(rgba, width, height) {
+    const out = new Uint8Array(width * height)
+    const [lr, lg, lb] = GIF_LEVELS.map(n => (n - 1) / 255)
+    for (let y = 0, p = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, p++) {
+        const d = BAYER[(y & 3) * 4 + (x & 3)]
+        const r = Math.min(5, Math.max(0, Math.round(rgba[p * 4] * lr + d)))
+        const g = Math.min(6, Math.max(0, Math.round(rgba[p * 4 + 1] * lg + d)))
+        const b = Math.min(5, Math.max(0, Math.round(rgba[p * 4 + 2] * lb + d)))
+        out[p] = r * 42 + g * 6 + b
+      }
+    }
+    return out
+  }
+
+  // Variable-length LZW as GIF wants it, minimum code size 8
+  function lzw(indices, out) {
+    const clear = 256, end = 257
+    const dict = new Map()
+    let codeSize = 9
+    let next = end + 1
+    let bits = 0, bitCount = 0
+    const bytes = []
+    function emit(code) {
+      bits |= code << bitCount
+      bitCount += codeSize
+      while (bitCount >= 8) {
+        bytes.push(bits & 0xFF)
+        bits >>>= 8
+        bitCount -= 8
+      }
+    }
+    emit(clear)
+    let prefix = indices[0]
+    for (let p = 1; p < indices.length; p++) {
+      const k = indices[p]
+      const key = prefix * 256 + k
+      const code = dict.get(key)
+      if (code !== undefined) { prefix = code; continue }
+      emit(prefix)
+      if (next === 4096) {
+        emit(clear)
+        dict.clear()
+        next = end + 1
+        codeSize = 9
+      } else {
+        if (next >= 1 << codeSize) codeSize++
+        dict.set(key, next++)
+      }
+      prefix = k
+    }
+    emit(prefix)
+    emit(end)
+    if (bitCount > 0) bytes.push(bits & 0xFF)
+    out.u8(8)
+    for (let i = 0; i < bytes.length; i += 255) {
+      const n = Math.min(255, bytes.length - i)
+      out.u8(n)
+      for (let j = 0; j < n; j++) out.u8(bytes[i + j])
+    }
+    out.u8(0)
+  }
+
+  // delay: seconds per frame (GIF stores hundredths); loops forever
+  function createGifEncoder(width, height, options = {}) {
+    const delay = Math.max(2, Math.round((options.delay || 0.1) * 100))
+    const out = createWriter(1 << 16)
+    let frames = 0
+    out.ascii('GIF89a')
+    out.u16(width)
+    out.u16(height)
+    out.u8(0xF7) // global palette, 8 bits per channel, 256 entries
+    out.u8(0)
+    out.u8(0)
+    out.bytes(GIF_PALETTE)
+    out.bytes([0x21, 0xFF, 11])
+    out.ascii('NETSCAPE2.0')
+    out.bytes([3, 1, 0, 0, 0]) // loop forever
+
+    function addFrame(rgba) {
+      out.bytes([0x21, 0xF9, 4, 0x04]) // graphic control: keep the frame, no transparency
+      out.u16(delay)
+      out.bytes([0, 0])
+      out.u8(0x2C)
+      out.u16(0)
+      out.u16(0)
+      out.u16(width)
+      out.u16(height)
+      out.u8(0)
+      lzw(quantise(rgba, width, height), out)
+      frames++
+    }
+
+    function finish() {
+      out.u8(0x3B)
+      return out.result()
+    }
+
+    return { addFrame, finish, get frames() { return frames } }
+  }
+
+  return {
+    crc32,
+    createZip,
+    createGifEncoder
+  }
+})
@@ -0,0 +1,94 @@
+/*
+  Display units for temperatures and energies (no DOM access)
+  - TEMPERATURE_UNITS: °C, K and °F, converted from and to the engine's °C
+  - ENERGY_UNITS: kJ, J and cal, converted from the engine's kJ
+  - niceAmount(): the round 1, 2 or 5 × 10^k amount nearest a value, for button step sizes,
+    and niceStep(), chart tick spacing built on it
+  - parseNumberList(): a typed list "0; 25; 50" or range "start:stop:step", with one rule for
+    decimal commas
+  The engine and the heat model always work in °C and kJ/mol; only readouts, chart axes,
+  typed inputs and exports go through these.
+  Loads as a browser global (window.IMFUnits) or as a CommonJS module under Node.
+*/
+
+;(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory()
+  else root.IMFUnits = factory()
+})(typeof self !== 'undefined' ? self : this, function () {
+  // fromC/toC convert a temperature; scale is the size of one unit in kelvin, for differences.
+  // column names the unit in export headers (temperature_c, temperature_k, temperature_f).
+  const TEMPERATURE_UNITS = {
+    C: { id: 'C', symbol: '°C', column: 'c', scale: 1, fromC: c => c, toC: v => v },
+    K: { id: 'K', symbol: 'K', column: 'k', scale: 1, fromC: c => c + 273.15, toC: v => v - 273.15 },
+    F: { id: 'F', symbol: '°F', column: 'f', scale: 9 / 5, fromC: c => c * 9 / 5 + 32, toC: v => (v - 32) * 5 / 9 }
+  }
+
+  // perKJ: how many of the unit make one kJ (thermochemical calorie, 4.184 J); digits is
+  // the decimals readouts show
+  const ENERGY_UNITS = {
+    kJ: { id: 'kJ', symbol: 'kJ', column: 'kj', perKJ: 1, digits: 2 },
+    J: { id: 'J', symbol: 'J', column: 'j', perKJ: 1000, digits: 0 },
+    cal: { id: 'cal', symbol: 'cal', column: 'cal', perKJ: 1000 / 4.184, digits: 0 }
+  }
+
+  // The 1, 2 or 5 × 10^k nearest v (v > 0)
+  function niceAmount(v) {
+    if (!(v > 0) || !Number.isFinite(v)) return 1
+    const mag = 10 ** Math.floor(Math.log10(v))
+    const n = v / mag
+    return (n < 1.5 ? 1 : n < 3.5 ? 2 : n < 7.5 ? 5 : 10) * mag
+  }
+
+  // Tick spacing of 1, 2 or 5 × 10^k giving about `count` ticks up to max
+  function niceStep(max, count) {
+    return niceAmount(max / count)
+  }
+
+  const LIST_RANGE = /^\s*(-?[\d.,]+)\s*:\s*(-?[\d.,]+)\s*:\s*([\d.,]+)\s*$/
+  const POINT_NUMBER = /^[-+]?(\d+(\.\d*)?|\.\d+)$/
+  const COMMA_NUMBER = /^[-+]?(\d+([.,]\d*)?|[.,]\d+)$/ // one decimal point or comma
+
+  function readNumber(item, decimalComma) {
+    if (!(decimalComma ? COMMA_NUMBER : POINT_NUMBER).test(item)) return NaN
+    return Number(item.replace(',', '.'))
+  }
+
+  // A list "0; 25; 50" or a range "start:stop:step" of at most maxPoints (default 200) values.
+  // List items are split by semicolons or spaces, and a comma right after an item
+  // ("0, 25, 50") also ends it. With decimalComma (the display language writes 1,5) a comma
+  // inside a number is a decimal comma, but in a list only when the item is the only one or
+  // the items are split by semicolons: "0,25" alone is 0.25, while "0,25 50" could be read
+  // either way. Without it, "0,25" could be the list 0, 25 and is not read at all.
+  // options: { decimalComma, maxPoints }. Returns { values, range ({ from, to, step } when
+  // typed as a range, else null), bad (the first item that is not a number or is ambiguous) }
+  function parseNumberList(text, options = {}) {
+    const decimalComma = !!options.decimalComma
+    const maxPoints = options.maxPoints || 200
+    const match = String(text).match(LIST_RANGE)
+    if (!match) {
+      const items = String(text).split(/[\s;]+/).filter(Boolean).map(item => item.replace(/,$/, ''))
+      const commaOk = items.length === 1 || String(text).includes(';')
+      const bad = items.find(item => !Number.isFinite(readNumber(item, decimalComma)) || (item.includes(',') && !commaOk))
+      if (bad) return { values: [], range: null, bad }
+      return { values: items.map(item => readNumber(item, decimalComma)).slice(0, maxPoints), range: null, bad: null }
+    }
+    const [from, to, step] = match.slice(1).map(item => readNumber(item, decimalComma))
+    if (![from, to, step].every(Number.isFinite)) return { values: [], range: null, bad: match[0].trim() }
+    const range = { from, to, step }
+    if (!(step > 0)) return { values: [from], range, bad: null }
+    const dir = to >= from ? 1 : -1
+    const values = []
+    for (let c = from; dir * (c - to) <= 1e-9 && values.length < maxPoints; c = from + dir * step * values.length) {
+      values.push(Number(c.toFixed(6)))
+    }
+    return { values, range, bad: null }
+  }
+
+  return {
+    TEMPERATURE_UNITS,
+    ENERGY_UNITS,
+    niceAmount,
+    niceStep,
+    parseNumberList
+  }
+})